@@ -0,0 +1,285 @@
+/**
+ * NIMO Live Nudges - Authentication and Roles
+ *
+ * Who is calling and what they may see:
+ *
+ * - Browser sign-in (password or OIDC) starts a login kept in the user
+ *   store; its random id travels in an HttpOnly cookie
+ * - Scripts send `Authorization: Bearer nimo_...` API tokens; only a hash of
+ *   each token is stored
+ *
+ * Roles, each including the ones before it:
+ * - rep      start bots, and see and stop their own sessions
+ * - manager  also sessions started by reps of their team, and offline replays
+ * - admin    every session, users, settings and clearing all data
+ *
+ * Sessions started before accounts existed have no owner and are only
+ * visible to admins.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['rep', 'manager', 'admin'];
+const SESSION_COOKIE = 'nimo_session';
+const DEFAULT_SESSION_HOURS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRACKED_EMAILS = 10000; // Failed sign-ins are kept per email typed, so the map is capped
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Whether a user may see a call.
+ * @param {object} user - Signed-in user
+ * @param {object|null} owner - { userId, team } recorded when the bot started
+ */
+function canAccessSession(user, owner) {
+  if (hasRole(user, 'admin')) return true;
+  if (!user || !owner) return false;
+  if (owner.userId === user.id) return true;
+  return user.role === 'manager' && Boolean(user.team) && owner.team === user.team;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Checked against when there is no password to check, so unknown emails take as long as wrong passwords
+let dummyHash = null;
+const getDummyHash = () => (dummyHash ||= hashPassword(crypto.randomBytes(16).toString('hex')));
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), 64);
+  const expectedHash = Buffer.from(expected, 'base64');
+  return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function parseCookies(header) {
+  return Object.fromEntries(
+    (header || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, ...value]) => [name, decodeCookieValue(value.join('='))])
+      .filter(([, value]) => value !== null)
+  );
+}
+
+// A malformed value (e.g. a stray '%') leaves that cookie out instead of failing the request
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a create or update request for a user account.
+ * @param {object} body - { email, name, role, team, password, disabled, allow_sso_link }
+ * @param {object} [options] - { partial: true } for updates (every field optional)
+ * @returns {{ changes: object, errors: string[] }}
+ */
+function validateUserInput(body, { partial = false } = {}) {
+  const errors = [];
+  const changes = {};
+  const given = key => body[key] !== undefined;
+
+  if (given('email') || !partial) {
+    if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(body.email.trim())) {
+      errors.push('email must be an email address');
+    } else {
+      changes.email = body.email.trim();
+    }
+  }
+  if (given('name') || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('name is required');
+    } else {
+      changes.name = body.name.trim();
+    }
+  }
+  if (given('role') || !partial) {
+    if (!ROLES.includes(body.role)) {
+      errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    } else {
+      changes.role = body.role;
+    }
+  }
+  if (given('team')) {
+    if (body.team !== null && typeof body.team !== 'string') {
+      errors.push('team must be a string or null');
+    } else {
+      changes.team = body.team ? body.team.trim() : null;
+    }
+  }
+  if (given('password')) {
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    } else {
+      changes.password = body.password;
+    }
+  }
+  if (given('disabled')) {
+    if (typeof body.disabled !== 'boolean') {
+      errors.push('disabled must be true or false');
+    } else {
+      changes.disabled = body.disabled;
+    }
+  }
+  if (given('allow_sso_link')) {
+    if (typeof body.allow_sso_link !== 'boolean') {
+      errors.push('allow_sso_link must be true or false');
+    } else {
+      changes.ssoLinkAllowed = body.allow_sso_link;
+    }
+  }
+  return { changes, errors };
+}
+
+// What the API shows about an account (never the hashes)
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    team: user.team,
+    disabled: user.disabled,
+    password_login: Boolean(user.passwordHash),
+    sso: Boolean(user.oidcSubject),
+    sso_link_allowed: Boolean(user.ssoLinkAllowed),
+    created_at: user.createdAt
+  };
+}
+
+function publicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    user_id: token.userId,
+    created_at: token.createdAt,
+    last_used_at: token.lastUsedAt
+  };
+}
+
+class AuthService {
+  /**
+   * @param {object} options
+   * @param {object} options.store - From createUserStore()
+   * @param {number} [options.sessionHours] - How long a browser login lasts
+   * @param {boolean} [options.secureCookies] - Always mark the cookie Secure (otherwise only on HTTPS requests)
+   */
+  constructor({ store, sessionHours = DEFAULT_SESSION_HOURS, secureCookies = false }) {
+    this.store = store;
+    this.sessionMs = sessionHours * 60 * 60 * 1000;
+    this.secureCookies = secureCookies;
+    this.failedLogins = new Map(); // lowercased email -> [epoch ms of recent failures]
+  }
+
+  /**
+   * Check an email and password.
+   * @returns {Promise<{ user?: object, error?: string, throttled?: boolean }>}
+   */
+  async checkPassword(email, password) {
+    // One normalized email for the throttle and the lookup, so ' A@x.io' counts against 'a@x.io'
+    const key = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const now = Date.now();
+    const recent = (this.failedLogins.get(key) || []).filter(at => now - at < FAILED_LOGIN_WINDOW_MS);
+    if (recent.length >= MAX_FAILED_LOGINS) {
+      return { error: 'Too many failed sign-ins - try again in a few minutes', throttled: true };
+    }
+
+    const user = key ? this.store.findUserByEmail(key) : null;
+    const matches = await verifyPassword(typeof password === 'string' ? password : '', user?.passwordHash || await getDummyHash());
+    if (!matches || !user?.passwordHash || user.disabled) {
+      this.recordFailedLogin(key, [...recent, now], now);
+      return { error: 'Invalid email or password' };
+    }
+    this.failedLogins.delete(key);
+    return { user };
+  }
+
+  recordFailedLogin(key, failures, now) {
+    this.failedLogins.delete(key); // Re-added last, so the map stays ordered by latest failure
+    for (const [email, times] of this.failedLogins) {
+      if (this.failedLogins.size < MAX_TRACKED_EMAILS && now - times[times.length - 1] < FAILED_LOGIN_WINDOW_MS) break;
+      this.failedLogins.delete(email);
+    }
+    this.failedLogins.set(key, failures);
+  }
+
+  // Start a browser login; returns the Set-Cookie value
+  startLogin(user, req) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.sessionMs;
+    this.store.deleteExpiredLogins(Date.now());
+    this.store.createLogin({ id, userId: user.id, expiresAt });
+    return this.cookie(id, Math.floor(this.sessionMs / 1000), req);
+  }
+
+  // End the browser login in the request's cookie; returns the Set-Cookie value that clears it
+  endLogin(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (id) this.store.deleteLogin(id);
+    return this.cookie('', 0, req);
+  }
+
+  cookie(value, maxAgeSeconds, req) {
+    const secure = this.secureCookies || req.secure;
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure ? '; Secure' : ''}`;
+  }
+
+  /**
+   * The user behind a request, from an API token or the login cookie.
+   * @returns {{ user: object, via: 'token'|'cookie' } | null}
+   */
+  authenticate(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (bearer) {
+      const token = this.store.findApiToken(hashToken(bearer[1]));
+      const user = token ? this.store.getUser(token.userId) : null;
+      if (!user || user.disabled) return null;
+      this.store.touchApiToken(token.id, new Date().toISOString());
+      return { user, via: 'token' };
+    }
+
+    const loginId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const login = loginId ? this.store.getLogin(loginId) : null;
+    if (!login || login.expiresAt <= Date.now()) return null;
+    const user = this.store.getUser(login.userId);
+    return user && !user.disabled ? { user, via: 'cookie' } : null;
+  }
+
+  /**
+   * Issue an API token. The plain token is only returned here.
+   * @returns {{ token: string, record: object }}
+   */
+  createApiToken(user, name) {
+    const token = `nimo_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = this.store.createApiToken({ userId: user.id, name, tokenHash: hashToken(token) });
+    return { token, record };
+  }
+}
+
+module.exports = {
+  AuthService,
+  ROLES,
+  hasRole,
+  canAccessSession,
+  hashPassword,
+  parseCookies,
+  validateUserInput,
+  publicUser,
+  publicToken
+};
@@ -0,0 +1,93 @@
+/**
+ * NIMO Live Nudges - Bot Lifecycle
+ *
+ * Where the Recall bot is in its call, built from Recall's bot status codes
+ * (status webhooks, or the bot's status_changes when polled):
+ *
+ *   joining       ready, joining_call
+ *   waiting_room  in_waiting_room
+ *   in_call       in_call_not_recording, recording_permission_allowed/denied
+ *   recording     in_call_recording
+ *   done          call_ended, done
+ *   fatal         fatal
+ *
+ * done and fatal are final: the call is over and the session gets finalized.
+ * Changes older than the last one applied (late retries, a poll racing a
+ * webhook) are ignored, and codes with no state (analysis_done,
+ * media_expired...) only show up in the history.
+ */
+
+const STATES = ['joining', 'waiting_room', 'in_call', 'recording', 'done', 'fatal'];
+const FINAL_STATES = ['done', 'fatal'];
+
+const STATE_BY_CODE = {
+  ready: 'joining',
+  joining_call: 'joining',
+  in_waiting_room: 'waiting_room',
+  in_call_not_recording: 'in_call',
+  recording_permission_allowed: 'in_call',
+  recording_permission_denied: 'in_call',
+  in_call_recording: 'recording',
+  call_ended: 'done',
+  done: 'done',
+  fatal: 'fatal'
+};
+
+const MAX_HISTORY = 50;
+
+class BotLifecycle {
+  /**
+   * @param {object} [saved] - A previous toJSON(), when a session is restored
+   */
+  constructor(saved = null) {
+    this.state = saved ? saved.state : 'joining';
+    this.code = saved ? saved.code : null;
+    this.subCode = saved ? saved.subCode : null;
+    this.updatedAt = saved ? saved.updatedAt : null;
+    this.history = saved ? [...saved.history] : []; // [{ code, subCode, state, at }]
+  }
+
+  isFinal() {
+    return FINAL_STATES.includes(this.state);
+  }
+
+  /**
+   * Apply one Recall status change.
+   * @param {object} change - { code, subCode, at } (at: ISO time Recall reported it)
+   * @returns {{ recorded: boolean, changed: boolean }} recorded: new to the history; changed: the state moved
+   */
+  apply({ code, subCode = null, at = new Date().toISOString() }) {
+    const ignored = { recorded: false, changed: false };
+    if (this.history.some(entry => entry.code === code && entry.at === at)) return ignored;
+    if (this.updatedAt && Date.parse(at) < Date.parse(this.updatedAt)) return ignored;
+
+    const next = STATE_BY_CODE[code] || null;
+    this.history.push({ code, subCode, state: next, at });
+    if (this.history.length > MAX_HISTORY) this.history.shift();
+    this.updatedAt = at;
+    // Once the call is over, later codes (done after call_ended...) don't reopen it
+    if (!next || this.isFinal()) return { recorded: true, changed: false };
+
+    const changed = next !== this.state;
+    this.state = next;
+    this.code = code;
+    this.subCode = subCode;
+    return { recorded: true, changed };
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      code: this.code,
+      subCode: this.subCode,
+      updatedAt: this.updatedAt,
+      history: this.history
+    };
+  }
+}
+
+module.exports = {
+  BotLifecycle,
+  STATES,
+  FINAL_STATES
+};
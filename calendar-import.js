@@ -0,0 +1,447 @@
+/**
+ * NIMO Live Nudges - Calendar Import
+ *
+ * Meetings to schedule bots for, from an ICS calendar file or feed:
+ *
+ *   parseCalendar(text, { from, to }) -> { meetings: [meeting], skipped: [{ title, start, reason }] }
+ *   fetchCalendar(url, { allowedHosts, allowPrivateHosts }) -> ICS text (webcal:// feeds are fetched over https)
+ *   findMeetingUrl(text) -> first Zoom, Google Meet or Teams link, or null
+ *
+ * meeting: { uid, title, start, end, organizer, attendees: [{ name, email }], meetingUrl }
+ * (start and end are ISO timestamps)
+ *
+ * Only events starting inside [from, to] are returned. Times with a TZID are
+ * converted with the runtime's time zone data (plus the common Windows zone
+ * names Outlook uses), floating times are read in the server's zone. Repeating events are expanded for FREQ=DAILY and WEEKLY
+ * (INTERVAL, COUNT, UNTIL, BYDAY, EXDATE and moved occurrences); other rules
+ * are reported as skipped.
+ *
+ * Feed URLs come from users, so fetchCalendar only connects to public
+ * addresses (no loopback, private, link-local or cloud metadata hosts), checks
+ * the address it actually connects to (a DNS answer can't swap in an internal
+ * one) and follows redirects itself, checking every hop the same way.
+ * allowedHosts narrows feeds to those hosts and their subdomains.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+// Addresses a feed URL may not reach: this host, the private network, link-local (cloud metadata) and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+const MAX_OCCURRENCES = 1000; // Per repeating event, so a bad rule can't loop forever
+
+const MEETING_LINKS = [
+  /https:\/\/(?:[\w-]+\.)?zoom\.us\/(?:j|my|w|wc\/join)\/[^\s"'<>\\]+/i,
+  /https:\/\/meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}/i,
+  /https:\/\/teams\.(?:microsoft|live)\.com\/(?:l\/meetup-join|meet)\/[^\s"'<>\\]+/i
+];
+// Where calendars put the meeting link, most specific first
+const LINK_PROPERTIES = ['X-GOOGLE-CONFERENCE', 'URL', 'LOCATION', 'DESCRIPTION', 'X-ALT-DESC'];
+// Outlook and Exchange name zones the Windows way
+const WINDOWS_ZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'India Standard Time': 'Asia/Kolkata',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney'
+};
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function findMeetingUrl(text) {
+  const found = MEETING_LINKS
+    .map(pattern => pattern.exec(text || ''))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)[0];
+  return found ? found[0].replace(/[).,;>]+$/, '') : null;
+}
+
+// ============================================
+// ICS Lines and Properties
+// ============================================
+const unescapeText = value => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// NAME;PARAM=a;PARAM="b:c":value (colons and semicolons inside quotes don't count)
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) colon = i;
+  }
+  if (colon === -1) return null;
+
+  const head = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  head.slice(1).forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: head[0].toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// VEVENT blocks as { NAME: [{ params, value }] }
+function readEvents(text) {
+  const events = [];
+  let current = null;
+  String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      current = {};
+    } else if (/^END:VEVENT$/i.test(line)) {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const property = parseLine(line);
+      if (property) (current[property.name] = current[property.name] || []).push(property);
+    }
+  });
+  return events;
+}
+
+const first = (event, name) => (event[name] ? event[name][0] : null);
+const textOf = (event, name) => (first(event, name) ? unescapeText(first(event, name).value).trim() : '');
+
+function person(property) {
+  const email = property.value.replace(/^mailto:/i, '').trim();
+  return { name: property.params.CN || null, email: email.includes('@') ? email : null };
+}
+
+// ============================================
+// Dates and Time Zones
+// ============================================
+// Offset of a time zone from UTC at an instant, in ms
+function zoneOffset(epoch, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(epoch));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - epoch;
+}
+
+/**
+ * A date-time value as wall-clock fields plus the zone to read them in.
+ * @returns {{ fields: number[], zone: string|null, allDay: boolean }} zone: 'UTC', a TZID, or null (floating)
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`unreadable date "${value}"`);
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0)];
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { fields, zone: null, allDay: true };
+  }
+  const zone = params.TZID ? WINDOWS_ZONES[params.TZID] || params.TZID : null;
+  return { fields, zone: utc ? 'UTC' : zone, allDay: false };
+}
+
+// Wall-clock fields in a zone -> epoch ms
+function toEpoch(fields, zone) {
+  if (zone === 'UTC') return Date.UTC(...fields);
+  if (!zone) return new Date(...fields).getTime();
+  const asUtc = Date.UTC(...fields);
+  let epoch = asUtc - zoneOffset(asUtc, zone);
+  // Near a DST change the offset at the guessed instant can differ from the real one
+  const offset = zoneOffset(epoch, zone);
+  if (asUtc - offset !== epoch) epoch = asUtc - offset;
+  return epoch;
+}
+
+function checkZone(zone) {
+  if (!zone || zone === 'UTC') return;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    throw new Error(`unknown time zone "${zone}"`);
+  }
+}
+
+// Same wall-clock time, `days` later (calendar days, so DST shifts don't move the meeting)
+function addDays(fields, days) {
+  const date = new Date(Date.UTC(fields[0], fields[1], fields[2] + days));
+  return [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), fields[3], fields[4], fields[5]];
+}
+
+const weekday = fields => new Date(Date.UTC(fields[0], fields[1], fields[2])).getUTCDay();
+
+function dateList(event, name) {
+  return (event[name] || []).flatMap(property => property.value.split(',').map(value => {
+    const date = parseDateValue(value, property.params);
+    return toEpoch(date.fields, date.zone);
+  }));
+}
+
+// ============================================
+// Repeating Events
+// ============================================
+function parseRule(value) {
+  return Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').toUpperCase()];
+  }));
+}
+
+/**
+ * Start times (wall-clock fields) of a repeating event, in order, up to `to`.
+ * Without a COUNT, periods that end before `from` are skipped.
+ */
+function expandRule(rule, start, from, to) {
+  if (!['DAILY', 'WEEKLY'].includes(rule.FREQ)) {
+    throw new Error(`repeat rule FREQ=${rule.FREQ} is not supported`);
+  }
+  const interval = Math.max(Number(rule.INTERVAL) || 1, 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  let until = Infinity;
+  if (rule.UNTIL) {
+    const parsed = parseDateValue(rule.UNTIL);
+    until = parsed.allDay ? toEpoch(parsed.fields, start.zone) + DAY_MS - 1 : toEpoch(parsed.fields, parsed.zone || start.zone);
+  }
+
+  const startDay = weekday(start.fields);
+  const days = rule.FREQ === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, ''))).filter(day => day >= 0)
+    : [startDay];
+  // Weeks run Monday to Sunday unless WKST says otherwise
+  const weekStart = WEEKDAYS.indexOf(rule.WKST || 'MO');
+  const offsets = days.map(day => (day - weekStart + 7) % 7).sort((a, b) => a - b);
+  const firstWeek = addDays(start.fields, -((startDay - weekStart + 7) % 7));
+
+  // A daily stand-up that started years ago doesn't need every past day walked through
+  const periodMs = interval * (rule.FREQ === 'DAILY' ? 1 : 7) * DAY_MS;
+  const firstStep = count === Infinity ? Math.max(Math.floor((from - toEpoch(start.fields, start.zone)) / periodMs) - 1, 0) : 0;
+
+  const occurrences = [];
+  for (let step = firstStep; occurrences.length < Math.min(count, MAX_OCCURRENCES) && step < firstStep + MAX_OCCURRENCES; step++) {
+    const candidates = rule.FREQ === 'DAILY'
+      ? [addDays(start.fields, step * interval)]
+      : offsets.map(offset => addDays(firstWeek, step * interval * 7 + offset));
+    for (const fields of candidates) {
+      const epoch = toEpoch(fields, start.zone);
+      if (epoch < toEpoch(start.fields, start.zone)) continue;
+      if (epoch > until || epoch > to || occurrences.length >= count) return occurrences;
+      occurrences.push(fields);
+    }
+  }
+  return occurrences;
+}
+
+// ============================================
+// Calendar -> Meetings
+// ============================================
+/**
+ * @param {string} text - ICS calendar
+ * @param {object} [window]
+ * @param {number} [window.from] - Epoch ms; earlier meetings are left out (default now)
+ * @param {number} [window.to] - Epoch ms; later meetings are left out (default 14 days from now)
+ */
+function parseCalendar(text, { from = Date.now(), to = Date.now() + 14 * DAY_MS } = {}) {
+  if (!/BEGIN:VCALENDAR/i.test(String(text))) {
+    throw new Error('Not an ICS calendar (no BEGIN:VCALENDAR)');
+  }
+  const meetings = [];
+  const skipped = [];
+  const events = readEvents(text);
+
+  // Occurrences moved or changed on their own (RECURRENCE-ID) replace the repeating event's original slot
+  const moved = new Map(); // uid -> [epoch of the original slot]
+  events.filter(event => first(event, 'RECURRENCE-ID')).forEach(event => {
+    try {
+      const uid = textOf(event, 'UID');
+      moved.set(uid, [...(moved.get(uid) || []), ...dateList(event, 'RECURRENCE-ID')]);
+    } catch (error) {
+      // An unreadable RECURRENCE-ID only means the original slot isn't replaced
+    }
+  });
+
+  events.forEach(event => {
+    const title = textOf(event, 'SUMMARY') || '(no title)';
+    const uid = textOf(event, 'UID') || null;
+    const skip = (reason, start = null) => skipped.push({ title, start, reason });
+
+    let start;
+    try {
+      start = parseDateValue(first(event, 'DTSTART').value, first(event, 'DTSTART').params);
+      checkZone(start.zone);
+    } catch (error) {
+      return skip(first(event, 'DTSTART') ? error.message : 'no start time');
+    }
+
+    const startEpoch = toEpoch(start.fields, start.zone);
+    let duration = 0;
+    if (first(event, 'DTEND')) {
+      try {
+        const end = parseDateValue(first(event, 'DTEND').value, first(event, 'DTEND').params);
+        duration = Math.max(toEpoch(end.fields, end.zone || start.zone) - startEpoch, 0);
+      } catch (error) {
+        duration = 0;
+      }
+    }
+
+    let starts = [start.fields];
+    const rule = first(event, 'RRULE');
+    if (rule && !first(event, 'RECURRENCE-ID')) {
+      try {
+        const excluded = [...dateList(event, 'EXDATE'), ...(moved.get(uid) || [])];
+        starts = expandRule(parseRule(rule.value), start, from, to)
+          .filter(fields => !excluded.includes(toEpoch(fields, start.zone)));
+      } catch (error) {
+        return skip(error.message, new Date(startEpoch).toISOString());
+      }
+    }
+
+    const upcoming = starts.map(fields => toEpoch(fields, start.zone)).filter(epoch => epoch >= from && epoch <= to);
+    if (upcoming.length === 0) return;
+    const firstStart = new Date(upcoming[0]).toISOString();
+
+    if (textOf(event, 'STATUS').toUpperCase() === 'CANCELLED') return skip('cancelled', firstStart);
+    if (start.allDay) return skip('all-day event', firstStart);
+    const meetingUrl = findMeetingUrl(LINK_PROPERTIES.map(name => textOf(event, name)).join('\n'));
+    if (!meetingUrl) return skip('no Zoom, Google Meet or Teams link', firstStart);
+
+    const organizer = first(event, 'ORGANIZER') ? person(first(event, 'ORGANIZER')) : null;
+    const attendees = (event.ATTENDEE || []).map(person);
+    upcoming.forEach(epoch => {
+      meetings.push({
+        uid,
+        title,
+        start: new Date(epoch).toISOString(),
+        end: new Date(epoch + duration).toISOString(),
+        organizer,
+        attendees,
+        meetingUrl
+      });
+    });
+  });
+
+  meetings.sort((a, b) => a.start.localeCompare(b.start));
+  return { meetings, skipped };
+}
+
+/**
+ * Download an ICS feed (webcal:// links are fetched over https).
+ * @returns {Promise<string>}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup for the feed's connection: refuses hosts that resolve to a blocked address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to an address feeds can't use`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkFeedUrl(url, { allowedHosts, allowPrivateHosts }) {
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new Error('Calendar URL must be http(s) or webcal');
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.length > 0 && !allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+    throw new Error(`${hostname} is not an allowed calendar host`);
+  }
+  // Names are checked when they are resolved (publicLookup); addresses never are
+  if (!allowPrivateHosts && net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`${hostname} is not an address feeds can use`);
+  }
+}
+
+// One GET without following redirects -> { status, location, text }
+function getFeed(url, { allowPrivateHosts }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup: allowPrivateHosts ? undefined : publicLookup,
+      timeout: FETCH_TIMEOUT_MS,
+      headers: { 'Accept': 'text/calendar, text/plain;q=0.9, */*;q=0.5' }
+    }, response => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ status: statusCode, location: headers.location });
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new Error(`Calendar feed answered ${statusCode}`));
+      }
+      if (Number(headers['content-length']) > MAX_CALENDAR_BYTES) {
+        response.destroy();
+        return reject(new Error('Calendar feed is larger than 5 MB'));
+      }
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_CALENDAR_BYTES) {
+          response.destroy();
+          reject(new Error('Calendar feed is larger than 5 MB'));
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      response.on('end', () => resolve({ status: statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error('Calendar feed timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * @param {string} url - http(s) or webcal feed URL
+ * @param {object} [options]
+ * @param {string[]} [options.allowedHosts] - Only these hosts and their subdomains (empty: any public host)
+ * @param {boolean} [options.allowPrivateHosts] - Reach loopback and private addresses too (local development only)
+ */
+async function fetchCalendar(url, { allowedHosts = [], allowPrivateHosts = false } = {}) {
+  const options = { allowedHosts: allowedHosts.map(host => host.toLowerCase()), allowPrivateHosts };
+  let current;
+  try {
+    current = new URL(String(url).replace(/^webcals?:/i, 'https:'));
+  } catch (error) {
+    throw new Error('Calendar URL is not a valid URL');
+  }
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    checkFeedUrl(current, options);
+    const response = await getFeed(current, options);
+    if (!response.location) return response.text;
+    current = new URL(response.location, current);
+  }
+  throw new Error(`Calendar feed redirected more than ${MAX_REDIRECTS} times`);
+}
+
+module.exports = {
+  parseCalendar,
+  fetchCalendar,
+  findMeetingUrl
+};
@@ -0,0 +1,225 @@
+/**
+ * NIMO Live Nudges - Offline Replay
+ *
+ * Feeds a recorded call through the same webhook handling and AIAgent
+ * pipeline as a live bot, so prompts and policies can be tuned without
+ * joining a meeting. Nudges go to a capture sink instead of Slack, SMS or
+ * the meeting chat.
+ *
+ * Accepted recordings:
+ * - nimo_export       Our JSON transcript export (GET /api/sessions/:botId/export?format=json)
+ * - recall_transcript Recall transcript download: [{ participant, words: [{ text, start_timestamp, end_timestamp }] }]
+ *                     (the older [{ speaker, speaker_id, words: [{ text, start_time, end_time }] }] shape too)
+ * - recall_webhooks   Recorded webhook bodies: [{ event, data: { data: { participant, words } } }],
+ *                     partial captions included
+ *
+ * Every recording becomes a list of transcript events with the recording
+ * time (seconds) at which Recall would have sent them.
+ */
+
+const TRANSCRIPT_EVENTS = ['transcript.data', 'transcript.partial_data'];
+
+// Spread words evenly over an utterance when the recording has no word timing
+function spreadWords(text, start, end) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const step = words.length > 0 ? (end - start) / words.length : 0;
+  return words.map((word, index) => ({ text: word, start: start + index * step, end: start + (index + 1) * step }));
+}
+
+function toRecallWords(words) {
+  return words.map(word => ({
+    text: word.text,
+    start_timestamp: { relative: word.start },
+    end_timestamp: { relative: word.end }
+  }));
+}
+
+// Transcript events sent once the utterance's last word has been spoken
+function finalEvent(participant, words) {
+  return {
+    at: words[words.length - 1].end,
+    event: 'transcript.data',
+    transcript: { participant, words: toRecallWords(words) }
+  };
+}
+
+function fromNimoExport(raw) {
+  const speakerIds = new Map();
+  return raw.utterances
+    .filter(u => typeof u.text === 'string' && u.text.trim())
+    .map(u => {
+      if (!speakerIds.has(u.speaker)) speakerIds.set(u.speaker, `speaker-${speakerIds.size + 1}`);
+      const timed = Array.isArray(u.words) && u.words.length > 0 && u.words.every(word => typeof word.start === 'number');
+      const words = timed
+        ? u.words.map(word => ({ text: word.text, start: word.start, end: word.end ?? word.start }))
+        : spreadWords(u.text, u.start || 0, u.end || u.start || 0);
+      return finalEvent({
+        id: u.participant_id || speakerIds.get(u.speaker),
+        name: u.speaker,
+        is_host: u.is_host ?? u.role === 'SALES REP'
+      }, words);
+    });
+}
+
+function fromRecallTranscript(segments) {
+  return segments
+    .filter(segment => Array.isArray(segment.words) && segment.words.length > 0)
+    .map(segment => {
+      const participant = segment.participant || {
+        id: segment.speaker_id ?? segment.speaker,
+        name: segment.speaker,
+        is_host: segment.is_host || false
+      };
+      const words = segment.words.map(word => {
+        const start = word.start_timestamp?.relative ?? word.start_time;
+        return { text: word.text, start, end: word.end_timestamp?.relative ?? word.end_time ?? start };
+      });
+      return finalEvent(participant, words);
+    });
+}
+
+function fromRecallWebhooks(bodies) {
+  return bodies
+    .filter(body => TRANSCRIPT_EVENTS.includes(body.event) && Array.isArray(body.data?.data?.words) && body.data.data.words.length > 0)
+    .map(body => {
+      const { participant, words } = body.data.data;
+      const last = words[words.length - 1];
+      return {
+        at: last.end_timestamp?.relative ?? last.start_timestamp?.relative,
+        event: body.event,
+        transcript: {
+          participant,
+          words: words.map(({ text, start_timestamp, end_timestamp }) => ({
+            text,
+            start_timestamp: { relative: start_timestamp?.relative },
+            end_timestamp: { relative: end_timestamp?.relative ?? start_timestamp?.relative }
+          }))
+        }
+      };
+    });
+}
+
+/**
+ * Turn a recording into timed transcript events.
+ * @param {object|Array} raw - Parsed recording JSON
+ * @returns {{ source: string, meetingUrl: string|null, events: Array<{ at: number, event: string, transcript: object }> }}
+ */
+function parseRecording(raw) {
+  let source;
+  let events;
+  if (raw && !Array.isArray(raw) && Array.isArray(raw.utterances)) {
+    source = 'nimo_export';
+    events = fromNimoExport(raw);
+  } else if (Array.isArray(raw) && raw.length > 0 && raw[0].event) {
+    source = 'recall_webhooks';
+    events = fromRecallWebhooks(raw);
+  } else if (Array.isArray(raw) && raw.length > 0 && Array.isArray(raw[0].words)) {
+    source = 'recall_transcript';
+    events = fromRecallTranscript(raw);
+  } else {
+    throw new Error('Unrecognized recording: expected a NIMO JSON export, a Recall transcript or a list of Recall webhook events');
+  }
+
+  const untimed = events.filter(item => typeof item.at !== 'number' || Number.isNaN(item.at)).length;
+  if (untimed > 0) {
+    throw new Error(`${untimed} utterance(s) in the ${source} recording have no timing`);
+  }
+  if (!events.some(item => item.event === 'transcript.data')) {
+    throw new Error('Recording has no final transcript lines');
+  }
+
+  // Stable sort keeps a partial ahead of the final that shares its end time
+  events.sort((a, b) => a.at - b.at);
+  return { source, meetingUrl: raw.meeting_url || null, events };
+}
+
+/**
+ * Webhook payload for one event, with absolute word times on the replay clock.
+ * @param {object} transcript - From parseRecording()
+ * @param {number} startedAt - Epoch ms the replay treats as recording time 0
+ */
+function withAbsoluteTimes(transcript, startedAt) {
+  const absolute = seconds => new Date(startedAt + seconds * 1000).toISOString();
+  return {
+    ...transcript,
+    words: transcript.words.map(word => ({
+      text: word.text,
+      start_timestamp: { ...word.start_timestamp, absolute: absolute(word.start_timestamp.relative) },
+      end_timestamp: { ...word.end_timestamp, absolute: absolute(word.end_timestamp.relative) }
+    }))
+  };
+}
+
+/**
+ * Stand-in for the outbound channels during a replay (the CAPTURE channel):
+ * records every nudge the rep would have received.
+ */
+class CaptureSink {
+  /**
+   * @param {object} [clock] - Replay clock ({ now }), so capture times are on the recording's timeline
+   */
+  constructor(clock = { now: () => Date.now() }) {
+    this.clock = clock;
+    this.nudges = [];
+  }
+
+  // Channel contract: keeps the nudge as the agent produced it, not as a channel would format it
+  async sendNudge({ nudge }) {
+    this.nudges.push({ ...nudge, timestamp: new Date(this.clock.now()).toISOString() });
+    return true;
+  }
+}
+
+/**
+ * Nudges grouped by the batch that produced them (live-rule nudges have no batch).
+ * @param {object} run - { startedAt, agent, sink }
+ */
+function buildReplayResult({ startedAt, agent, sink }) {
+  const seconds = timestamp => Math.round((Date.parse(timestamp) - startedAt) / 100) / 10;
+  const toEntry = (nudge, status) => ({
+    batch_number: nudge.batchNumber ?? null,
+    at: seconds(nudge.timestamp),
+    status,
+    source: nudge.source || 'ai',
+    ...(nudge.ruleId ? { rule_id: nudge.ruleId } : {}),
+    category: nudge.category,
+    severity: nudge.severity,
+    message: nudge.message,
+    transcript_excerpt: nudge.transcriptExcerpt || null,
+    reason: nudge.reason || null,
+    ...(status === 'suppressed' ? { suppressed_by: nudge.rule, detail: nudge.detail } : {})
+  });
+
+  const nudges = [
+    ...sink.nudges.map(nudge => toEntry(nudge, 'delivered')),
+    ...agent.nudgeGovernor.getState().suppressed.map(nudge => toEntry(nudge, 'suppressed'))
+  ].sort((a, b) => a.at - b.at);
+
+  return {
+    playbook: agent.getPlaybookInfo(),
+    llm: agent.getLLMInfo(),
+    utterances: agent.conversationHistory.length,
+    totals: {
+      batches: agent.batchCount,
+      delivered: nudges.filter(nudge => nudge.status === 'delivered').length,
+      suppressed: nudges.filter(nudge => nudge.status === 'suppressed').length
+    },
+    batches: agent.batchLog.map(batch => ({
+      batch_number: batch.batchNumber,
+      at: seconds(batch.timestamp),
+      trigger: batch.trigger,
+      detail: batch.detail,
+      messages_analyzed: batch.messagesAnalyzed,
+      nudges: nudges.filter(nudge => nudge.batch_number === batch.batchNumber)
+    })),
+    live_rule_nudges: nudges.filter(nudge => nudge.batch_number === null),
+    nudges
+  };
+}
+
+module.exports = {
+  parseRecording,
+  withAbsoluteTimes,
+  CaptureSink,
+  buildReplayResult
+};
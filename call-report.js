@@ -0,0 +1,200 @@
+/**
+ * NIMO Live Nudges - Post-Call Report
+ *
+ * When a session ends, AIAgent asks the model for a structured review of
+ * the whole call:
+ *
+ * - summary, pain_points
+ * - bant         Outcome per element (the live scorecard wins where it has data)
+ * - objections   What was raised and how the rep handled it
+ * - next_steps   Who does what, by when
+ * - rep_scorecard 1-5 ratings with strengths and improvements
+ * - metrics      Computed server-side (duration, talk ratio, nudges)
+ *
+ * If the model doesn't return usable JSON, a report is assembled from the
+ * running summary, scorecard and nudges instead, so a call always ends with
+ * a report.
+ */
+
+const REPORT_INSTRUCTION = `You review a finished sales call for the sales rep's coach.
+You receive the summary of the earlier part of the call (may be empty), the transcript, the live BANT scorecard and the coaching nudges the rep received during the call.
+Respond with ONLY a JSON object, no prose, in exactly this shape:
+{
+  "summary": "3-5 sentences: who was on the call, what was discussed, where the deal stands",
+  "pain_points": ["specific pain in the prospect's words, with numbers if given"],
+  "bant": {
+    "budget": { "status": "unknown|discussed|confirmed|disqualified", "evidence": "quote or note" },
+    "authority": { "status": "unknown|discussed|confirmed|disqualified", "evidence": "quote or note" },
+    "need": { "status": "unknown|discussed|confirmed|disqualified", "evidence": "quote or note" },
+    "timeline": { "status": "unknown|discussed|confirmed|disqualified", "evidence": "quote or note" }
+  },
+  "objections": [{ "objection": "what the prospect raised", "handling": "how the rep responded", "handled": true }],
+  "next_steps": [{ "action": "what was agreed", "owner": "rep|prospect|both", "due": "date or timeframe if stated, else empty" }],
+  "rep_scorecard": {
+    "discovery": 1, "qualification": 1, "objection_handling": 1, "value_connection": 1, "next_steps": 1, "overall": 1,
+    "strengths": ["what the rep did well"],
+    "improvements": ["the most important thing to do differently next call"]
+  }
+}
+Ratings are 1 (poor) to 5 (excellent). Only use facts from the call; use empty arrays when nothing applies.`;
+
+const BANT_KEYS = ['budget', 'authority', 'need', 'timeline'];
+const SCORECARD_RATINGS = ['discovery', 'qualification', 'objection_handling', 'value_connection', 'next_steps', 'overall'];
+
+function formatUtterances(utterances) {
+  return utterances.map(u => `[${u.role} - ${u.speaker}]: ${u.text}`).join('\n');
+}
+
+function wordCount(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Numbers the report doesn't need the model for.
+ * @param {Array} conversationHistory - [{ role, text, timestamp }]
+ * @param {object} nudgeReport - AIAgent.getNudgeReport()
+ */
+function computeCallMetrics(conversationHistory, nudgeReport) {
+  const words = { rep: 0, prospect: 0 };
+  conversationHistory.forEach(u => {
+    words[u.role === 'SALES REP' ? 'rep' : 'prospect'] += wordCount(u.text);
+  });
+  const totalWords = words.rep + words.prospect;
+  const timestamps = conversationHistory.map(u => u.timestamp).filter(Boolean);
+  const durationMs = timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : 0;
+
+  return {
+    duration_minutes: Math.round(durationMs / 60000),
+    utterances: conversationHistory.length,
+    talk_ratio: {
+      rep: totalWords ? Math.round((words.rep / totalWords) * 100) : 0,
+      prospect: totalWords ? Math.round((words.prospect / totalWords) * 100) : 0
+    },
+    nudges_sent: nudgeReport.nudges.length,
+    nudges_suppressed: nudgeReport.suppressed.length,
+    nudges_by_category: nudgeReport.by_category
+  };
+}
+
+/**
+ * Prompt for the report model.
+ * @param {object} input
+ * @param {object|null} input.summary - Running summary of compressed turns
+ * @param {Array} input.utterances - Transcript not covered by the summary
+ * @param {object} input.scorecard - Live BANT scorecard elements
+ * @param {Array} input.nudges - Delivered nudges
+ */
+function buildReportRequest({ summary, utterances, scorecard, nudges }) {
+  const nudgeLines = nudges.map(n => `- ${n.category} (${n.severity}): ${n.message}`).join('\n') || '(none)';
+  return `SUMMARY OF EARLIER PART OF THE CALL:
+${summary ? JSON.stringify(summary, null, 2) : '(none - the full transcript follows)'}
+
+TRANSCRIPT:
+${formatUtterances(utterances) || '(no transcript)'}
+
+LIVE BANT SCORECARD:
+${JSON.stringify(scorecard, null, 2)}
+
+COACHING NUDGES SENT DURING THE CALL:
+${nudgeLines}`;
+}
+
+function clampRating(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rating = Math.round(Number(value));
+  return Number.isFinite(rating) ? Math.min(5, Math.max(1, rating)) : null;
+}
+
+// Live scorecard entries beat the model's after-the-fact reading
+function mergeBant(reportBant, scorecard) {
+  const bant = {};
+  BANT_KEYS.forEach(key => {
+    const live = scorecard[key];
+    const fromReport = (reportBant || {})[key] || {};
+    bant[key] = live && live.status !== 'unknown'
+      ? { status: live.status, evidence: live.evidence, source: 'scorecard' }
+      : { status: fromReport.status || 'unknown', evidence: fromReport.evidence || '', source: fromReport.status ? 'report' : 'none' };
+  });
+  return bant;
+}
+
+function normalizeScorecard(raw) {
+  const scorecard = {};
+  SCORECARD_RATINGS.forEach(key => { scorecard[key] = clampRating(raw?.[key]); });
+  scorecard.strengths = Array.isArray(raw?.strengths) ? raw.strengths : [];
+  scorecard.improvements = Array.isArray(raw?.improvements) ? raw.improvements : [];
+  return scorecard;
+}
+
+/**
+ * Report assembled without the model: running summary, live scorecard and
+ * the nudges the rep received.
+ */
+function buildFallbackReport({ summary, scorecard, nudges }) {
+  return {
+    summary: summary?.overview || 'The model did not return a report; this one was assembled from the live scorecard and coaching nudges.',
+    pain_points: summary?.pain_points || [],
+    bant: mergeBant(summary?.bant, scorecard),
+    objections: nudges
+      .filter(n => n.category.startsWith('objection_'))
+      .map(n => ({ objection: n.transcriptExcerpt || n.categoryLabel, handling: `Coached: ${n.message}`, handled: null })),
+    next_steps: (summary?.commitments || []).map(action => ({ action, owner: '', due: '' })),
+    rep_scorecard: {
+      ...normalizeScorecard({}),
+      improvements: nudges.map(n => `${n.categoryLabel || n.category}: ${n.message}`)
+    }
+  };
+}
+
+/**
+ * Parse the model's JSON report (```json fences allowed) and fill in what
+ * the server knows better. Falls back to buildFallbackReport().
+ * @returns {object} report
+ */
+function parseReport(text, { summary, scorecard, nudges, metrics }) {
+  const cleaned = (text || '').replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+  let report;
+  let source = 'llm';
+  try {
+    const parsed = JSON.parse(cleaned);
+    report = {
+      summary: parsed.summary || '',
+      pain_points: Array.isArray(parsed.pain_points) ? parsed.pain_points : [],
+      bant: mergeBant(parsed.bant, scorecard),
+      objections: Array.isArray(parsed.objections) ? parsed.objections : [],
+      next_steps: Array.isArray(parsed.next_steps) ? parsed.next_steps : [],
+      rep_scorecard: normalizeScorecard(parsed.rep_scorecard)
+    };
+  } catch (error) {
+    report = buildFallbackReport({ summary, scorecard, nudges });
+    source = 'fallback';
+  }
+  return { ...report, metrics, source, generated_at: new Date().toISOString() };
+}
+
+/**
+ * Plain-text version for SMS, trimmed to maxLength.
+ */
+function condenseReport(report, maxLength = 600) {
+  const bant = BANT_KEYS.map(key => `${key[0].toUpperCase()}:${report.bant[key].status === 'confirmed' ? '✓' : report.bant[key].status === 'disqualified' ? '✗' : '?'}`).join(' ');
+  const lines = [
+    'Nimo Call Report',
+    '',
+    report.summary,
+    '',
+    `BANT ${bant}`,
+    report.rep_scorecard.overall ? `Overall: ${report.rep_scorecard.overall}/5` : null,
+    report.next_steps.length > 0 ? `Next: ${report.next_steps.map(step => step.action).join('; ')}` : null,
+    report.rep_scorecard.improvements[0] ? `Focus: ${report.rep_scorecard.improvements[0]}` : null
+  ].filter(line => line !== null);
+  const text = lines.join('\n');
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = {
+  REPORT_INSTRUCTION,
+  computeCallMetrics,
+  buildReportRequest,
+  parseReport,
+  condenseReport
+};
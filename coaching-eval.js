@@ -0,0 +1,277 @@
+/**
+ * NIMO Live Nudges - Coaching Evaluation
+ *
+ * Scores replays of annotated ("golden") calls against the nudges a good
+ * coach would have sent, so prompt and playbook edits can be compared.
+ *
+ * A suite is a folder of case files (recordings may sit in a subfolder):
+ *
+ * {
+ *   "id": "price-objection",
+ *   "description": "Prospect pushes back on price after discovery",
+ *   "recording": "recordings/price-objection.json",   // path from the suite folder, or the recording inline
+ *   "playbooks": ["sales-coach", "discovery"],         // optional: only score these playbooks
+ *   "expected": [
+ *     { "category": "objection_price", "from": 42, "to": 90, "note": "first price pushback" }
+ *   ],
+ *   "must_not_nudge": [
+ *     { "from": 0, "to": 30, "note": "small talk" }      // optional "categories" narrows the window
+ *   ],
+ *   "mock_script": [...]                                  // responses for runs with the mock provider
+ * }
+ *
+ * Times are seconds from the start of the recording. `category` may also be
+ * a list of acceptable categories.
+ *
+ * Scoring (delivered nudges only; suppressed ones never reached the rep):
+ * - a nudge matches an expectation when its category is acceptable and it
+ *   arrived inside the window; each nudge matches at most one expectation
+ * - precision = matched nudges / delivered nudges, recall = met expectations / expectations
+ * - timing error = seconds from the start of the window to the matching nudge
+ * - over-nudging = unmatched nudges, nudges inside must-not-nudge windows and nudges per minute
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NUDGE_CATEGORIES } = require('./nudge-taxonomy');
+
+function validateWindows(windows, key, requireCategory) {
+  const errors = [];
+  if (!Array.isArray(windows)) {
+    return [`${key} must be an array`];
+  }
+  windows.forEach((window, index) => {
+    const label = `${key}[${index}]`;
+    if (typeof window.from !== 'number' || typeof window.to !== 'number' || window.from > window.to) {
+      errors.push(`${label}: from and to must be seconds with from <= to`);
+    }
+    const categories = window.category ?? window.categories;
+    if (requireCategory && categories === undefined) {
+      errors.push(`${label}: category is required`);
+    }
+    [].concat(categories ?? [])
+      .filter(category => !Object.hasOwn(NUDGE_CATEGORIES, category))
+      .forEach(category => errors.push(`${label}: unknown category "${category}"`));
+  });
+  return errors;
+}
+
+function validateCase(raw) {
+  const errors = [];
+  if (typeof raw.id !== 'string' || !/^[a-z0-9-]+$/.test(raw.id)) {
+    errors.push('id must be a lowercase slug (letters, digits, dashes)');
+  }
+  if (!raw.recording || (typeof raw.recording !== 'string' && typeof raw.recording !== 'object')) {
+    errors.push('recording is required (a path or the recording itself)');
+  }
+  errors.push(...validateWindows(raw.expected, 'expected', true));
+  errors.push(...validateWindows(raw.must_not_nudge || [], 'must_not_nudge', false));
+  if (raw.playbooks !== undefined && (!Array.isArray(raw.playbooks) || raw.playbooks.some(id => typeof id !== 'string'))) {
+    errors.push('playbooks must be a list of playbook ids');
+  }
+  return errors;
+}
+
+/**
+ * Load and validate every case in a suite folder. Invalid cases are logged and skipped.
+ * @param {string} directory
+ * @returns {{ cases: Array, errors: Array<{ file: string, errors: string[] }> }}
+ */
+function loadEvalSuite(directory) {
+  const cases = [];
+  const errors = [];
+  const files = fs.existsSync(directory)
+    ? fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort()
+    : [];
+
+  for (const file of files) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const caseErrors = validateCase(raw);
+      if (caseErrors.length === 0 && cases.some(existing => existing.id === raw.id)) {
+        caseErrors.push(`duplicate id "${raw.id}"`);
+      }
+      if (caseErrors.length === 0 && typeof raw.recording === 'string') {
+        const recordingPath = path.join(directory, raw.recording);
+        if (fs.existsSync(recordingPath)) {
+          raw.recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+        } else {
+          caseErrors.push(`recording file ${raw.recording} not found`);
+        }
+      }
+      if (caseErrors.length > 0) {
+        errors.push({ file, errors: caseErrors });
+        continue;
+      }
+      cases.push({ description: '', must_not_nudge: [], mock_script: undefined, ...raw, file });
+    } catch (error) {
+      errors.push({ file, errors: [`invalid JSON: ${error.message}`] });
+    }
+  }
+
+  errors.forEach(({ file, errors: caseErrors }) => {
+    console.error(`❌ Eval case ${file} skipped:\n   - ${caseErrors.join('\n   - ')}`);
+  });
+  if (cases.length === 0) {
+    throw new Error(`No valid evaluation cases found in ${directory}`);
+  }
+  return { cases, errors };
+}
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+function acceptsCategory(window, category) {
+  const categories = [].concat(window.category ?? window.categories ?? []);
+  return categories.length === 0 || categories.includes(category);
+}
+
+/**
+ * Score one replay against its case.
+ * @param {object} testCase - From loadEvalSuite()
+ * @param {object} result - Replay result (GET /api/replays/:replayId -> result)
+ * @param {number} recordingSeconds - Length of the recording
+ */
+function scoreCase(testCase, result, recordingSeconds) {
+  const delivered = result.nudges.filter(nudge => nudge.status === 'delivered');
+  const used = new Set();
+  const matches = [];
+  const misses = [];
+
+  [...testCase.expected].sort((a, b) => a.from - b.from).forEach(expectation => {
+    const index = delivered.findIndex((nudge, i) =>
+      !used.has(i) && acceptsCategory(expectation, nudge.category) && nudge.at >= expectation.from && nudge.at <= expectation.to
+    );
+    if (index === -1) {
+      // Closest nudge of an acceptable category, to tell "too early/late" from "never sent"
+      const nearest = delivered
+        .filter(nudge => acceptsCategory(expectation, nudge.category))
+        .sort((a, b) => Math.abs(a.at - expectation.from) - Math.abs(b.at - expectation.from))[0];
+      misses.push({ ...expectation, nearest: nearest ? { at: nearest.at, category: nearest.category } : null });
+      return;
+    }
+    used.add(index);
+    const nudge = delivered[index];
+    matches.push({ ...expectation, at: nudge.at, error_s: round(nudge.at - expectation.from), message: nudge.message });
+  });
+
+  const extras = delivered.filter((nudge, i) => !used.has(i));
+  const violations = extras
+    .map(nudge => ({
+      nudge,
+      window: testCase.must_not_nudge.find(window => nudge.at >= window.from && nudge.at <= window.to && acceptsCategory(window, nudge.category))
+    }))
+    .filter(({ window }) => window)
+    .map(({ nudge, window }) => ({ at: nudge.at, category: nudge.category, message: nudge.message, window }));
+  const errorsS = matches.map(match => match.error_s);
+
+  return {
+    expected: testCase.expected.length,
+    delivered: delivered.length,
+    suppressed: result.nudges.length - delivered.length,
+    matched: matches.length,
+    precision: round(ratio(matches.length, delivered.length)),
+    recall: round(ratio(matches.length, testCase.expected.length)),
+    timing: {
+      mean_error_s: round(errorsS.length > 0 ? errorsS.reduce((sum, error) => sum + error, 0) / errorsS.length : null),
+      max_error_s: errorsS.length > 0 ? Math.max(...errorsS) : null
+    },
+    over_nudging: {
+      extra_nudges: extras.length,
+      must_not_nudge_violations: violations.length,
+      nudges_per_minute: round(recordingSeconds > 0 ? delivered.length / (recordingSeconds / 60) : null)
+    },
+    matches,
+    misses,
+    extras: extras.map(({ at, category, severity, message }) => ({ at, category, severity, message })),
+    violations
+  };
+}
+
+/**
+ * Per-playbook totals over every case (precision and recall over all nudges, not averaged per case).
+ * @param {Array<{ playbook: string, score: object, recordingSeconds: number }>} caseRuns
+ */
+function summarizeRun(caseRuns) {
+  const summary = {};
+  caseRuns.forEach(({ playbook, score, recordingSeconds }) => {
+    const totals = summary[playbook] || (summary[playbook] = {
+      cases: 0, expected: 0, delivered: 0, matched: 0, suppressed: 0,
+      extra_nudges: 0, must_not_nudge_violations: 0, seconds: 0, errors: []
+    });
+    totals.cases++;
+    totals.expected += score.expected;
+    totals.delivered += score.delivered;
+    totals.matched += score.matched;
+    totals.suppressed += score.suppressed;
+    totals.extra_nudges += score.over_nudging.extra_nudges;
+    totals.must_not_nudge_violations += score.over_nudging.must_not_nudge_violations;
+    totals.seconds += recordingSeconds;
+    totals.errors.push(...score.matches.map(match => match.error_s));
+  });
+
+  return Object.fromEntries(Object.entries(summary).map(([playbook, totals]) => [playbook, {
+    cases: totals.cases,
+    expected: totals.expected,
+    delivered: totals.delivered,
+    matched: totals.matched,
+    suppressed: totals.suppressed,
+    precision: round(ratio(totals.matched, totals.delivered)),
+    recall: round(ratio(totals.matched, totals.expected)),
+    mean_timing_error_s: round(totals.errors.length > 0 ? totals.errors.reduce((sum, error) => sum + error, 0) / totals.errors.length : null),
+    extra_nudges: totals.extra_nudges,
+    must_not_nudge_violations: totals.must_not_nudge_violations,
+    nudges_per_minute: round(totals.seconds > 0 ? totals.delivered / (totals.seconds / 60) : null)
+  }]));
+}
+
+const DIFF_METRICS = ['precision', 'recall', 'mean_timing_error_s', 'extra_nudges', 'must_not_nudge_violations', 'nudges_per_minute'];
+
+/**
+ * Compare two saved runs: per-playbook metric changes and the cases whose score moved.
+ * @param {object} base - Saved run
+ * @param {object} head - Saved run
+ */
+function diffRuns(base, head) {
+  const delta = (before, after) => (typeof before === 'number' && typeof after === 'number' ? round(after - before) : null);
+  const playbooks = [...new Set([...Object.keys(base.summary), ...Object.keys(head.summary)])];
+
+  const summary = Object.fromEntries(playbooks.map(playbook => {
+    const before = base.summary[playbook] || null;
+    const after = head.summary[playbook] || null;
+    return [playbook, Object.fromEntries(DIFF_METRICS.map(metric => [metric, {
+      base: before ? before[metric] : null,
+      head: after ? after[metric] : null,
+      delta: before && after ? delta(before[metric], after[metric]) : null
+    }]))];
+  }));
+
+  const key = run => `${run.playbook}/${run.case}`;
+  const baseCases = new Map(base.cases.map(run => [key(run), run]));
+  const cases = head.cases
+    .map(run => ({ run, before: baseCases.get(key(run)) }))
+    .filter(({ run, before }) => !before ||
+      before.score.precision !== run.score.precision ||
+      before.score.recall !== run.score.recall ||
+      before.score.over_nudging.must_not_nudge_violations !== run.score.over_nudging.must_not_nudge_violations)
+    .map(({ run, before }) => ({
+      playbook: run.playbook,
+      case: run.case,
+      precision: { base: before ? before.score.precision : null, head: run.score.precision },
+      recall: { base: before ? before.score.recall : null, head: run.score.recall },
+      must_not_nudge_violations: {
+        base: before ? before.score.over_nudging.must_not_nudge_violations : null,
+        head: run.score.over_nudging.must_not_nudge_violations
+      }
+    }));
+
+  return { summary, cases };
+}
+
+module.exports = {
+  loadEvalSuite,
+  scoreCase,
+  summarizeRun,
+  diffRuns,
+  DIFF_METRICS
+};
@@ -0,0 +1,237 @@
+/**
+ * NIMO Live Nudges - Long-Call Context Manager
+ *
+ * The coaching chat keeps every batch, so an hour-long call keeps growing
+ * the model's context. Once the estimated context passes maxContextTokens,
+ * AIAgent asks the model to fold the older part of the call into a running
+ * structured summary and re-seeds a fresh chat with:
+ *
+ *   [summary of everything before] + [the last keepRecentUtterances verbatim]
+ *
+ * so the coach keeps full-call awareness (pain points, BANT, objections,
+ * commitments, nudges already sent) at a bounded context size.
+ */
+
+const { estimateTokens } = require('./llm-providers');
+
+const DEFAULT_CONTEXT_POLICY = {
+  maxContextTokens: parseInt(process.env.CONTEXT_TOKEN_LIMIT, 10) || 32000,
+  keepRecentUtterances: 30
+};
+
+const SUMMARY_INSTRUCTION = `You maintain a running summary of a live sales call for an AI sales coach.
+You receive the previous summary (may be empty), the transcript lines that are being removed from the coach's memory, and the coaching nudges already sent.
+Merge them into ONE updated summary. Keep every fact that matters for coaching later in the call; drop small talk.
+Respond with ONLY a JSON object, no prose, in exactly this shape:
+{
+  "overview": "2-4 sentences on who is on the call and where the conversation stands",
+  "pain_points": ["specific pain in the prospect's words, with numbers if given"],
+  "bant": {
+    "budget": { "status": "unknown|discussed|confirmed", "evidence": "quote or note" },
+    "authority": { "status": "unknown|discussed|confirmed", "evidence": "quote or note" },
+    "need": { "status": "unknown|discussed|confirmed", "evidence": "quote or note" },
+    "timeline": { "status": "unknown|discussed|confirmed", "evidence": "quote or note" }
+  },
+  "objections": [{ "objection": "what was raised", "handled": true }],
+  "buying_signals": ["signal"],
+  "commitments": ["what either side agreed to do"],
+  "nudges_sent": ["category: short description of coaching already given"]
+}`;
+
+const BANT_KEYS = ['budget', 'authority', 'need', 'timeline'];
+
+// Repeated extractive fallbacks keep only the tail of the overview
+const MAX_EXTRACTIVE_OVERVIEW_CHARS = 6000;
+
+function emptySummary() {
+  const bant = {};
+  BANT_KEYS.forEach(key => { bant[key] = { status: 'unknown', evidence: '' }; });
+  return {
+    overview: '',
+    pain_points: [],
+    bant,
+    objections: [],
+    buying_signals: [],
+    commitments: [],
+    nudges_sent: []
+  };
+}
+
+function formatUtterances(utterances) {
+  return utterances.map(u => `[${u.role} - ${u.speaker}]: ${u.text}`).join('\n');
+}
+
+// Problems with a session's context_policy; [] when valid
+function validateContextPolicy(policy) {
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['contextPolicy must be an object'];
+  }
+  const errors = [];
+  Object.keys(policy).filter(key => !(key in DEFAULT_CONTEXT_POLICY)).forEach(key => {
+    errors.push(`contextPolicy: unknown setting "${key}"`);
+  });
+  if ('maxContextTokens' in policy && !(Number.isInteger(policy.maxContextTokens) && policy.maxContextTokens > 0)) {
+    errors.push('contextPolicy.maxContextTokens must be a whole number above 0');
+  }
+  if ('keepRecentUtterances' in policy && !(Number.isInteger(policy.keepRecentUtterances) && policy.keepRecentUtterances >= 0)) {
+    errors.push('contextPolicy.keepRecentUtterances must be a whole number >= 0');
+  }
+  return errors;
+}
+
+class ContextManager {
+  constructor(overrides = {}) {
+    this.config = { ...DEFAULT_CONTEXT_POLICY, ...overrides };
+    this.summary = null;
+    this.summarizedUpTo = 0; // conversationHistory index covered by the summary
+    this.compressions = [];
+    this.contextTokens = 0;
+    this.estimatedTokens = 0;
+  }
+
+  // Start counting a fresh chat (system prompt + seed history)
+  resetEstimate(seedText) {
+    this.estimatedTokens = estimateTokens(seedText);
+    this.contextTokens = this.estimatedTokens;
+  }
+
+  /**
+   * Track how big the chat's context is after an exchange. Uses the
+   * provider-reported prompt size when available, else a character estimate.
+   */
+  track(sentText, response) {
+    const usage = response.usage || {};
+    this.estimatedTokens += estimateTokens(sentText) +
+      (usage.completionTokens || estimateTokens(response.text + JSON.stringify(response.functionCalls || [])));
+    const reported = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    this.contextTokens = Math.max(this.estimatedTokens, reported);
+  }
+
+  shouldCompress(historyLength) {
+    return this.contextTokens > this.config.maxContextTokens &&
+      historyLength - this.config.keepRecentUtterances > this.summarizedUpTo;
+  }
+
+  /**
+   * Split the conversation into the part to fold into the summary and the
+   * recent part kept verbatim.
+   */
+  split(conversationHistory) {
+    const cut = Math.max(conversationHistory.length - this.config.keepRecentUtterances, this.summarizedUpTo);
+    return {
+      cut,
+      older: conversationHistory.slice(this.summarizedUpTo, cut),
+      recent: conversationHistory.slice(cut)
+    };
+  }
+
+  buildSummaryRequest(olderUtterances, nudges) {
+    const nudgeLines = nudges.map(n => `- ${n.category}: ${n.message}`).join('\n') || '(none)';
+    return `PREVIOUS SUMMARY:
+${this.summary ? JSON.stringify(this.summary, null, 2) : '(none)'}
+
+TRANSCRIPT LINES BEING REMOVED FROM MEMORY:
+${formatUtterances(olderUtterances)}
+
+NUDGES ALREADY SENT:
+${nudgeLines}`;
+  }
+
+  /**
+   * Parse the model's JSON summary. Falls back to an extractive summary
+   * (previous summary + the removed lines) if the model didn't return JSON.
+   */
+  parseSummary(text, olderUtterances, nudges) {
+    const cleaned = (text || '').replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+    try {
+      const parsed = JSON.parse(cleaned);
+      const summary = { ...emptySummary(), ...parsed };
+      summary.bant = { ...emptySummary().bant, ...(parsed.bant || {}) };
+      return { summary, source: 'llm' };
+    } catch (error) {
+      const summary = this.summary ? JSON.parse(JSON.stringify(this.summary)) : emptySummary();
+      const excerpt = formatUtterances(olderUtterances.slice(-20));
+      const overview = `${summary.overview ? `${summary.overview}\n` : ''}Earlier transcript (last ${Math.min(olderUtterances.length, 20)} of ${olderUtterances.length} summarized lines):\n${excerpt}`;
+      summary.overview = overview.slice(-MAX_EXTRACTIVE_OVERVIEW_CHARS);
+      summary.nudges_sent = nudges.map(n => `${n.category}: ${n.message}`);
+      return { summary, source: 'extractive' };
+    }
+  }
+
+  applySummary(summary, cut, source) {
+    this.summary = summary;
+    this.summarizedUpTo = cut;
+    this.compressions.push({
+      at: new Date().toISOString(),
+      summarizedUtterances: cut,
+      contextTokensBefore: this.contextTokens,
+      source
+    });
+  }
+
+  // History that opens the fresh chat: summary (+ scorecard, if any) + recent verbatim lines
+  buildSeedHistory(recentUtterances, scorecard = null) {
+    const scorecardText = scorecard ? `\nQUALIFICATION SCORECARD (already recorded - only update what changes):\n${JSON.stringify(scorecard, null, 2)}\n` : '';
+    const seed = `CONVERSATION SO FAR - structured summary of the earlier part of this call:
+${JSON.stringify(this.summary, null, 2)}
+${scorecardText}
+MOST RECENT TRANSCRIPT (verbatim):
+${formatUtterances(recentUtterances) || '(none)'}
+
+Continue coaching from here with full awareness of the summary above. New transcript batches follow.`;
+    return [
+      { role: 'user', text: seed },
+      { role: 'model', text: 'Understood. I have the full call context and will keep coaching from here.' }
+    ];
+  }
+
+  /**
+   * History for a chat restarted after a server restart: the summary (if the
+   * call was already compressed) plus everything the coach had analyzed since,
+   * and the nudges it already sent so it doesn't repeat them.
+   */
+  buildResumeHistory(analyzedUtterances, nudges, scorecard = null) {
+    const recent = analyzedUtterances.slice(this.summarizedUpTo);
+    const nudgeLines = nudges.map(n => `- ${n.category}: ${n.message}`).join('\n') || '(none)';
+    const scorecardText = scorecard ? `\nQUALIFICATION SCORECARD (already recorded - only update what changes):\n${JSON.stringify(scorecard, null, 2)}\n` : '';
+    const callSoFar = this.summary
+      ? this.buildSeedHistory(recent, scorecard)[0].text
+      : `CONVERSATION SO FAR (verbatim):
+${formatUtterances(recent) || '(none)'}
+${scorecardText}
+Continue coaching from here. New transcript batches follow.`;
+
+    return [
+      { role: 'user', text: `The coaching session was restarted mid-call. NUDGES ALREADY SENT TO THE REP:\n${nudgeLines}\n\n${callSoFar}` },
+      { role: 'model', text: 'Understood. I have the call so far and will keep coaching from here.' }
+    ];
+  }
+
+  serialize() {
+    return { summary: this.summary, summarizedUpTo: this.summarizedUpTo, compressions: this.compressions };
+  }
+
+  restore(state) {
+    this.summary = state.summary || null;
+    this.summarizedUpTo = state.summarizedUpTo || 0;
+    this.compressions = state.compressions || [];
+  }
+
+  getStatus() {
+    return {
+      summary: this.summary,
+      summarized_utterances: this.summarizedUpTo,
+      context_tokens: this.contextTokens,
+      max_context_tokens: this.config.maxContextTokens,
+      keep_recent_utterances: this.config.keepRecentUtterances,
+      compressions: this.compressions
+    };
+  }
+}
+
+module.exports = {
+  ContextManager,
+  validateContextPolicy,
+  DEFAULT_CONTEXT_POLICY,
+  SUMMARY_INSTRUCTION
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * NIMO Live Nudges - Evaluation Runner
+ *
+ * Replays every case of an evaluation suite on a running NIMO server, once
+ * per playbook, scores the nudges against the annotations and saves the run.
+ *
+ *   node evaluate.js [options]
+ *
+ *   --suite <dir>         Suite folder                                     default evals
+ *   --playbooks <a,b>     Playbooks to score                               default: the server's default playbook
+ *   --llm <provider>      gemini | openai | mock (mock uses each case's mock_script)
+ *   --model <name>        Model override
+ *   --prompt-file <path>  Use this prompt instead of each playbook's
+ *   --speed <n>           Replay speed, up to 100                          default 50
+ *   --label <name>        Name for the saved run                           default: the playbooks
+ *   --results-dir <dir>   Where runs are saved                             default eval-results
+ *   --server <url>        default http://localhost:$PORT (3000)
+ *   --token <token>       API token (manager or admin)                     default: NIMO_API_TOKEN
+ *
+ *   node evaluate.js --diff <base.json> <head.json>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadEvalSuite, scoreCase, summarizeRun, diffRuns, DIFF_METRICS } = require('./coaching-eval');
+
+const POLL_INTERVAL_MS = 1000;
+
+function parseArgs(argv) {
+  const args = { positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--diff') {
+      args.options.diff = true;
+    } else if (argv[i].startsWith('--')) {
+      args.options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+const sha = text => crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+const show = value => (value === null || value === undefined ? 'n/a' : String(value));
+
+// api: { server, token }
+async function request(api, method, route, body) {
+  const res = await fetch(`${api.server}${route}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(api.token ? { 'Authorization': `Bearer ${api.token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+async function runReplay(api, body) {
+  let replay = await request(api, 'POST', '/api/replays', body);
+  while (replay.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    replay = await request(api, 'GET', `/api/replays/${replay.replay_id}`);
+  }
+  if (replay.status !== 'completed') {
+    throw new Error(`replay ${replay.status}${replay.error ? `: ${replay.error}` : ''}`);
+  }
+  return replay;
+}
+
+function printSummary(summary) {
+  console.log('\nPlaybook             Cases  Precision  Recall  Timing err (s)  Extra  Must-not  Nudges/min');
+  Object.entries(summary).forEach(([playbook, metrics]) => {
+    console.log([
+      playbook.padEnd(20),
+      String(metrics.cases).padStart(5),
+      show(metrics.precision).padStart(10),
+      show(metrics.recall).padStart(7),
+      show(metrics.mean_timing_error_s).padStart(15),
+      String(metrics.extra_nudges).padStart(6),
+      String(metrics.must_not_nudge_violations).padStart(9),
+      show(metrics.nudges_per_minute).padStart(11)
+    ].join(' '));
+  });
+}
+
+async function evaluate(options) {
+  const server = options.server || `http://localhost:${process.env.PORT || 3000}`;
+  const api = { server, token: options.token || process.env.NIMO_API_TOKEN };
+  const suiteDir = options.suite || 'evals';
+  const { cases } = loadEvalSuite(suiteDir);
+
+  const playbookIds = options.playbooks
+    ? options.playbooks.split(',').map(id => id.trim()).filter(Boolean)
+    : [(await request(api, 'GET', '/api/playbooks')).default];
+  const prompt = options['prompt-file'] ? fs.readFileSync(options['prompt-file'], 'utf8') : undefined;
+  const speed = options.speed ? Number(options.speed) : 50;
+
+  // Which prompt each playbook ran with, so saved runs can be told apart
+  const promptVersions = {};
+  for (const id of playbookIds) {
+    const playbook = await request(api, 'GET', `/api/playbooks/${id}`);
+    promptVersions[id] = { prompt_sha: sha(prompt || playbook.prompt), prompt_override: Boolean(prompt) };
+  }
+
+  console.log(`🧪 ${cases.length} case(s) x ${playbookIds.length} playbook(s) on ${server} (${options.llm || 'server default LLM'}, ${speed}x)`);
+  const runs = [];
+  let llm = null;
+  for (const playbook of playbookIds) {
+    for (const testCase of cases.filter(c => !c.playbooks || c.playbooks.includes(playbook))) {
+      if (options.llm === 'mock' && !testCase.mock_script) {
+        console.log(`   ⏭️  ${playbook}/${testCase.id}: no mock_script, skipped`);
+        continue;
+      }
+      const replay = await runReplay(api, {
+        recording: testCase.recording,
+        speed,
+        pause_for_analysis: true,
+        playbook,
+        prompt,
+        llm_provider: options.llm,
+        llm_model: options.model,
+        mock_script: options.llm === 'mock' ? testCase.mock_script : undefined
+      });
+      llm = { provider: replay.result.llm.provider, model: replay.result.llm.model };
+      const score = scoreCase(testCase, replay.result, replay.recording_seconds);
+      runs.push({
+        case: testCase.id,
+        playbook,
+        replay_id: replay.replay_id,
+        recordingSeconds: replay.recording_seconds,
+        usage: replay.result.llm.usage,
+        score,
+        nudges: replay.result.nudges
+      });
+      console.log(`   ${score.misses.length === 0 && score.violations.length === 0 ? '✅' : '⚠️ '} ${playbook}/${testCase.id}: ` +
+        `${score.matched}/${score.expected} expected, ${score.delivered} delivered, ${score.violations.length} must-not violation(s)`);
+    }
+  }
+  if (runs.length === 0) {
+    throw new Error('No cases were run');
+  }
+
+  const summary = summarizeRun(runs);
+  printSummary(summary);
+
+  const createdAt = new Date().toISOString();
+  const label = options.label || playbookIds.join('+');
+  const saved = {
+    label,
+    created_at: createdAt,
+    suite: path.resolve(suiteDir),
+    server,
+    llm,
+    speed,
+    playbooks: promptVersions,
+    summary,
+    cases: runs.map(({ recordingSeconds, ...run }) => ({ ...run, recording_seconds: recordingSeconds }))
+  };
+  const resultsDir = options['results-dir'] || 'eval-results';
+  fs.mkdirSync(resultsDir, { recursive: true });
+  const file = path.join(resultsDir, `${createdAt.replace(/[:.]/g, '-')}-${label.replace(/[^a-z0-9+-]/gi, '_')}.json`);
+  fs.writeFileSync(file, JSON.stringify(saved, null, 2));
+  console.log(`\n💾 Saved run to ${file}`);
+}
+
+function printDiff(baseFile, headFile) {
+  const base = JSON.parse(fs.readFileSync(baseFile, 'utf8'));
+  const head = JSON.parse(fs.readFileSync(headFile, 'utf8'));
+  const { summary, cases } = diffRuns(base, head);
+
+  console.log(`🔍 ${base.label} (${base.created_at}) -> ${head.label} (${head.created_at})`);
+  Object.entries(summary).forEach(([playbook, metrics]) => {
+    console.log(`\n${playbook}`);
+    DIFF_METRICS.forEach(metric => {
+      const { base: before, head: after, delta } = metrics[metric];
+      const sign = delta > 0 ? '+' : '';
+      console.log(`  ${metric.padEnd(26)} ${show(before).padStart(8)} -> ${show(after).padStart(8)}${delta ? `  (${sign}${delta})` : ''}`);
+    });
+  });
+
+  console.log(cases.length > 0 ? '\nCases that changed:' : '\nNo case scores changed');
+  cases.forEach(change => {
+    console.log(`  ${change.playbook}/${change.case}: precision ${show(change.precision.base)} -> ${show(change.precision.head)}, ` +
+      `recall ${show(change.recall.base)} -> ${show(change.recall.head)}, ` +
+      `must-not ${show(change.must_not_nudge_violations.base)} -> ${show(change.must_not_nudge_violations.head)}`);
+  });
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  if (options.diff) {
+    if (positional.length !== 2) {
+      console.error('Usage: node evaluate.js --diff <base.json> <head.json>');
+      process.exit(1);
+    }
+    printDiff(...positional);
+    return;
+  }
+  await evaluate(options);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
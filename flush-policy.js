@@ -0,0 +1,130 @@
+/**
+ * NIMO Live Nudges - Batch Flush Policy
+ *
+ * Decides when AIAgent should send its transcript buffer to the LLM.
+ * Instead of waiting for exactly N lines, a batch is flushed when any
+ * trigger fires:
+ *
+ * - batch_size    Buffer reached the (possibly adaptive) batch size
+ * - keyword       A prospect line contains a high-signal phrase
+ * - turn_change   The speaker role switched and enough lines are buffered
+ * - silence       No new transcript for silenceGapMs
+ * - max_wait      The oldest buffered line has waited maxWaitMs
+ *
+ * The time-based triggers are armed by AIAgent; this class only holds the
+ * config and makes the per-utterance decisions.
+ */
+
+const DEFAULT_FLUSH_POLICY = {
+  batchSize: 6,
+  maxWaitMs: 45000,
+  silenceGapMs: 15000,
+  flushOnTurnChange: true,
+  turnChangeMinLines: 3,
+  keywords: [
+    'too expensive',
+    'not in budget',
+    'out of budget',
+    'pricing',
+    'how much',
+    'contract',
+    'competitor',
+    'other options',
+    'talk to my boss',
+    'next quarter',
+    'next steps',
+    'sign off'
+  ],
+  adaptive: {
+    enabled: true,
+    minBatchSize: 3,
+    maxBatchSize: 10,
+    windowMs: 120000,
+    slowPace: 4, // utterances per minute
+    fastPace: 12
+  }
+};
+
+class FlushPolicy {
+  constructor(overrides = {}) {
+    this.config = mergePolicy(DEFAULT_FLUSH_POLICY, overrides);
+    this.lastRole = null;
+    this.recentTimestamps = [];
+  }
+
+  /**
+   * Batch size adjusted to talk pace: slow exchanges flush sooner, rapid
+   * back-and-forth is grouped into larger batches.
+   */
+  getBatchSize(now = Date.now()) {
+    const { batchSize, adaptive } = this.config;
+    if (!adaptive.enabled) return batchSize;
+
+    this.recentTimestamps = this.recentTimestamps.filter(ts => now - ts <= adaptive.windowMs);
+    if (this.recentTimestamps.length < 2) return batchSize;
+
+    // Not enough history yet to judge pace
+    const span = now - this.recentTimestamps[0];
+    if (span < adaptive.windowMs / 2) return batchSize;
+
+    const pace = this.recentTimestamps.length / (span / 60000);
+    if (pace <= adaptive.slowPace) return adaptive.minBatchSize;
+    if (pace >= adaptive.fastPace) return adaptive.maxBatchSize;
+    return batchSize;
+  }
+
+  /**
+   * Called after an utterance has been buffered. Returns the trigger that
+   * should flush the buffer now, or null to keep buffering.
+   */
+  checkUtterance({ role, text, timestamp = Date.now() }, bufferLength) {
+    // Pace is only tracked for adaptive batches (getBatchSize prunes it), so it can't grow for the whole call
+    if (this.config.adaptive.enabled) {
+      this.recentTimestamps.push(timestamp);
+    }
+    const previousRole = this.lastRole;
+    this.lastRole = role;
+
+    if (role === 'PROSPECT') {
+      const lowered = (text || '').toLowerCase();
+      const keyword = this.config.keywords.find(phrase => lowered.includes(phrase.toLowerCase()));
+      if (keyword) {
+        return { type: 'keyword', detail: keyword };
+      }
+    }
+
+    const batchSize = this.getBatchSize(timestamp);
+    if (bufferLength >= batchSize) {
+      return { type: 'batch_size', detail: `${bufferLength}/${batchSize}` };
+    }
+
+    if (this.config.flushOnTurnChange && previousRole && previousRole !== role &&
+        bufferLength - 1 >= this.config.turnChangeMinLines) {
+      return { type: 'turn_change', detail: `${previousRole} -> ${role}` };
+    }
+
+    return null;
+  }
+
+  describe() {
+    const { batchSize, maxWaitMs, silenceGapMs, flushOnTurnChange, keywords, adaptive } = this.config;
+    return `batch ${adaptive.enabled ? `${adaptive.minBatchSize}-${adaptive.maxBatchSize} (adaptive, base ${batchSize})` : batchSize}` +
+      `, max wait ${maxWaitMs / 1000}s, silence ${silenceGapMs / 1000}s` +
+      `, turn change ${flushOnTurnChange ? 'on' : 'off'}, ${keywords.length} keywords`;
+  }
+}
+
+function mergePolicy(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    keywords: Array.isArray(overrides.keywords) ? overrides.keywords : base.keywords,
+    adaptive: { ...base.adaptive, ...(overrides.adaptive || {}) }
+  };
+}
+
+module.exports = {
+  FlushPolicy,
+  DEFAULT_FLUSH_POLICY,
+  mergePolicy
+};
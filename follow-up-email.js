@@ -0,0 +1,270 @@
+/**
+ * NIMO Live Nudges - Follow-Up Email Drafts
+ *
+ * After a call, the model extracts what the recap email needs (the
+ * prospect's pains, agreed next steps, materials they asked for) and the
+ * server renders it into the team's template, so wording, structure and
+ * signature stay under each team's control.
+ *
+ * Templates live in email-templates/<team>.json:
+ *
+ * {
+ *   "id": "default",
+ *   "name": "Default",
+ *   "tone": "friendly, concise, no jargon",   // guidance for the recap paragraph
+ *   "subject": "Recap: {{meeting_title}} - next steps",
+ *   "body": "Hi {{prospect_name}},\n\n{{recap}}\n\n{{#pain_points}}What we heard:\n{{pain_points}}\n\n{{/pain_points}}...",
+ *   "signature": "{{rep_name}}\nAcme Inc."
+ * }
+ *
+ * {{name}} inserts a value (lists become "- item" lines); {{#name}}...{{/name}}
+ * is only kept when the value is non-empty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_FIELDS = [
+  'prospect_name',
+  'rep_name',
+  'meeting_title',
+  'date',
+  'recap',
+  'pain_points',
+  'next_steps',
+  'requested_materials',
+  'signature'
+];
+
+const FOLLOW_UP_INSTRUCTION = `You help a sales rep write the follow-up email after a sales call.
+You receive the call transcript (or its summary), the post-call report and the tone the rep's team uses.
+Respond with ONLY a JSON object, no prose, in exactly this shape:
+{
+  "prospect_name": "first name of the main prospect, or empty",
+  "recap": "2-3 sentences thanking them and recapping the conversation, written in the team's tone, addressed to the prospect",
+  "pain_points": ["each pain the prospect stated, phrased back to them in their own terms"],
+  "next_steps": ["each agreed next step with owner and date if stated"],
+  "requested_materials": ["anything the prospect asked to be sent: pricing, case studies, contract, deck..."]
+}
+Only include facts from the call. Use empty arrays when nothing applies.`;
+
+// Phrases that usually mean the prospect asked for something to be sent
+// ("can you send", "please share", "send me", "email over")
+const MATERIAL_REQUEST_PATTERN = /\b(?:(?:(?:can|could|would|will) you|please)(?: \w+)? (?:send|share|email|forward)(?: me| us| over)*|(?:send|share|email|forward)(?: me| us| over)+) ([a-z0-9 ,]{3,80}?)(?:[.?!]|$| when | by | so | before )/i;
+
+function validateTemplate(raw) {
+  const errors = [];
+  if (typeof raw.id !== 'string' || !/^[a-z0-9-]+$/.test(raw.id)) {
+    errors.push('id must be a lowercase slug (letters, digits, dashes)');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push('name is required');
+  }
+  ['subject', 'body'].forEach(key => {
+    if (typeof raw[key] !== 'string' || !raw[key].trim()) {
+      errors.push(`${key} is required`);
+    }
+  });
+  ['subject', 'body', 'signature'].forEach(key => {
+    const placeholders = (raw[key] || '').match(/\{\{[#/]?(\w+)\}\}/g) || [];
+    placeholders
+      .map(placeholder => placeholder.replace(/[{}#/]/g, ''))
+      .filter(field => !TEMPLATE_FIELDS.includes(field))
+      .forEach(field => errors.push(`${key}: unknown placeholder "{{${field}}}" (available: ${TEMPLATE_FIELDS.join(', ')})`));
+  });
+  return errors;
+}
+
+class EmailTemplateRegistry {
+  /**
+   * @param {string} directory - Folder holding <team>.json templates
+   * @param {object} [options]
+   * @param {string} [options.defaultId] - Template used when a session doesn't name a team
+   */
+  constructor(directory, { defaultId = 'default' } = {}) {
+    this.directory = directory;
+    this.defaultId = defaultId;
+    this.templates = new Map();
+    this.loadErrors = [];
+  }
+
+  load() {
+    this.templates.clear();
+    this.loadErrors = [];
+
+    const files = fs.existsSync(this.directory)
+      ? fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    for (const file of files) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        const errors = validateTemplate(raw);
+        if (errors.length === 0 && this.templates.has(raw.id)) {
+          errors.push(`duplicate id "${raw.id}"`);
+        }
+        if (errors.length > 0) {
+          this.loadErrors.push({ file, errors });
+          continue;
+        }
+        this.templates.set(raw.id, { tone: '', signature: '', ...raw, file });
+      } catch (error) {
+        this.loadErrors.push({ file, errors: [`invalid JSON: ${error.message}`] });
+      }
+    }
+
+    this.loadErrors.forEach(({ file, errors }) => {
+      console.error(`❌ Email template ${file} skipped:\n   - ${errors.join('\n   - ')}`);
+    });
+
+    if (this.templates.size === 0) {
+      throw new Error(`No valid email templates found in ${this.directory}`);
+    }
+    if (!this.templates.has(this.defaultId)) {
+      const fallback = this.templates.keys().next().value;
+      console.error(`⚠️  Default email template "${this.defaultId}" not available, using "${fallback}"`);
+      this.defaultId = fallback;
+    }
+
+    console.log(`✉️  Loaded ${this.templates.size} email template(s): ${[...this.templates.keys()].join(', ')} (default: ${this.defaultId})`);
+    return { loaded: this.templates.size, errors: this.loadErrors };
+  }
+
+  get(id) {
+    return this.templates.get(id || this.defaultId) || null;
+  }
+
+  list() {
+    return [...this.templates.values()].map(({ id, name, tone }) => ({
+      id,
+      name,
+      tone,
+      isDefault: id === this.defaultId
+    }));
+  }
+}
+
+/**
+ * Prompt for the follow-up model.
+ * @param {object} input
+ * @param {object|null} input.summary - Running summary of compressed turns
+ * @param {Array} input.utterances - Transcript not covered by the summary
+ * @param {object|null} input.report - Post-call report
+ * @param {object} input.template - Team template (for tone)
+ */
+function buildFollowUpRequest({ summary, utterances, report, template }) {
+  const transcript = utterances.map(u => `[${u.role} - ${u.speaker}]: ${u.text}`).join('\n');
+  return `TEAM TONE: ${template.tone || 'professional and friendly'}
+
+SUMMARY OF EARLIER PART OF THE CALL:
+${summary ? JSON.stringify(summary, null, 2) : '(none - the full transcript follows)'}
+
+TRANSCRIPT:
+${transcript || '(no transcript)'}
+
+POST-CALL REPORT:
+${report ? JSON.stringify({ summary: report.summary, pain_points: report.pain_points, next_steps: report.next_steps }, null, 2) : '(none)'}`;
+}
+
+// Materials the prospect asked for, found by phrase matching on their lines
+function findRequestedMaterials(conversationHistory) {
+  const materials = [];
+  conversationHistory
+    .filter(u => u.role === 'PROSPECT')
+    .forEach(u => {
+      const match = u.text.match(MATERIAL_REQUEST_PATTERN);
+      if (!match) return;
+      match[1]
+        .split(/,|\band\b/)
+        .map(item => item.trim().replace(/^(?:the|a|an|your|some)\s+/i, ''))
+        .filter(item => item.length > 2 && !materials.includes(item))
+        .forEach(item => materials.push(item));
+    });
+  return materials;
+}
+
+// First name of the first prospect who spoke
+function findProspectName(conversationHistory) {
+  const prospect = conversationHistory.find(u => u.role === 'PROSPECT' && u.speaker && u.speaker !== 'Unknown');
+  return prospect ? prospect.speaker.split(' ')[0] : '';
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+}
+
+/**
+ * Parse the model's JSON (```json fences allowed). Falls back to the
+ * post-call report and phrase matching on the transcript.
+ * @returns {{ content: object, source: 'llm' | 'fallback' }}
+ */
+function parseFollowUpContent(text, { report, conversationHistory }) {
+  const cleaned = (text || '').replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '').trim();
+  try {
+    const parsed = JSON.parse(cleaned);
+    return {
+      source: 'llm',
+      content: {
+        prospect_name: typeof parsed.prospect_name === 'string' ? parsed.prospect_name : '',
+        recap: typeof parsed.recap === 'string' ? parsed.recap : '',
+        pain_points: asList(parsed.pain_points),
+        next_steps: asList(parsed.next_steps),
+        requested_materials: asList(parsed.requested_materials)
+      }
+    };
+  } catch (error) {
+    return {
+      source: 'fallback',
+      content: {
+        prospect_name: findProspectName(conversationHistory),
+        recap: 'Thanks again for taking the time to talk today. Here is a quick recap of our conversation.',
+        pain_points: report ? report.pain_points : [],
+        next_steps: report ? report.next_steps.map(step => `${step.action}${step.owner ? ` (${step.owner}${step.due ? `, ${step.due}` : ''})` : ''}`) : [],
+        requested_materials: findRequestedMaterials(conversationHistory)
+      }
+    };
+  }
+}
+
+function renderTemplate(template, values) {
+  const text = template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => (values[key] ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Fill the team template.
+ * @param {object} template - From EmailTemplateRegistry
+ * @param {object} content - From parseFollowUpContent()
+ * @param {object} context - { repName, meetingTitle, date }
+ * @returns {{ subject: string, body: string }}
+ */
+function renderFollowUpEmail(template, content, context) {
+  const list = items => items.map(item => `- ${item}`).join('\n');
+  const values = {
+    prospect_name: content.prospect_name || 'there',
+    rep_name: context.repName || '',
+    meeting_title: context.meetingTitle || '',
+    date: context.date || '',
+    recap: content.recap,
+    pain_points: list(content.pain_points),
+    next_steps: list(content.next_steps),
+    requested_materials: list(content.requested_materials)
+  };
+  values.signature = renderTemplate(template.signature || '', values);
+
+  return {
+    subject: renderTemplate(template.subject, values),
+    body: renderTemplate(template.body, values)
+  };
+}
+
+module.exports = {
+  EmailTemplateRegistry,
+  FOLLOW_UP_INSTRUCTION,
+  buildFollowUpRequest,
+  parseFollowUpContent,
+  renderFollowUpEmail,
+  findRequestedMaterials
+};
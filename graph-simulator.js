@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * NIMO Live Nudges - Microsoft Graph Simulator
+ *
+ * A local stand-in for the parts of Microsoft Graph the Teams integration
+ * uses, so Teams threads can be tried without a tenant. It has one team with
+ * two channels, keeps every message and reply posted to them, and hands out
+ * access tokens for refresh tokens like the Microsoft identity platform.
+ *
+ *   node graph-simulator.js [options]
+ *
+ *   --port <n>              default $GRAPH_SIMULATOR_PORT (3200)
+ *   --token-lifetime <s>    How long tokens from the token endpoint last       default 3600
+ *
+ * Run the server with INTEGRATION=TEAMS (next to any other modes),
+ * GRAPH_API_BASE_URL=http://localhost:3200/v1.0, TEAMS_ACCESS_TOKEN=dev (any
+ * token works) and TEAMS_TEAM_ID / TEAMS_CHANNEL_ID from the startup output.
+ * To try token refresh, set TEAMS_CLIENT_ID and TEAMS_REFRESH_TOKEN (any
+ * values) and TEAMS_AUTHORITY_URL=http://localhost:3200 instead.
+ *
+ * Implemented Graph endpoints:
+ * - GET  /v1.0/me/joinedTeams                                               teams of the signed-in account
+ * - GET  /v1.0/teams/:teamId/channels                                       the team's channels
+ * - POST /v1.0/teams/:teamId/channels/:channelId/messages                   start a thread
+ * - POST /v1.0/teams/:teamId/channels/:channelId/messages/:id/replies       reply in a thread
+ * - POST /:tenant/oauth2/v2.0/token                                         refresh_token grant
+ *
+ * Simulator only:
+ * - GET  /simulator/threads                    every thread with its replies
+ * - POST /simulator/expire-tokens              turn down the tokens handed out so far (next request gets 401)
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const TEAM = {
+  id: 'sim-team-sales',
+  displayName: 'Sales',
+  channels: [
+    { id: '19:coaching@thread.tacv2', displayName: 'Live Coaching' },
+    { id: '19:general@thread.tacv2', displayName: 'General' }
+  ]
+};
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+class GraphSimulator {
+  constructor({ tokenLifetimeSeconds }) {
+    this.tokenLifetimeSeconds = tokenLifetimeSeconds;
+    this.issuedTokens = new Map(); // access token -> expires at (ms)
+    this.threads = new Map(); // `${channelId}/${messageId}` -> thread
+    this.lastMessageId = 0;
+  }
+
+  // Tokens from the token endpoint expire; any other token is taken as a long-lived test token
+  acceptsToken(token) {
+    if (!this.issuedTokens.has(token)) return true;
+    return Date.now() < this.issuedTokens.get(token);
+  }
+
+  issueToken() {
+    const accessToken = `sim_${crypto.randomBytes(16).toString('hex')}`;
+    this.issuedTokens.set(accessToken, Date.now() + this.tokenLifetimeSeconds * 1000);
+    return {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: this.tokenLifetimeSeconds,
+      refresh_token: `sim_refresh_${crypto.randomBytes(16).toString('hex')}`
+    };
+  }
+
+  expireTokens() {
+    this.issuedTokens.forEach((expiresAt, token) => this.issuedTokens.set(token, 0));
+    return this.issuedTokens.size;
+  }
+
+  // Teams message ids are millisecond timestamps
+  nextMessageId() {
+    this.lastMessageId = Math.max(this.lastMessageId + 1, Date.now());
+    return String(this.lastMessageId);
+  }
+
+  message(body, replyToId = null) {
+    return {
+      id: this.nextMessageId(),
+      replyToId,
+      messageType: 'message',
+      createdDateTime: new Date().toISOString(),
+      from: { user: { displayName: 'NIMO Coach' } },
+      body: { contentType: body?.contentType || 'text', content: body?.content || '' }
+    };
+  }
+
+  startThread(channel, body) {
+    const message = this.message(body);
+    this.threads.set(`${channel.id}/${message.id}`, { channel, message, replies: [] });
+    console.log(`💬 New thread ${message.id} in #${channel.displayName}`);
+    return message;
+  }
+
+  reply(thread, body) {
+    const reply = this.message(body, thread.message.id);
+    thread.replies.push(reply);
+    console.log(`↳  Reply ${thread.replies.length} in thread ${thread.message.id}`);
+    return reply;
+  }
+}
+
+function createApp(simulator) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const graphError = (res, status, code, message) => res.status(status).json({ error: { code, message } });
+
+  // Graph turns down requests without a valid bearer token
+  app.use('/v1.0', (req, res, next) => {
+    const token = (req.headers.authorization || '').match(/^Bearer (\S+)$/)?.[1];
+    if (!token || !simulator.acceptsToken(token)) {
+      return graphError(res, 401, 'InvalidAuthenticationToken', token ? 'Access token has expired or is not yet valid.' : 'Access token is empty.');
+    }
+    next();
+  });
+
+  const findChannel = (req, res) => {
+    const channel = req.params.teamId === TEAM.id && TEAM.channels.find(c => c.id === req.params.channelId);
+    if (!channel) {
+      graphError(res, 404, 'NotFound', 'Team or channel not found.');
+    }
+    return channel;
+  };
+
+  app.get('/v1.0/me/joinedTeams', (req, res) => {
+    res.json({ value: [{ id: TEAM.id, displayName: TEAM.displayName }] });
+  });
+
+  app.get('/v1.0/teams/:teamId/channels', (req, res) => {
+    if (req.params.teamId !== TEAM.id) {
+      return graphError(res, 404, 'NotFound', 'Team not found.');
+    }
+    res.json({ value: TEAM.channels.map(({ id, displayName }) => ({ id, displayName, membershipType: 'standard' })) });
+  });
+
+  app.post('/v1.0/teams/:teamId/channels/:channelId/messages', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    if (!req.body.body?.content) {
+      return graphError(res, 400, 'BadRequest', 'Message body is required.');
+    }
+    res.status(201).json(simulator.startThread(channel, req.body.body));
+  });
+
+  app.post('/v1.0/teams/:teamId/channels/:channelId/messages/:messageId/replies', (req, res) => {
+    const channel = findChannel(req, res);
+    if (!channel) return;
+    const thread = simulator.threads.get(`${channel.id}/${req.params.messageId}`);
+    if (!thread) {
+      return graphError(res, 404, 'NotFound', 'Message not found.');
+    }
+    if (!req.body.body?.content) {
+      return graphError(res, 400, 'BadRequest', 'Message body is required.');
+    }
+    res.status(201).json(simulator.reply(thread, req.body.body));
+  });
+
+  app.post('/:tenant/oauth2/v2.0/token', (req, res) => {
+    const { grant_type, refresh_token, client_id } = req.body || {};
+    if (grant_type !== 'refresh_token' || !refresh_token || !client_id) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'client_id, grant_type=refresh_token and refresh_token are required' });
+    }
+    console.log(`🔑 Issued an access token (tenant ${req.params.tenant})`);
+    res.json(simulator.issueToken());
+  });
+
+  app.get('/simulator/threads', (req, res) => {
+    res.json([...simulator.threads.values()].map(({ channel, message, replies }) => ({
+      team_id: TEAM.id,
+      channel_id: channel.id,
+      channel_name: channel.displayName,
+      message,
+      replies
+    })));
+  });
+
+  app.post('/simulator/expire-tokens', (req, res) => {
+    res.json({ expired: simulator.expireTokens() });
+  });
+
+  return app;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const port = Number(options.port || process.env.GRAPH_SIMULATOR_PORT || 3200);
+  const tokenLifetimeSeconds = options['token-lifetime'] !== undefined ? Number(options['token-lifetime']) : 3600;
+
+  if (!(tokenLifetimeSeconds > 0)) {
+    console.error('❌ --token-lifetime must be above 0');
+    process.exit(1);
+  }
+
+  const simulator = new GraphSimulator({ tokenLifetimeSeconds });
+  createApp(simulator).listen(port, () => {
+    console.log('\n=================================');
+    console.log('🟪 Microsoft Graph Simulator');
+    console.log('=================================');
+    console.log(`📍 Graph: http://localhost:${port}/v1.0`);
+    console.log(`👥 Team: ${TEAM.displayName} (${TEAM.id})`);
+    TEAM.channels.forEach(channel => console.log(`   # ${channel.displayName}: ${channel.id}`));
+    console.log(`🔑 Tokens from the token endpoint last ${tokenLifetimeSeconds}s`);
+    console.log('=================================');
+    console.log(`⚠️  Start the server with GRAPH_API_BASE_URL=http://localhost:${port}/v1.0`);
+    console.log(`⚠️  and TEAMS_TEAM_ID=${TEAM.id} TEAMS_CHANNEL_ID=${TEAM.channels[0].id}`);
+    console.log('=================================\n');
+  });
+}
+
+main();
@@ -0,0 +1,345 @@
+/**
+ * NIMO Live Nudges - LLM Provider Layer
+ *
+ * AIAgent talks to the model through a small provider contract so the
+ * coaching pipeline is not tied to one vendor:
+ *
+ *   provider.startChat({ systemInstruction, tools, history }) -> chat
+ *   chat.sendMessage(text) -> { text, functionCalls, usage }
+ *   chat.sendFunctionResponses([{ id, name, response }]) -> { text, functionCalls, usage }
+ *   chat.recordFunctionResponses([{ id, name, response }])  answer calls without asking for a reply
+ *
+ * - history: [{ role: 'user' | 'model', text }] (converted to each vendor's format)
+ * - functionCalls: [{ id, name, args }] (always an array, possibly empty)
+ * - usage: { promptTokens, completionTokens, totalTokens }
+ *
+ * Providers:
+ * - gemini  Google Gemini via @google/generative-ai (default)
+ * - openai  Any OpenAI-compatible /chat/completions endpoint
+ * - mock    Deterministic scripted provider for offline runs and tests
+ */
+
+const fs = require('fs');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash-exp',
+  openai: 'gpt-4o-mini',
+  mock: 'scripted'
+};
+
+// A hung model call would hold up the session's work queue (and with it stop-bot), so every request gives up
+const REQUEST_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_SECONDS || 60) * 1000;
+
+// Rough token estimate for providers that don't report usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+// ============================================
+// Gemini Provider
+// ============================================
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || DEFAULT_MODELS.gemini;
+    this.client = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+  }
+
+  startChat({ systemInstruction, tools = [], history = [] }) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      systemInstruction,
+      tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined
+    }, { timeout: REQUEST_TIMEOUT_MS });
+    const geminiHistory = history.map(turn => ({
+      role: turn.role === 'model' ? 'model' : 'user',
+      parts: [{ text: turn.text }]
+    }));
+    return new GeminiChat(model.startChat({ history: geminiHistory }));
+  }
+}
+
+class GeminiChat {
+  constructor(chat) {
+    this.chat = chat;
+  }
+
+  async sendMessage(text) {
+    const result = await this.chat.sendMessage(text);
+    return this.parseResponse(result.response);
+  }
+
+  async sendFunctionResponses(responses) {
+    const parts = responses.map(({ name, response }) => ({
+      functionResponse: { name, response }
+    }));
+    const result = await this.chat.sendMessage(parts);
+    return this.parseResponse(result.response);
+  }
+
+  // getHistory() hands back the session's own history, so the next message goes out after these responses
+  async recordFunctionResponses(responses) {
+    const history = await this.chat.getHistory();
+    history.push({
+      role: 'function',
+      parts: responses.map(({ name, response }) => ({ functionResponse: { name, response } }))
+    });
+  }
+
+  parseResponse(response) {
+    const functionCalls = (response.functionCalls() || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.name,
+      args: call.args || {}
+    }));
+
+    // response.text() throws when the candidate only contains function calls
+    let responseText = '';
+    try {
+      responseText = response.text() || '';
+    } catch (error) {
+      responseText = '';
+    }
+
+    const usageMetadata = response.usageMetadata || {};
+    return {
+      text: responseText,
+      functionCalls,
+      usage: {
+        promptTokens: usageMetadata.promptTokenCount || 0,
+        completionTokens: usageMetadata.candidatesTokenCount || 0,
+        totalTokens: usageMetadata.totalTokenCount || 0
+      }
+    };
+  }
+}
+
+// ============================================
+// OpenAI-Compatible Provider
+// ============================================
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || DEFAULT_MODELS.openai;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  startChat({ systemInstruction, tools = [], history = [] }) {
+    const messages = [];
+    if (systemInstruction) {
+      messages.push({ role: 'system', content: systemInstruction });
+    }
+    history.forEach(turn => {
+      messages.push({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text });
+    });
+    return new OpenAICompatibleChat(this, messages, tools);
+  }
+}
+
+class OpenAICompatibleChat {
+  constructor(provider, messages, tools) {
+    this.provider = provider;
+    this.messages = messages;
+    this.tools = tools.map(declaration => ({ type: 'function', function: declaration }));
+  }
+
+  async sendMessage(text) {
+    this.messages.push({ role: 'user', content: text });
+    return this.complete();
+  }
+
+  async sendFunctionResponses(responses) {
+    await this.recordFunctionResponses(responses);
+    return this.complete();
+  }
+
+  // Every tool_call_id needs a tool message before the next request is accepted
+  async recordFunctionResponses(responses) {
+    responses.forEach(({ id, response }) => {
+      this.messages.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(response) });
+    });
+  }
+
+  async complete() {
+    const body = { model: this.provider.model, messages: this.messages };
+    if (this.tools.length > 0) {
+      body.tools = this.tools;
+    }
+
+    const response = await fetch(`${this.provider.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.provider.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`OpenAI-compatible API error: ${JSON.stringify(data)}`);
+    }
+
+    const message = data.choices?.[0]?.message || { role: 'assistant', content: '' };
+    this.messages.push(message);
+
+    const functionCalls = (message.tool_calls || []).map(call => {
+      let args = {};
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        console.error(`⚠️  Could not parse tool arguments for ${call.function.name}:`, error.message);
+      }
+      return { id: call.id, name: call.function.name, args };
+    });
+
+    return {
+      text: message.content || '',
+      functionCalls,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+// ============================================
+// Mock (Scripted) Provider
+// ============================================
+
+/**
+ * Replays canned responses so the pipeline runs without a network.
+ *
+ * A script is an array of steps consumed in order, one per sendMessage():
+ *   { "text": "Monitoring" }
+ *   { "when": "budget", "functionCalls": [{ "name": "send_message", "args": {...} }] }
+ *
+ * A step with `when` only fires once a batch contains that phrase
+ * (case-insensitive); until then the chat answers with empty text and the
+ * step stays pending. Once the script is exhausted the chat keeps answering
+ * with empty text.
+ *
+ * Steps marked `"followUp": true` answer function responses instead of
+ * batches; without one, function responses get an empty reply.
+ *
+ * Script progress belongs to the provider, so a chat re-seeded mid-call
+ * carries on where the previous one stopped. Chats started without tools
+ * (e.g. summarization) never consume steps.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || DEFAULT_MODELS.mock;
+    const script = options.script || loadMockScript(options.scriptPath || process.env.MOCK_LLM_SCRIPT);
+    this.steps = script.map(step => ({ ...step }));
+    this.callCounter = 0;
+  }
+
+  startChat({ tools = [], history = [] } = {}) {
+    return new MockChat(this, tools.length > 0 ? this.steps : [], history);
+  }
+}
+
+class MockChat {
+  constructor(provider, steps, history) {
+    this.provider = provider;
+    this.steps = steps;
+    this.history = [...history];
+  }
+
+  async sendMessage(text) {
+    this.history.push({ role: 'user', text });
+
+    // Drop follow-ups that were never reached so they can't answer a later batch
+    while (this.steps[0]?.followUp) this.steps.shift();
+
+    let step = null;
+    const next = this.steps[0];
+    if (next && (!next.when || text.toLowerCase().includes(next.when.toLowerCase()))) {
+      step = this.steps.shift();
+    }
+    return this.reply(step, text);
+  }
+
+  async sendFunctionResponses(responses) {
+    const text = JSON.stringify(responses);
+    this.history.push({ role: 'function', responses });
+
+    const step = this.steps[0]?.followUp ? this.steps.shift() : null;
+    return this.reply(step, text);
+  }
+
+  async recordFunctionResponses(responses) {
+    this.history.push({ role: 'function', responses });
+  }
+
+  reply(step, text) {
+    const functionCalls = (step?.functionCalls || []).map(call => ({
+      id: `mock_call_${++this.provider.callCounter}`,
+      name: call.name,
+      args: { ...(call.args || {}) }
+    }));
+    const responseText = step?.text || '';
+
+    this.history.push({ role: 'model', text: responseText, functionCalls });
+
+    const promptTokens = estimateTokens(text);
+    const completionTokens = estimateTokens(responseText + JSON.stringify(functionCalls));
+    return {
+      text: responseText,
+      functionCalls,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+function loadMockScript(scriptPath) {
+  if (!scriptPath) return [];
+  const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  return Array.isArray(parsed) ? parsed : parsed.steps || [];
+}
+
+// ============================================
+// Provider Factory
+// ============================================
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider by name. Falls back to the LLM_PROVIDER env var, then to
+ * Gemini. The model falls back to LLM_MODEL, then to the provider default.
+ */
+function createProvider(name, options = {}) {
+  const providerName = (name || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  // LLM_MODEL only applies to the deployment's default provider
+  const deploymentProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const deploymentModel = providerName === deploymentProvider ? process.env.LLM_MODEL : null;
+  const model = options.model || deploymentModel || DEFAULT_MODELS[providerName];
+  return new Provider({ ...options, model });
+}
+
+module.exports = {
+  createProvider,
+  estimateTokens,
+  emptyUsage,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,190 @@
+/**
+ * NIMO Live Nudges - Notification Channels
+ *
+ * Where a session's coaching goes (Zoom DM, Slack, SMS...). Each INTEGRATION
+ * value names a channel registered with a factory, and every channel a
+ * session gets follows the same contract:
+ *
+ *   startSession(info)    optional: open the session (thread, intro text)
+ *   isOpen()              optional: whether the session is open; always open without it
+ *   sendNudge(coaching)   deliver one nudge -> true (sent) or false (failed)
+ *   postReport(report)    optional: the post-call report
+ *   postFollowUp(draft)   optional: the follow-up email draft
+ *   endSession()          optional: close the session
+ *   serialize() / restore(state)  optional: thread ids kept across restarts
+ *
+ * Capabilities tell the rest of the server what a channel is like:
+ *   private    only the rep sees it (a team channel is not private). Call
+ *              reports and follow-up drafts carry prospect details, so they
+ *              only go to private channels unless the set shares them
+ *   threaded   messages of one call are grouped in a thread
+ *   maxLength  longest nudge message the channel takes; longer messages are
+ *              cut to fit (null: no limit)
+ *
+ * ChannelSet calls a method on all of a session's channels at once and
+ * reports every channel the same way: 'sent', 'failed' (returned false or
+ * threw) or 'skipped' (its session isn't open, or the content is rep-only
+ * and the channel isn't private). One failing channel never stops the others.
+ */
+
+const DEFAULT_CAPABILITIES = { private: false, threaded: false, maxLength: null };
+
+class ChannelRegistry {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  /**
+   * @param {string} name - INTEGRATION value, e.g. 'SLACK'
+   * @param {object} definition
+   * @param {object} [definition.capabilities] - { private, threaded, maxLength }
+   * @param {function} definition.create - (context) => channel, or null when it isn't configured for the session
+   */
+  register(name, { capabilities = {}, create }) {
+    if (this.channels.has(name)) {
+      throw new Error(`Channel "${name}" is already registered`);
+    }
+    if (typeof create !== 'function') {
+      throw new Error(`Channel "${name}" needs a create function`);
+    }
+    this.channels.set(name, { capabilities: { ...DEFAULT_CAPABILITIES, ...capabilities }, create });
+  }
+
+  has(name) {
+    return this.channels.has(name);
+  }
+
+  names() {
+    return [...this.channels.keys()];
+  }
+
+  /**
+   * The channels for one session.
+   * @param {string[]} names - Enabled channel names (unknown names are left out)
+   * @param {object} context - Passed to each factory ({ botId, phoneNumbers, formatting, ... })
+   * @param {object} [options] - ChannelSet options ({ shareRepOnly })
+   * @returns {ChannelSet}
+   */
+  create(names, context = {}, options = {}) {
+    const channels = [];
+    for (const name of names) {
+      const definition = this.channels.get(name);
+      const channel = definition ? definition.create(context) : null;
+      if (channel) {
+        // A session's channel can narrow its capabilities (e.g. the playbook's SMS length)
+        channels.push({ name, capabilities: { ...definition.capabilities, ...channel.capabilities }, channel });
+      }
+    }
+    return new ChannelSet(channels, options);
+  }
+}
+
+class ChannelSet {
+  /**
+   * @param {object[]} channels - [{ name, capabilities, channel }]
+   * @param {object} [options]
+   * @param {boolean} [options.shareRepOnly] - Also post reports and follow-up drafts to channels that aren't private
+   */
+  constructor(channels = [], { shareRepOnly = false } = {}) {
+    this.channels = channels;
+    this.shareRepOnly = shareRepOnly;
+  }
+
+  get size() {
+    return this.channels.length;
+  }
+
+  names() {
+    return this.channels.map(channel => channel.name);
+  }
+
+  isOpen({ channel }) {
+    return channel.isOpen ? channel.isOpen() : true;
+  }
+
+  describe() {
+    return this.channels.map(entry => ({
+      name: entry.name,
+      capabilities: entry.capabilities,
+      open: this.isOpen(entry)
+    }));
+  }
+
+  /**
+   * Call one contract method on every channel that has it.
+   * @param {Array|function} args - The arguments, or (entry) => arguments for one channel
+   * @returns {Promise<object>} channel name -> 'sent' | 'failed' | 'skipped'
+   */
+  async run(method, args, { whenOpen, repOnly = false }) {
+    const results = {};
+    await Promise.all(this.channels
+      .filter(({ channel }) => typeof channel[method] === 'function')
+      .map(async entry => {
+        if (this.isOpen(entry) !== whenOpen || (repOnly && !entry.capabilities.private && !this.shareRepOnly)) {
+          results[entry.name] = 'skipped';
+          return;
+        }
+        try {
+          const callArgs = typeof args === 'function' ? args(entry) : args;
+          results[entry.name] = (await entry.channel[method](...callArgs)) === false ? 'failed' : 'sent';
+        } catch (error) {
+          console.error(`❌ ${entry.name} ${method} failed:`, error.message);
+          results[entry.name] = 'failed';
+        }
+      }));
+    return results;
+  }
+
+  startSession(info) {
+    return this.run('startSession', [info], { whenOpen: false });
+  }
+
+  sendNudge(coaching) {
+    return this.run('sendNudge', ({ capabilities }) => [fitMessage(coaching, capabilities.maxLength)], { whenOpen: true });
+  }
+
+  postReport(report) {
+    return this.run('postReport', [report], { whenOpen: true, repOnly: true });
+  }
+
+  postFollowUp(draft) {
+    return this.run('postFollowUp', [draft], { whenOpen: true, repOnly: true });
+  }
+
+  endSession() {
+    return this.run('endSession', [], { whenOpen: true });
+  }
+
+  // Stored under the lowercased channel name ({ slack, sms, ... }), as sessions always have been
+  serialize() {
+    return Object.fromEntries(this.channels.map(({ name, channel }) => [
+      name.toLowerCase(),
+      channel.serialize ? channel.serialize() : null
+    ]));
+  }
+
+  restore(states = {}) {
+    for (const { name, channel } of this.channels) {
+      const state = states[name.toLowerCase()];
+      if (channel.restore && state) channel.restore(state);
+    }
+  }
+}
+
+// The nudge with its message cut to the channel's maxLength
+function fitMessage(coaching, maxLength) {
+  const message = coaching.message || '';
+  if (!maxLength || message.length <= maxLength) return coaching;
+  return { ...coaching, message: `${message.slice(0, maxLength - 1).trimEnd()}…` };
+}
+
+// Results that went through, e.g. for "sent to 2/3 channels"
+function countSent(results) {
+  return Object.values(results).filter(result => result === 'sent').length;
+}
+
+module.exports = {
+  ChannelRegistry,
+  ChannelSet,
+  countSent
+};
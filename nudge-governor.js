@@ -0,0 +1,165 @@
+/**
+ * NIMO Live Nudges - Nudge Governor
+ *
+ * Last check before a coaching nudge reaches the rep. The prompt asks the
+ * model to be sparing, but this enforces it in code:
+ *
+ * - min_interval  At least minIntervalMs between delivered nudges
+ * - max_per_call  No more than maxPerCall nudges per session
+ * - quota         Per-category quotas (e.g. 1 BANT nudge per conversation)
+ * - duplicate     Word-overlap similarity against nudges already sent
+ *
+ * Suppressed nudges are kept with the rule that blocked them so they can be
+ * reviewed from the session API.
+ */
+
+const DEFAULT_NUDGE_POLICY = {
+  minIntervalMs: 60000,
+  maxPerCall: 12,
+  similarityThreshold: 0.6,
+  // A quota matches a nudge by category, or by a regex over its free-text reason
+  quotas: [
+    { name: 'bant', categories: ['bant_budget', 'bant_authority', 'bant_need', 'bant_timeline'], max: 1 }
+  ]
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by',
+  'is', 'are', 'was', 'were', 'be', 'it', 'this', 'that', 'they', 'them', 'their', 'you',
+  'your', 'i', 'we', 'our', 'what', 'how', 'if', 'so', 'as', 'do', 'does', 'have', 'has',
+  'about', 'ask', 'yet', 'not', 'no', 'now', 'just'
+]);
+
+function tokenize(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9$%\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  );
+}
+
+// Jaccard similarity of the two messages' content words (0..1)
+function similarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+class NudgeGovernor {
+  constructor(overrides = {}) {
+    this.config = {
+      ...DEFAULT_NUDGE_POLICY,
+      ...overrides,
+      quotas: Array.isArray(overrides.quotas) ? overrides.quotas : DEFAULT_NUDGE_POLICY.quotas
+    };
+    this.quotaMatchers = this.config.quotas.map(quota => ({
+      ...quota,
+      regex: quota.pattern ? new RegExp(quota.pattern, 'i') : null
+    }));
+    this.sent = [];
+    this.suppressed = [];
+    this.quotaCounts = {};
+    this.lastSentAt = null;
+  }
+
+  matchQuotas(nudge) {
+    return this.quotaMatchers.filter(quota =>
+      (quota.categories || []).includes(nudge.category) ||
+      (quota.regex && quota.regex.test(nudge.reason || ''))
+    );
+  }
+
+  /**
+   * Decide whether a nudge may be delivered now.
+   * @returns {{ allowed: boolean, rule?: string, detail?: string }}
+   */
+  check(nudge, now = Date.now()) {
+    const { minIntervalMs, maxPerCall, similarityThreshold } = this.config;
+
+    if (this.sent.length >= maxPerCall) {
+      return { allowed: false, rule: 'max_per_call', detail: `${maxPerCall} nudges already sent this call` };
+    }
+
+    if (this.lastSentAt && now - this.lastSentAt < minIntervalMs) {
+      const waitSeconds = Math.ceil((minIntervalMs - (now - this.lastSentAt)) / 1000);
+      return { allowed: false, rule: 'min_interval', detail: `next nudge allowed in ${waitSeconds}s` };
+    }
+
+    for (const quota of this.matchQuotas(nudge)) {
+      const used = this.quotaCounts[quota.name] || 0;
+      if (used >= quota.max) {
+        return { allowed: false, rule: 'quota', detail: `"${quota.name}" quota of ${quota.max} per call used` };
+      }
+    }
+
+    for (const previous of this.sent) {
+      const score = similarity(nudge.message, previous.message);
+      if (score >= similarityThreshold) {
+        return {
+          allowed: false,
+          rule: 'duplicate',
+          detail: `${Math.round(score * 100)}% similar to nudge sent at ${previous.timestamp}`
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  recordSent(nudge, now = Date.now()) {
+    this.lastSentAt = now;
+    this.sent.push({ ...nudge, timestamp: new Date(now).toISOString() });
+    this.matchQuotas(nudge).forEach(quota => {
+      this.quotaCounts[quota.name] = (this.quotaCounts[quota.name] || 0) + 1;
+    });
+  }
+
+  recordSuppressed(nudge, decision, now = Date.now()) {
+    const entry = {
+      ...nudge,
+      rule: decision.rule,
+      detail: decision.detail,
+      timestamp: new Date(now).toISOString()
+    };
+    this.suppressed.push(entry);
+    console.log(`🚫 Nudge suppressed (${decision.rule}): ${decision.detail}`);
+    return entry;
+  }
+
+  // Counters and history for the session store; the policy is rebuilt from the session's options
+  serialize() {
+    return {
+      sent: this.sent,
+      suppressed: this.suppressed,
+      quotaCounts: this.quotaCounts,
+      lastSentAt: this.lastSentAt
+    };
+  }
+
+  restore(state) {
+    this.sent = state.sent || [];
+    this.suppressed = state.suppressed || [];
+    this.quotaCounts = state.quotaCounts || {};
+    this.lastSentAt = state.lastSentAt || null;
+  }
+
+  getState() {
+    return {
+      policy: this.config,
+      sent_count: this.sent.length,
+      quota_counts: this.quotaCounts,
+      suppressed: this.suppressed
+    };
+  }
+}
+
+module.exports = {
+  NudgeGovernor,
+  DEFAULT_NUDGE_POLICY,
+  similarity
+};
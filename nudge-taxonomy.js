@@ -0,0 +1,112 @@
+/**
+ * NIMO Live Nudges - Nudge Taxonomy
+ *
+ * Every coaching nudge carries an enumerated category, a severity and the
+ * transcript excerpt that triggered it, so coaching can be aggregated
+ * across calls. validateNudge() runs server-side before delivery.
+ */
+
+const NUDGE_CATEGORIES = {
+  objection_price: 'Price objection',
+  objection_timing: 'Timing objection',
+  objection_authority: 'Authority objection',
+  objection_competition: 'Competition objection',
+  objection_status_quo: 'Status quo objection',
+  buying_signal: 'Buying signal',
+  bant_budget: 'BANT: Budget',
+  bant_authority: 'BANT: Authority',
+  bant_need: 'BANT: Need',
+  bant_timeline: 'BANT: Timeline',
+  spin_situation: 'SPIN: Situation',
+  spin_problem: 'SPIN: Problem',
+  spin_implication: 'SPIN: Implication',
+  spin_need_payoff: 'SPIN: Need-payoff',
+  discovery_depth: 'Missed drill-down',
+  premature_demo: 'Premature demo',
+  value_connection: 'Weak value connection',
+  challenger_reframe: 'Challenger reframe',
+  next_steps: 'Next steps'
+};
+
+const NUDGE_SEVERITIES = ['low', 'medium', 'high'];
+
+const SEVERITY_ICONS = { low: '🟢', medium: '🟡', high: '🔴' };
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9$%\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * True when the excerpt appears in one of the utterances, either verbatim
+ * (ignoring case/punctuation) or with at least 70% of its words present.
+ */
+function excerptMatchesTranscript(excerpt, utterances) {
+  const needle = normalize(excerpt);
+  if (!needle) return false;
+  const needleWords = needle.split(' ');
+
+  return utterances.some(utterance => {
+    const haystack = normalize(utterance.text);
+    if (haystack.includes(needle)) return true;
+    const haystackWords = new Set(haystack.split(' '));
+    const found = needleWords.filter(word => haystackWords.has(word)).length;
+    return found / needleWords.length >= 0.7;
+  });
+}
+
+/**
+ * Validate send_message arguments.
+ * @param {object} args - Function call arguments from the model
+ * @param {Array} conversationHistory - [{ text }] utterances heard so far
+ * @returns {{ valid: boolean, errors: string[], nudge?: object }}
+ */
+function validateNudge(args, conversationHistory = []) {
+  const errors = [];
+  const { message, category, severity, transcript_excerpt, reason } = args;
+
+  if (!message || typeof message !== 'string') {
+    errors.push('message is required');
+  }
+  // Own keys only, so names like "constructor" aren't taken for categories
+  if (!Object.hasOwn(NUDGE_CATEGORIES, category)) {
+    errors.push(`category must be one of: ${Object.keys(NUDGE_CATEGORIES).join(', ')}`);
+  }
+  if (!NUDGE_SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of: ${NUDGE_SEVERITIES.join(', ')}`);
+  }
+  if (!transcript_excerpt || typeof transcript_excerpt !== 'string') {
+    errors.push('transcript_excerpt is required');
+  } else if (!excerptMatchesTranscript(transcript_excerpt, conversationHistory)) {
+    errors.push('transcript_excerpt must quote words actually said in the conversation');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors,
+    nudge: {
+      message,
+      category,
+      categoryLabel: NUDGE_CATEGORIES[category],
+      severity,
+      transcriptExcerpt: transcript_excerpt,
+      reason: reason || NUDGE_CATEGORIES[category]
+    }
+  };
+}
+
+function formatCategory(category, severity) {
+  const label = (Object.hasOwn(NUDGE_CATEGORIES, category) && NUDGE_CATEGORIES[category]) || category || 'Coaching';
+  return severity ? `${SEVERITY_ICONS[severity] || ''} ${label} (${severity})`.trim() : label;
+}
+
+module.exports = {
+  NUDGE_CATEGORIES,
+  NUDGE_SEVERITIES,
+  validateNudge,
+  formatCategory,
+  excerptMatchesTranscript
+};
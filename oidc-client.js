@@ -0,0 +1,164 @@
+/**
+ * NIMO Live Nudges - OIDC Sign-in
+ *
+ * Authorization-code flow with PKCE against any OpenID Connect provider
+ * (Okta, Entra ID, Google Workspace, Auth0, Keycloak...):
+ *
+ *   1. GET /api/auth/oidc/login    redirects to the provider with state, nonce and a PKCE challenge
+ *   2. GET /api/auth/oidc/callback exchanges the code for tokens and reads the ID token claims
+ *
+ * The ID token comes straight from the token endpoint over TLS with our
+ * client credentials, so its claims (issuer, audience, expiry, nonce) are
+ * checked without verifying the JWT signature.
+ */
+
+const crypto = require('crypto');
+
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const base64url = buffer => buffer.toString('base64url');
+
+function decodeJwtClaims(jwt) {
+  const [, payload] = String(jwt || '').split('.');
+  if (!payload) throw new Error('Provider did not return an ID token');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+class OidcClient {
+  /**
+   * @param {object} options
+   * @param {string} options.issuer - Issuer URL (discovery is read from /.well-known/openid-configuration)
+   * @param {string} options.clientId
+   * @param {string} [options.clientSecret]
+   * @param {string} options.redirectUri - Must point at /api/auth/oidc/callback
+   * @param {string} [options.scopes]
+   */
+  constructor({ issuer, clientId, clientSecret, redirectUri, scopes = 'openid email profile' }) {
+    this.issuer = issuer.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.discovery = null;
+    this.pending = new Map(); // state -> { nonce, verifier, createdAt }
+  }
+
+  async getDiscovery() {
+    if (!this.discovery) {
+      const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw new Error(`OIDC discovery failed: ${response.status}`);
+      }
+      this.discovery = await response.json();
+    }
+    return this.discovery;
+  }
+
+  /**
+   * Where to send the browser to sign in. The state must come back from the
+   * same browser (server.js keeps it in a short-lived cookie).
+   * @returns {Promise<{ url: string, state: string }>}
+   */
+  async getAuthorizationUrl() {
+    const { authorization_endpoint: endpoint } = await this.getDiscovery();
+    this.forgetExpired();
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const verifier = base64url(crypto.randomBytes(32));
+    this.pending.set(state, { nonce, verifier, createdAt: Date.now() });
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(verifier).digest()),
+      code_challenge_method: 'S256'
+    }).toString();
+    return { url: url.toString(), state };
+  }
+
+  /**
+   * Finish a sign-in from the callback query.
+   * @param {object} query - { code, state, error, error_description }
+   * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string|null }>}
+   */
+  async handleCallback({ code, state, error, error_description: description }) {
+    if (error) {
+      throw new Error(`Provider refused sign-in: ${description || error}`);
+    }
+    const pending = this.pending.get(state);
+    this.pending.delete(state);
+    if (!pending || Date.now() - pending.createdAt > PENDING_TTL_MS) {
+      throw new Error('Sign-in expired or was started elsewhere - try again');
+    }
+
+    const { token_endpoint: endpoint, issuer } = await this.getDiscovery();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: pending.verifier
+    });
+    if (this.clientSecret) body.set('client_secret', this.clientSecret);
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    const tokens = await response.json();
+    if (!response.ok) {
+      throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error || response.status}`);
+    }
+
+    const claims = decodeJwtClaims(tokens.id_token);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== (issuer || this.issuer)) throw new Error('ID token issuer mismatch');
+    if (!audiences.includes(this.clientId)) throw new Error('ID token audience mismatch');
+    if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('ID token expired');
+    if (claims.nonce !== pending.nonce) throw new Error('ID token nonce mismatch');
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      // Providers that leave the claim out (or let users edit their email) don't vouch for it
+      emailVerified: claims.email_verified === true,
+      name: claims.name || claims.preferred_username || null
+    };
+  }
+
+  forgetExpired() {
+    const cutoff = Date.now() - PENDING_TTL_MS;
+    for (const [state, pending] of this.pending) {
+      if (pending.createdAt < cutoff) this.pending.delete(state);
+    }
+  }
+}
+
+/**
+ * OIDC client from the environment, or null when OIDC_ISSUER isn't set.
+ */
+function createOidcClient(env = process.env) {
+  if (!env.OIDC_ISSUER) return null;
+  if (!env.OIDC_CLIENT_ID || !env.OIDC_REDIRECT_URI) {
+    throw new Error('OIDC_ISSUER is set but OIDC_CLIENT_ID or OIDC_REDIRECT_URI is missing');
+  }
+  return new OidcClient({
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI,
+    scopes: env.OIDC_SCOPES || undefined
+  });
+}
+
+module.exports = {
+  OidcClient,
+  createOidcClient
+};
@@ -0,0 +1,219 @@
+/**
+ * NIMO Live Nudges - Partial Transcript Rule Engine
+ *
+ * Scans live captions (transcript.partial_data) for high-urgency phrases so
+ * the rep can be coached before the speaker has even finished the sentence.
+ * Rules come from the playbook's "partialRules":
+ *
+ * {
+ *   "id": "price-objection",
+ *   "phrases": ["too expensive", "over our budget"],
+ *   "speaker": "prospect",          // prospect | rep | any (default prospect)
+ *   "action": "nudge",              // nudge: send a templated nudge now
+ *                                   // analyze: force an immediate AI batch
+ *   "message": "They said \"{phrase}\" - acknowledge it and ask what they're comparing against.",
+ *   "category": "objection_price",  // nudge only
+ *   "severity": "high",             // nudge only
+ *   "cooldownMs": 60000             // optional, per rule
+ * }
+ *
+ * Partials repeat as the caption grows, and the final transcript repeats
+ * them once more. A rule fires at most once per utterance: the partials and
+ * the final of one utterance share its start timestamp (or, without one,
+ * everything from a speaker until their final counts as one utterance).
+ *
+ * The engine does no I/O - feed it captions with check() and it returns the
+ * matches to act on, so rules can be exercised offline.
+ */
+
+const { NUDGE_CATEGORIES, NUDGE_SEVERITIES } = require('./nudge-taxonomy');
+
+const RULE_ACTIONS = ['nudge', 'analyze'];
+const RULE_SPEAKERS = ['prospect', 'rep', 'any'];
+const DEFAULT_RULE_COOLDOWN_MS = 60000;
+
+function normalize(text) {
+  return ` ${(text || '').toLowerCase().replace(/[^a-z0-9$%\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+// Up to `radius` words on each side of the matched phrase
+function excerptAround(text, phrase, radius = 8) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const phraseWords = normalize(phrase).trim().split(' ');
+  const clean = words.map(word => normalize(word).trim());
+  const start = clean.findIndex((word, index) =>
+    phraseWords.every((phraseWord, offset) => clean[index + offset] === phraseWord)
+  );
+  if (start === -1) return text;
+  return words.slice(Math.max(0, start - radius), start + phraseWords.length + radius).join(' ');
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Validate a playbook's partialRules array.
+ * @returns {string[]} errors
+ */
+function validatePartialRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return ['partialRules must be an array'];
+  }
+
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const label = `partialRules[${index}]`;
+    if (typeof rule.id !== 'string' || !rule.id) {
+      errors.push(`${label}: id is required`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label}: duplicate id "${rule.id}"`);
+    } else {
+      ids.add(rule.id);
+    }
+    if (!Array.isArray(rule.phrases) || rule.phrases.length === 0 || rule.phrases.some(phrase => typeof phrase !== 'string' || !phrase.trim())) {
+      errors.push(`${label}: phrases must be a non-empty array of strings`);
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: action must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (rule.speaker !== undefined && !RULE_SPEAKERS.includes(rule.speaker)) {
+      errors.push(`${label}: speaker must be one of: ${RULE_SPEAKERS.join(', ')}`);
+    }
+    if (rule.cooldownMs !== undefined && (typeof rule.cooldownMs !== 'number' || rule.cooldownMs < 0)) {
+      errors.push(`${label}: cooldownMs must be a number >= 0`);
+    }
+    if (rule.action === 'nudge') {
+      if (typeof rule.message !== 'string' || !rule.message.trim()) {
+        errors.push(`${label}: message is required for nudge rules`);
+      }
+      if (!Object.hasOwn(NUDGE_CATEGORIES, rule.category)) {
+        errors.push(`${label}: unknown category "${rule.category}"`);
+      }
+      if (!NUDGE_SEVERITIES.includes(rule.severity)) {
+        errors.push(`${label}: severity must be one of: ${NUDGE_SEVERITIES.join(', ')}`);
+      }
+    }
+  });
+  return errors;
+}
+
+class PartialRuleEngine {
+  /**
+   * @param {Array} rules - Validated partialRules from the playbook
+   * @param {object} [options]
+   * @param {function} [options.now] - Clock, injectable for offline runs
+   */
+  constructor(rules = [], options = {}) {
+    this.rules = rules.map(rule => ({
+      speaker: 'prospect',
+      cooldownMs: DEFAULT_RULE_COOLDOWN_MS,
+      ...rule,
+      normalizedPhrases: rule.phrases.map(phrase => ({ phrase, needle: normalize(phrase) }))
+    }));
+    this.now = options.now || (() => Date.now());
+    this.utterances = new Map(); // participantId -> { start, seen: Set<ruleId>, fired: Set<ruleId> }
+    this.lastFiredAt = {};
+    this.stats = { partials_scanned: 0, finals_scanned: 0, fired: 0, deduplicated: 0, cooled_down: 0 };
+    this.firedLog = [];
+  }
+
+  /**
+   * Scan one caption.
+   * @param {object} caption
+   * @param {string} caption.participantId
+   * @param {string} caption.speaker
+   * @param {boolean} caption.isHost
+   * @param {string} caption.text - Caption text so far
+   * @param {*} [caption.utteranceStart] - Start timestamp shared by an utterance's partials and final
+   * @param {boolean} [caption.final] - True for transcript.data
+   * @returns {{ matches: Array<{ rule, phrase, excerpt, message? }>, deduplicated: string[] }}
+   */
+  check({ participantId, speaker, isHost, text, utteranceStart = null, final = false }) {
+    this.stats[final ? 'finals_scanned' : 'partials_scanned']++;
+    const key = String(participantId ?? speaker);
+
+    let utterance = this.utterances.get(key);
+    if (!utterance || (utteranceStart !== null && utterance.start !== null && utterance.start !== utteranceStart)) {
+      utterance = { start: utteranceStart, seen: new Set(), fired: new Set() };
+      this.utterances.set(key, utterance);
+    }
+    if (utterance.start === null) utterance.start = utteranceStart;
+
+    const haystack = normalize(text);
+    const role = isHost ? 'rep' : 'prospect';
+    const matches = [];
+    const deduplicated = [];
+    const now = this.now();
+
+    for (const rule of this.rules) {
+      if (rule.speaker !== 'any' && rule.speaker !== role) continue;
+      const hit = rule.normalizedPhrases.find(({ needle }) => haystack.includes(needle));
+      if (!hit) continue;
+
+      if (utterance.seen.has(rule.id)) {
+        if (final && utterance.fired.has(rule.id)) {
+          deduplicated.push(rule.id);
+          this.stats.deduplicated++;
+        }
+        continue;
+      }
+      utterance.seen.add(rule.id);
+
+      if (this.lastFiredAt[rule.id] && now - this.lastFiredAt[rule.id] < rule.cooldownMs) {
+        this.stats.cooled_down++;
+        continue;
+      }
+      this.lastFiredAt[rule.id] = now;
+      utterance.fired.add(rule.id);
+      this.stats.fired++;
+
+      const excerpt = excerptAround(text, hit.phrase);
+      const match = { rule, phrase: hit.phrase, excerpt, final };
+      if (rule.action === 'nudge') {
+        match.message = renderTemplate(rule.message, { phrase: hit.phrase, speaker: speaker || 'the prospect', excerpt });
+      }
+      matches.push(match);
+      this.firedLog.push({
+        rule: rule.id,
+        action: rule.action,
+        phrase: hit.phrase,
+        source: final ? 'final' : 'partial',
+        timestamp: new Date(now).toISOString()
+      });
+    }
+
+    // The final closes the utterance; the next caption from this speaker starts a new one
+    if (final) {
+      this.utterances.delete(key);
+    }
+
+    return { matches, deduplicated };
+  }
+
+  // Cooldowns and stats for the session store; open utterances are not kept across a restart
+  serialize() {
+    return { lastFiredAt: this.lastFiredAt, stats: this.stats, firedLog: this.firedLog };
+  }
+
+  restore(state) {
+    this.lastFiredAt = state.lastFiredAt || {};
+    this.stats = { ...this.stats, ...state.stats };
+    this.firedLog = state.firedLog || [];
+  }
+
+  getStatus() {
+    return {
+      rules: this.rules.map(({ id, action, phrases, speaker }) => ({ id, action, phrases, speaker })),
+      ...this.stats,
+      fired_log: this.firedLog.slice(-20)
+    };
+  }
+}
+
+module.exports = {
+  PartialRuleEngine,
+  validatePartialRules,
+  RULE_ACTIONS
+};
@@ -0,0 +1,289 @@
+/**
+ * NIMO Live Nudges - Coaching Playbook Registry
+ *
+ * A playbook bundles everything that makes a kind of call different:
+ * the system prompt, which tools the AI may call, nudge quotas, batch
+ * flush policy and how nudges are formatted on each channel.
+ *
+ * Playbooks live in playbooks/<id>.json; the prompt is either inline
+ * ("prompt") or in a sibling file ("promptFile"). They are loaded and
+ * validated at startup - invalid files are reported and skipped.
+ *
+ * {
+ *   "id": "discovery",
+ *   "name": "Discovery Call",
+ *   "description": "...",
+ *   "promptFile": "discovery.md",
+ *   "tools": ["send_message"],
+ *   "nudgePolicy": { ... },      // see nudge-governor.js
+ *   "batchPolicy": { ... },      // see flush-policy.js
+ *   "partialRules": [ ... ],     // see partial-rules.js
+ *   "channelFormatting": { "botType": "...", "meetingTitle": "...", "showExcerpt": true, "smsMaxLength": 480 }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FLUSH_POLICY } = require('./flush-policy');
+const { DEFAULT_NUDGE_POLICY } = require('./nudge-governor');
+const { NUDGE_CATEGORIES } = require('./nudge-taxonomy');
+const { validatePartialRules } = require('./partial-rules');
+
+const DEFAULT_CHANNEL_FORMATTING = {
+  botType: 'Sales Coach',
+  meetingTitle: 'Sales Call',
+  showExcerpt: true,
+  smsMaxLength: 600
+};
+
+const CHANNEL_FORMATTING_TYPES = {
+  botType: 'string',
+  meetingTitle: 'string',
+  showExcerpt: 'boolean',
+  smsMaxLength: 'number'
+};
+
+// Quota patterns run against every nudge's reason, so they are kept short
+const MAX_QUOTA_PATTERN_LENGTH = 200;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a nudge policy (playbook nudgePolicy or a session's nudge_policy); [] when valid
+function validateNudgePolicy(nudgePolicy) {
+  if (!isPlainObject(nudgePolicy)) {
+    return ['nudgePolicy must be an object'];
+  }
+  const errors = [];
+  Object.keys(nudgePolicy).filter(key => !(key in DEFAULT_NUDGE_POLICY)).forEach(key => {
+    errors.push(`nudgePolicy: unknown setting "${key}"`);
+  });
+  ['minIntervalMs', 'maxPerCall', 'similarityThreshold'].forEach(key => {
+    if (key in nudgePolicy && (typeof nudgePolicy[key] !== 'number' || nudgePolicy[key] < 0)) {
+      errors.push(`nudgePolicy.${key} must be a number >= 0`);
+    }
+  });
+  if ('quotas' in nudgePolicy && !Array.isArray(nudgePolicy.quotas)) {
+    errors.push('nudgePolicy.quotas must be an array');
+    return errors;
+  }
+  (nudgePolicy.quotas || []).forEach((quota, index) => {
+    if (!isPlainObject(quota)) {
+      errors.push(`nudgePolicy.quotas[${index}] must be an object`);
+      return;
+    }
+    if (!quota.name) errors.push(`nudgePolicy.quotas[${index}]: name is required`);
+    if (typeof quota.max !== 'number' || quota.max < 0) errors.push(`nudgePolicy.quotas[${index}]: max must be a number >= 0`);
+    if ('categories' in quota && !Array.isArray(quota.categories)) {
+      errors.push(`nudgePolicy.quotas[${index}]: categories must be an array`);
+    } else {
+      (quota.categories || []).filter(category => !Object.hasOwn(NUDGE_CATEGORIES, category)).forEach(category => {
+        errors.push(`nudgePolicy.quotas[${index}]: unknown category "${category}"`);
+      });
+    }
+    if (quota.pattern !== undefined) {
+      if (typeof quota.pattern !== 'string' || !quota.pattern || quota.pattern.length > MAX_QUOTA_PATTERN_LENGTH) {
+        errors.push(`nudgePolicy.quotas[${index}]: pattern must be a string of 1-${MAX_QUOTA_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(quota.pattern, 'i');
+        } catch (error) {
+          errors.push(`nudgePolicy.quotas[${index}]: invalid pattern (${error.message})`);
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+// Problems with a batch flush policy (playbook batchPolicy or a session's batch_policy); [] when valid
+function validateBatchPolicy(batchPolicy) {
+  if (!isPlainObject(batchPolicy)) {
+    return ['batchPolicy must be an object'];
+  }
+  const errors = [];
+  Object.keys(batchPolicy).filter(key => !(key in DEFAULT_FLUSH_POLICY)).forEach(key => {
+    errors.push(`batchPolicy: unknown setting "${key}"`);
+  });
+  ['batchSize', 'maxWaitMs', 'silenceGapMs', 'turnChangeMinLines'].forEach(key => {
+    if (key in batchPolicy && (typeof batchPolicy[key] !== 'number' || batchPolicy[key] < 0)) {
+      errors.push(`batchPolicy.${key} must be a number >= 0`);
+    }
+  });
+  if ('flushOnTurnChange' in batchPolicy && typeof batchPolicy.flushOnTurnChange !== 'boolean') {
+    errors.push('batchPolicy.flushOnTurnChange must be true or false');
+  }
+  if ('keywords' in batchPolicy &&
+    (!Array.isArray(batchPolicy.keywords) || batchPolicy.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+    errors.push('batchPolicy.keywords must be an array of phrases');
+  }
+  if ('adaptive' in batchPolicy) {
+    const adaptive = batchPolicy.adaptive;
+    if (!isPlainObject(adaptive)) {
+      errors.push('batchPolicy.adaptive must be an object');
+    } else {
+      Object.keys(adaptive).filter(key => !(key in DEFAULT_FLUSH_POLICY.adaptive)).forEach(key => {
+        errors.push(`batchPolicy.adaptive: unknown setting "${key}"`);
+      });
+      if ('enabled' in adaptive && typeof adaptive.enabled !== 'boolean') {
+        errors.push('batchPolicy.adaptive.enabled must be true or false');
+      }
+      Object.keys(adaptive).filter(key => key !== 'enabled' && key in DEFAULT_FLUSH_POLICY.adaptive).forEach(key => {
+        if (typeof adaptive[key] !== 'number' || adaptive[key] < 0) {
+          errors.push(`batchPolicy.adaptive.${key} must be a number >= 0`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+function validatePlaybook(raw, file, knownTools, directory) {
+  const errors = [];
+
+  if (typeof raw.id !== 'string' || !/^[a-z0-9-]+$/.test(raw.id)) {
+    errors.push('id must be a lowercase slug (letters, digits, dashes)');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push('name is required');
+  }
+
+  // Prompt: inline or from a file next to the playbook
+  let prompt = raw.prompt;
+  if (!prompt && raw.promptFile) {
+    const promptPath = path.join(directory, raw.promptFile);
+    if (fs.existsSync(promptPath)) {
+      prompt = fs.readFileSync(promptPath, 'utf8').trim();
+    } else {
+      errors.push(`promptFile "${raw.promptFile}" not found`);
+    }
+  }
+  if (!prompt && !errors.some(error => error.startsWith('promptFile'))) {
+    errors.push('prompt or promptFile is required');
+  }
+
+  if (!Array.isArray(raw.tools) || raw.tools.length === 0) {
+    errors.push('tools must be a non-empty array');
+  } else {
+    raw.tools.filter(tool => !knownTools.includes(tool)).forEach(tool => {
+      errors.push(`unknown tool "${tool}" (available: ${knownTools.join(', ')})`);
+    });
+  }
+
+  const nudgePolicy = raw.nudgePolicy || {};
+  errors.push(...validateNudgePolicy(nudgePolicy));
+
+  const batchPolicy = raw.batchPolicy || {};
+  errors.push(...validateBatchPolicy(batchPolicy));
+
+  const partialRules = raw.partialRules || [];
+  errors.push(...validatePartialRules(partialRules));
+
+  const channelFormatting = raw.channelFormatting || {};
+  Object.entries(channelFormatting).forEach(([key, value]) => {
+    if (!CHANNEL_FORMATTING_TYPES[key]) {
+      errors.push(`channelFormatting: unknown setting "${key}"`);
+    } else if (typeof value !== CHANNEL_FORMATTING_TYPES[key]) {
+      errors.push(`channelFormatting.${key} must be a ${CHANNEL_FORMATTING_TYPES[key]}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    playbook: {
+      id: raw.id,
+      name: raw.name,
+      description: raw.description || '',
+      file,
+      prompt,
+      tools: raw.tools,
+      nudgePolicy,
+      batchPolicy,
+      partialRules,
+      channelFormatting: { ...DEFAULT_CHANNEL_FORMATTING, ...channelFormatting }
+    }
+  };
+}
+
+class PlaybookRegistry {
+  /**
+   * @param {string} directory - Folder holding <id>.json playbooks
+   * @param {object} options
+   * @param {string[]} options.knownTools - Tool names the server can handle
+   * @param {string} [options.defaultId] - Playbook used when a session doesn't pick one
+   */
+  constructor(directory, { knownTools, defaultId }) {
+    this.directory = directory;
+    this.knownTools = knownTools;
+    this.defaultId = defaultId;
+    this.playbooks = new Map();
+    this.loadErrors = [];
+  }
+
+  load() {
+    this.playbooks.clear();
+    this.loadErrors = [];
+
+    const files = fs.existsSync(this.directory)
+      ? fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    for (const file of files) {
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      } catch (error) {
+        this.loadErrors.push({ file, errors: [`invalid JSON: ${error.message}`] });
+        continue;
+      }
+
+      const { playbook, errors } = validatePlaybook(raw, file, this.knownTools, this.directory);
+      if (playbook && this.playbooks.has(playbook.id)) {
+        errors.push(`duplicate id "${playbook.id}"`);
+      }
+      if (errors.length > 0) {
+        this.loadErrors.push({ file, errors });
+        continue;
+      }
+      this.playbooks.set(playbook.id, playbook);
+    }
+
+    this.loadErrors.forEach(({ file, errors }) => {
+      console.error(`❌ Playbook ${file} skipped:\n   - ${errors.join('\n   - ')}`);
+    });
+
+    if (this.playbooks.size === 0) {
+      throw new Error(`No valid playbooks found in ${this.directory}`);
+    }
+    if (!this.playbooks.has(this.defaultId)) {
+      const fallback = this.playbooks.keys().next().value;
+      console.error(`⚠️  Default playbook "${this.defaultId}" not available, using "${fallback}"`);
+      this.defaultId = fallback;
+    }
+
+    console.log(`📚 Loaded ${this.playbooks.size} playbook(s): ${[...this.playbooks.keys()].join(', ')} (default: ${this.defaultId})`);
+    return { loaded: this.playbooks.size, errors: this.loadErrors };
+  }
+
+  get(id) {
+    return this.playbooks.get(id || this.defaultId) || null;
+  }
+
+  list() {
+    return [...this.playbooks.values()].map(({ prompt, ...summary }) => ({
+      ...summary,
+      isDefault: summary.id === this.defaultId
+    }));
+  }
+}
+
+module.exports = {
+  PlaybookRegistry,
+  validatePlaybook,
+  validateNudgePolicy,
+  validateBatchPolicy,
+  DEFAULT_CHANNEL_FORMATTING
+};
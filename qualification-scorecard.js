@@ -0,0 +1,104 @@
+/**
+ * NIMO Live Nudges - Qualification Scorecard
+ *
+ * Server-side BANT state for a session. The model reports what it has
+ * learned through the update_qualification tool; each element keeps its
+ * current status, the transcript quote that supports it and when it was
+ * last updated, plus the history of changes.
+ */
+
+const { excerptMatchesTranscript } = require('./nudge-taxonomy');
+
+const QUALIFICATION_ELEMENTS = {
+  budget: 'Budget',
+  authority: 'Authority',
+  need: 'Need',
+  timeline: 'Timeline'
+};
+
+// unknown is the starting state; the model moves elements to one of the others
+const QUALIFICATION_STATUSES = ['unknown', 'discussed', 'confirmed', 'disqualified'];
+
+class QualificationScorecard {
+  constructor() {
+    this.elements = {};
+    Object.keys(QUALIFICATION_ELEMENTS).forEach(element => {
+      this.elements[element] = { status: 'unknown', evidence: null, notes: null, updatedAt: null };
+    });
+    this.history = [];
+  }
+
+  /**
+   * Validate and apply an update_qualification call.
+   * @param {object} args - { element, status, evidence, notes }
+   * @param {Array} conversationHistory - [{ text }] utterances heard so far
+   * @returns {{ valid: boolean, errors: string[], changed?: boolean, entry?: object }}
+   */
+  update(args, conversationHistory = []) {
+    const errors = [];
+    const { element, status, evidence, notes } = args;
+
+    // Own keys only, so names like "toString" aren't taken for elements
+    if (!Object.hasOwn(QUALIFICATION_ELEMENTS, element)) {
+      errors.push(`element must be one of: ${Object.keys(QUALIFICATION_ELEMENTS).join(', ')}`);
+    }
+    if (!QUALIFICATION_STATUSES.includes(status) || status === 'unknown') {
+      errors.push(`status must be one of: ${QUALIFICATION_STATUSES.filter(s => s !== 'unknown').join(', ')}`);
+    }
+    if (!evidence || typeof evidence !== 'string') {
+      errors.push('evidence is required');
+    } else if (!excerptMatchesTranscript(evidence, conversationHistory)) {
+      errors.push('evidence must quote words actually said in the conversation');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const previous = this.elements[element];
+    const changed = previous.status !== status || previous.evidence !== evidence;
+    const entry = {
+      status,
+      evidence,
+      notes: notes || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.elements[element] = entry;
+    this.history.push({ element, previousStatus: previous.status, ...entry });
+    return { valid: true, errors, changed, entry: { element, label: QUALIFICATION_ELEMENTS[element], ...entry } };
+  }
+
+  // Count of elements confirmed out of four
+  getScore() {
+    return Object.values(this.elements).filter(entry => entry.status === 'confirmed').length;
+  }
+
+  serialize() {
+    return { elements: this.elements, history: this.history };
+  }
+
+  restore(state) {
+    Object.assign(this.elements, state.elements || {});
+    this.history = state.history || [];
+  }
+
+  getState() {
+    const elements = {};
+    Object.entries(this.elements).forEach(([element, entry]) => {
+      elements[element] = { label: QUALIFICATION_ELEMENTS[element], ...entry };
+    });
+    return {
+      elements,
+      confirmed: this.getScore(),
+      total: Object.keys(QUALIFICATION_ELEMENTS).length,
+      history: this.history
+    };
+  }
+}
+
+module.exports = {
+  QualificationScorecard,
+  QUALIFICATION_ELEMENTS,
+  QUALIFICATION_STATUSES
+};
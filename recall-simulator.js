@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+/**
+ * NIMO Live Nudges - Recall.ai Simulator
+ *
+ * A local stand-in for the Recall bot API, so the whole app runs on a laptop
+ * without ngrok, a Recall key or a live meeting. Each bot "joins" a scripted
+ * call: it sends bot status, participant join/leave and transcript webhooks
+ * (partial and final) to the server, and records the chat messages the
+ * server asks it to send. Bots created with join_at wait until then.
+ *
+ *   node recall-simulator.js [options]
+ *
+ *   --port <n>              default $RECALL_SIMULATOR_PORT (3100)
+ *   --scenario <path>       Call to play (any recording the replay accepts)   default scenarios/discovery-call.json
+ *   --speed <n>             Playback speed (1 = real time; word timestamps     default 1
+ *                           are scaled too, so they match the server's clock)
+ *   --hang-up <seconds>     End the call this long after the last line         default: stay until the bot is stopped
+ *   --status-webhook <url>  Where bot status webhooks go                       default: the bot's real-time endpoint
+ *   --signing-secret <s>    Sign webhooks like Recall (whsec_...)              default $RECALL_WEBHOOK_SECRET
+ *
+ * Run the server with RECALL_API_BASE_URL=http://localhost:3100 and
+ * WEBHOOK_BASE_URL=http://localhost:3000.
+ *
+ * Implemented Recall endpoints:
+ * - POST   /api/v1/bot/                        create a bot and start the scenario
+ * - GET    /api/v1/bot/:id/                    bot with its status changes
+ * - PATCH  /api/v1/bot/:id/                    move a scheduled bot (join_at, meeting_url)
+ * - POST   /api/v1/bot/:id/send_chat_message/  record a chat message
+ * - POST   /api/v1/bot/:id/leave_call/         end the call
+ * - DELETE /api/v1/bot/:id/                    end the call (the server stops bots this way), or cancel a scheduled bot
+ *
+ * Simulator only:
+ * - GET /simulator/bots                        every bot and its status
+ * - GET /simulator/bots/:id/chat               chat messages the bot "sent"
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { parseRecording, withAbsoluteTimes } = require('./call-replay');
+const { signWebhook } = require('./webhook-verifier');
+
+const JOIN_STEPS_MS = { joining_call: 0, in_call_not_recording: 1000, in_call_recording: 2000 };
+const PARTIAL_EVERY_WORDS = 4; // Partial captions grow by this many words
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+// Growing partial captions ahead of each final line (recordings of webhooks already have theirs)
+function withPartials(events) {
+  const partials = events
+    .filter(item => item.event === 'transcript.data')
+    .flatMap(item => {
+      const { participant, words } = item.transcript;
+      const prefixes = [];
+      for (let count = PARTIAL_EVERY_WORDS; count < words.length; count += PARTIAL_EVERY_WORDS) {
+        prefixes.push({
+          at: words[count - 1].end_timestamp.relative,
+          event: 'transcript.partial_data',
+          transcript: { participant, words: words.slice(0, count) }
+        });
+      }
+      return prefixes;
+    });
+  // Stable sort keeps a partial ahead of the final that shares its end time
+  return [...partials, ...events].sort((a, b) => a.at - b.at);
+}
+
+// Word timestamps on the sped-up timeline: the server times nudges by its own clock, so a
+// line at 46s played at 10x has to say 4.6s for exports to put both in the same place
+function atSpeed(transcript, speed) {
+  const scale = timestamp => ({ ...timestamp, relative: timestamp.relative / speed });
+  return {
+    ...transcript,
+    words: transcript.words.map(word => ({
+      ...word,
+      start_timestamp: scale(word.start_timestamp),
+      end_timestamp: scale(word.end_timestamp)
+    }))
+  };
+}
+
+// Everyone who speaks in the scenario, in order of first appearance
+function scenarioParticipants(events) {
+  const participants = new Map();
+  events.forEach(({ transcript }) => {
+    if (!participants.has(transcript.participant.id)) {
+      participants.set(transcript.participant.id, transcript.participant);
+    }
+  });
+  return [...participants.values()];
+}
+
+class RecallSimulator {
+  /**
+   * @param {object} options - { scenario, speed, hangUpSeconds, statusWebhook, signingSecret }
+   */
+  constructor({ scenario, speed = 1, hangUpSeconds = null, statusWebhook = null, signingSecret = null }) {
+    this.events = scenario.source === 'recall_webhooks' ? scenario.events : withPartials(scenario.events);
+    this.participants = scenarioParticipants(scenario.events);
+    this.speed = speed;
+    this.hangUpSeconds = hangUpSeconds;
+    this.statusWebhook = statusWebhook;
+    this.signingSecret = signingSecret;
+    this.bots = new Map();
+  }
+
+  createBot(body) {
+    const bot = {
+      id: crypto.randomUUID(),
+      botName: body.bot_name || 'Bot',
+      meetingUrl: body.meeting_url,
+      metadata: body.metadata || {},
+      endpoints: (body.recording_config?.realtime_endpoints || []).filter(endpoint => endpoint.type === 'webhook'),
+      recordingId: crypto.randomUUID(),
+      statusChanges: [],
+      chatMessages: [],
+      joinAt: body.join_at || null,
+      recordingStartedAt: null,
+      timers: [],
+      outbox: Promise.resolve()
+    };
+    this.bots.set(bot.id, bot);
+    this.scheduleJoin(bot);
+    return bot;
+  }
+
+  // join_at is a wall-clock time, so the wait for it isn't sped up
+  scheduleJoin(bot) {
+    const waitMs = bot.joinAt ? Math.max(Date.parse(bot.joinAt) - Date.now(), 0) : 0;
+    console.log(`🎬 Bot ${bot.id} joining ${bot.meetingUrl}${waitMs > 0 ? ` at ${bot.joinAt}` : ''} (${this.events.length} events at ${this.speed}x)`);
+    Object.entries(JOIN_STEPS_MS).forEach(([code, delay]) => {
+      this.schedule(bot, waitMs + delay / this.speed, () => this.setStatus(bot, code));
+    });
+    this.schedule(bot, waitMs + JOIN_STEPS_MS.in_call_recording / this.speed, () => this.startRecording(bot));
+  }
+
+  hasJoined(bot) {
+    return bot.statusChanges.length > 0;
+  }
+
+  reschedule(bot, { join_at: joinAt, meeting_url: meetingUrl }) {
+    bot.timers.forEach(clearTimeout);
+    bot.timers = [];
+    if (joinAt) bot.joinAt = joinAt;
+    if (meetingUrl) bot.meetingUrl = meetingUrl;
+    this.scheduleJoin(bot);
+  }
+
+  cancel(bot) {
+    bot.timers.forEach(clearTimeout);
+    this.bots.delete(bot.id);
+    console.log(`🎬 Bot ${bot.id} cancelled before joining`);
+  }
+
+  startRecording(bot) {
+    bot.recordingStartedAt = Date.now();
+    this.participants.forEach(participant => {
+      this.sendRealtime(bot, 'participant_events.join', {
+        participant: { ...participant, platform: 'desktop', extra_data: {} },
+        timestamp: { absolute: new Date(bot.recordingStartedAt).toISOString(), relative: 0 }
+      });
+    });
+    this.events.forEach(item => {
+      this.schedule(bot, (item.at * 1000) / this.speed, () => {
+        this.sendRealtime(bot, item.event, withAbsoluteTimes(atSpeed(item.transcript, this.speed), bot.recordingStartedAt));
+      });
+    });
+    if (this.hangUpSeconds !== null) {
+      const lastAt = this.events[this.events.length - 1].at;
+      this.schedule(bot, ((lastAt + this.hangUpSeconds) * 1000) / this.speed, () => this.hangUp(bot));
+    }
+  }
+
+  schedule(bot, delayMs, task) {
+    bot.timers.push(setTimeout(task, delayMs));
+  }
+
+  inCall(bot) {
+    const current = bot.statusChanges[bot.statusChanges.length - 1]?.code;
+    return current === 'in_call_not_recording' || current === 'in_call_recording';
+  }
+
+  // The host ends the meeting: everyone leaves, then the bot's call is over
+  hangUp(bot) {
+    this.participants.forEach(participant => {
+      this.sendRealtime(bot, 'participant_events.leave', {
+        participant: { ...participant, platform: 'desktop', extra_data: {} },
+        timestamp: { absolute: new Date().toISOString(), relative: (Date.now() - bot.recordingStartedAt) / 1000 }
+      });
+    });
+    this.endCall(bot, 'call_ended_by_host');
+  }
+
+  endCall(bot, subCode) {
+    if (bot.statusChanges.some(change => change.code === 'call_ended')) return;
+    bot.timers.forEach(clearTimeout);
+    bot.timers = [];
+    this.setStatus(bot, 'call_ended', subCode);
+    this.setStatus(bot, 'done');
+    console.log(`🎬 Bot ${bot.id} left the call (${subCode})`);
+  }
+
+  setStatus(bot, code, subCode = null) {
+    const change = { code, message: null, created_at: new Date().toISOString(), sub_code: subCode };
+    bot.statusChanges.push(change);
+    const url = this.statusWebhook || bot.endpoints[0]?.url;
+    if (url) {
+      this.post(bot, url, {
+        event: `bot.${code}`,
+        data: { data: { code, sub_code: subCode, updated_at: change.created_at }, bot: { id: bot.id, metadata: bot.metadata } }
+      });
+    }
+  }
+
+  // Real-time events go to every endpoint that subscribed to them
+  sendRealtime(bot, event, payload) {
+    bot.endpoints
+      .filter(endpoint => (endpoint.events || []).includes(event))
+      .forEach(endpoint => {
+        this.post(bot, endpoint.url, {
+          event,
+          data: {
+            data: payload,
+            realtime_endpoint: { id: endpoint.id || null, metadata: {} },
+            recording: { id: bot.recordingId, metadata: {} },
+            bot: { id: bot.id, metadata: bot.metadata }
+          }
+        });
+      });
+  }
+
+  // Webhooks for one bot are delivered one at a time, in order
+  post(bot, url, body) {
+    bot.outbox = bot.outbox.then(() => this.deliver(url, body));
+  }
+
+  async deliver(url, body) {
+    const rawBody = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.signingSecret) {
+      const id = `msg_${crypto.randomUUID().replace(/-/g, '')}`;
+      const timestamp = Math.floor(Date.now() / 1000);
+      Object.assign(headers, {
+        'webhook-id': id,
+        'webhook-timestamp': String(timestamp),
+        'webhook-signature': signWebhook(this.signingSecret, id, timestamp, rawBody)
+      });
+    }
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body: rawBody });
+      if (!res.ok) {
+        console.error(`❌ Webhook ${body.event} rejected: ${res.status} ${res.statusText}`);
+      }
+    } catch (error) {
+      console.error(`❌ Webhook ${body.event} failed:`, error.message);
+    }
+  }
+
+  recordChat(bot, { message, to }) {
+    const chat = {
+      to: to ? String(to) : 'everyone',
+      message,
+      sent_at: new Date().toISOString(),
+      recording_seconds: bot.recordingStartedAt ? Math.round((Date.now() - bot.recordingStartedAt) * this.speed / 100) / 10 : null
+    };
+    bot.chatMessages.push(chat);
+    console.log(`💬 Bot ${bot.id} -> ${chat.to}: ${message}`);
+    return chat;
+  }
+
+  view(bot) {
+    return {
+      id: bot.id,
+      bot_name: bot.botName,
+      meeting_url: bot.meetingUrl,
+      metadata: bot.metadata,
+      join_at: bot.joinAt,
+      status_changes: bot.statusChanges,
+      recordings: bot.recordingStartedAt
+        ? [{ id: bot.recordingId, started_at: new Date(bot.recordingStartedAt).toISOString() }]
+        : []
+    };
+  }
+}
+
+function createApp(simulator) {
+  const app = express();
+  app.use(express.json());
+
+  // Recall rejects requests without an API key (any key works here)
+  app.use('/api/v1', (req, res, next) => {
+    if (!/^Token \S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json({ detail: 'Authentication credentials were not provided.' });
+    }
+    next();
+  });
+
+  const findBot = (req, res) => {
+    const bot = simulator.bots.get(req.params.botId);
+    if (!bot) {
+      res.status(404).json({ detail: 'Not found.' });
+    }
+    return bot;
+  };
+
+  app.post('/api/v1/bot/', (req, res) => {
+    if (!req.body.meeting_url) {
+      return res.status(400).json({ meeting_url: ['This field is required.'] });
+    }
+    res.status(201).json(simulator.view(simulator.createBot(req.body)));
+  });
+
+  app.get('/api/v1/bot/:botId/', (req, res) => {
+    const bot = findBot(req, res);
+    if (bot) res.json(simulator.view(bot));
+  });
+
+  app.patch('/api/v1/bot/:botId/', (req, res) => {
+    const bot = findBot(req, res);
+    if (!bot) return;
+    if (simulator.hasJoined(bot)) {
+      return res.status(400).json({ detail: 'Only scheduled bots that have not joined can be updated.' });
+    }
+    if (req.body.join_at && Number.isNaN(Date.parse(req.body.join_at))) {
+      return res.status(400).json({ join_at: ['Enter a valid date/time.'] });
+    }
+    simulator.reschedule(bot, req.body);
+    res.json(simulator.view(bot));
+  });
+
+  app.post('/api/v1/bot/:botId/send_chat_message/', (req, res) => {
+    const bot = findBot(req, res);
+    if (!bot) return;
+    if (!req.body.message) {
+      return res.status(400).json({ message: ['This field is required.'] });
+    }
+    if (!simulator.inCall(bot)) {
+      return res.status(400).json({ detail: 'Bot is not in the call.' });
+    }
+    res.json(simulator.recordChat(bot, req.body));
+  });
+
+  app.post('/api/v1/bot/:botId/leave_call/', (req, res) => {
+    const bot = findBot(req, res);
+    if (!bot) return;
+    simulator.endCall(bot, 'bot_received_leave_call');
+    res.json(simulator.view(bot));
+  });
+
+  app.delete('/api/v1/bot/:botId/', (req, res) => {
+    const bot = findBot(req, res);
+    if (!bot) return;
+    if (!simulator.hasJoined(bot)) {
+      simulator.cancel(bot);
+      return res.status(204).end();
+    }
+    simulator.endCall(bot, 'bot_received_leave_call');
+    res.status(204).end();
+  });
+
+  app.get('/simulator/bots', (req, res) => {
+    res.json([...simulator.bots.values()].map(bot => ({
+      id: bot.id,
+      meeting_url: bot.meetingUrl,
+      join_at: bot.joinAt,
+      status: bot.statusChanges[bot.statusChanges.length - 1]?.code || 'scheduled',
+      chat_messages: bot.chatMessages.length
+    })));
+  });
+
+  app.get('/simulator/bots/:botId/chat', (req, res) => {
+    const bot = findBot(req, res);
+    if (bot) res.json(bot.chatMessages);
+  });
+
+  return app;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const port = Number(options.port || process.env.RECALL_SIMULATOR_PORT || 3100);
+  const scenarioPath = options.scenario || path.join(__dirname, 'scenarios', 'discovery-call.json');
+  const speed = options.speed ? Number(options.speed) : 1;
+  const hangUpSeconds = options['hang-up'] !== undefined ? Number(options['hang-up']) : null;
+
+  if (!(speed > 0) || (hangUpSeconds !== null && !(hangUpSeconds >= 0))) {
+    console.error('❌ --speed must be above 0 and --hang-up at least 0');
+    process.exit(1);
+  }
+
+  let scenario;
+  try {
+    scenario = parseRecording(JSON.parse(fs.readFileSync(scenarioPath, 'utf8')));
+  } catch (error) {
+    console.error(`❌ Scenario ${scenarioPath} could not be loaded:`, error.message);
+    process.exit(1);
+  }
+
+  const simulator = new RecallSimulator({
+    scenario,
+    speed,
+    hangUpSeconds,
+    statusWebhook: options['status-webhook'] || null,
+    signingSecret: options['signing-secret'] || process.env.RECALL_WEBHOOK_SECRET || null
+  });
+  createApp(simulator).listen(port, () => {
+    console.log('\n=================================');
+    console.log('🎬 Recall.ai Simulator');
+    console.log('=================================');
+    console.log(`📍 API: http://localhost:${port}`);
+    console.log(`📜 Scenario: ${scenarioPath} (${scenario.source}, ${simulator.participants.length} participants, ${simulator.events.length} events)`);
+    console.log(`⏩ Speed: ${speed}x${hangUpSeconds !== null ? `, hangs up ${hangUpSeconds}s after the last line` : ''}`);
+    console.log(`🔏 Webhooks: ${simulator.signingSecret ? 'signed' : 'unsigned'}`);
+    console.log('=================================');
+    console.log(`⚠️  Start the server with RECALL_API_BASE_URL=http://localhost:${port}`);
+    console.log('=================================\n');
+  });
+}
+
+main();
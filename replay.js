@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * NIMO Live Nudges - Replay Command
+ *
+ * Replays a recorded call against a running NIMO server (POST /api/replays)
+ * and prints every nudge with the batch it came from.
+ *
+ *   node replay.js <recording.json> [options]
+ *
+ *   --speed <n>          Playback speed (1 = real time, up to 100)      default 1
+ *   --playbook <id>      Coaching playbook                               default: server default
+ *   --prompt-file <path> Use this prompt instead of the playbook's
+ *   --llm <provider>     gemini | openai | mock                          default: server LLM_PROVIDER
+ *   --model <name>       Model override
+ *   --mock-script <path> Scripted responses for the mock provider (JSON)
+ *   --out <path>         Write the full result as JSON
+ *   --server <url>       default http://localhost:$PORT (3000)
+ *   --token <token>      API token (manager or admin)                    default: NIMO_API_TOKEN
+ */
+
+const fs = require('fs');
+
+const POLL_INTERVAL_MS = 2000;
+
+function parseArgs(argv) {
+  const args = { file: null, options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args.options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function printResult(replay) {
+  const { result } = replay;
+  console.log(`\n📚 ${result.playbook.name}${replay.prompt_override ? ' (prompt override)' : ''} | 🧠 ${result.llm.provider} (${result.llm.model}) | ${result.llm.usage.totalTokens} tokens`);
+  console.log(`📊 ${result.utterances} utterances, ${result.totals.batches} batches, ${result.totals.delivered} nudges delivered, ${result.totals.suppressed} suppressed\n`);
+
+  const printNudge = nudge => {
+    const status = nudge.status === 'suppressed' ? ` 🚫 suppressed (${nudge.suppressed_by})` : '';
+    console.log(`     [${nudge.at}s] ${nudge.category}/${nudge.severity}${status}: ${nudge.message}`);
+  };
+  result.batches.forEach(batch => {
+    console.log(`  Batch #${batch.batch_number} at ${batch.at}s - ${batch.trigger}${batch.detail ? ` (${batch.detail})` : ''}, ${batch.messages_analyzed} line(s)`);
+    batch.nudges.forEach(printNudge);
+  });
+  if (result.live_rule_nudges.length > 0) {
+    console.log('  Live caption rules');
+    result.live_rule_nudges.forEach(printNudge);
+  }
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node replay.js <recording.json> [--speed n] [--playbook id] [--prompt-file path] [--llm provider] [--model name] [--mock-script path] [--out path] [--server url] [--token token]');
+    process.exit(1);
+  }
+
+  const server = options.server || `http://localhost:${process.env.PORT || 3000}`;
+  const token = options.token || process.env.NIMO_API_TOKEN;
+  const auth = token ? { 'Authorization': `Bearer ${token}` } : {};
+  const body = {
+    recording: readJson(file),
+    speed: options.speed ? Number(options.speed) : 1,
+    playbook: options.playbook,
+    prompt: options['prompt-file'] ? fs.readFileSync(options['prompt-file'], 'utf8') : undefined,
+    llm_provider: options.llm,
+    llm_model: options.model,
+    mock_script: options['mock-script'] ? readJson(options['mock-script']) : undefined
+  };
+
+  const res = await fetch(`${server}/api/replays`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...auth },
+    body: JSON.stringify(body)
+  });
+  let replay = await res.json();
+  if (!res.ok) {
+    throw new Error(replay.error);
+  }
+  console.log(`⏯️  ${replay.replay_id}: ${replay.progress.total} events from a ${replay.source} recording (${Math.round(replay.recording_seconds)}s at ${replay.speed}x)`);
+
+  while (replay.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    const poll = await fetch(`${server}/api/replays/${replay.replay_id}`, { headers: auth });
+    const status = await poll.json();
+    if (!poll.ok) {
+      throw new Error(status.error);
+    }
+    replay = status;
+    process.stdout.write(`\r   ${replay.progress.sent}/${replay.progress.total} events sent`);
+  }
+  process.stdout.write('\n');
+
+  if (replay.status !== 'completed') {
+    throw new Error(`Replay ${replay.status}${replay.error ? `: ${replay.error}` : ''}`);
+  }
+  printResult(replay);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(replay, null, 2));
+    console.log(`\n💾 Result written to ${options.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -1,19 +1,78 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { WebClient } = require('@slack/web-api');
 const twilio = require('twilio');
+const { createProvider, emptyUsage } = require('./llm-providers');
+const { FlushPolicy } = require('./flush-policy');
+const { SessionWorkQueue } = require('./session-queue');
+const { ToolRegistry } = require('./tool-registry');
+const { NudgeGovernor } = require('./nudge-governor');
+const { NUDGE_CATEGORIES, NUDGE_SEVERITIES, validateNudge, formatCategory } = require('./nudge-taxonomy');
+const { PlaybookRegistry, validateNudgePolicy, validateBatchPolicy } = require('./playbook-registry');
+const { ContextManager, validateContextPolicy, SUMMARY_INSTRUCTION } = require('./context-manager');
+const { QualificationScorecard, QUALIFICATION_ELEMENTS, QUALIFICATION_STATUSES } = require('./qualification-scorecard');
+const { PartialRuleEngine } = require('./partial-rules');
+const { REPORT_INSTRUCTION, computeCallMetrics, buildReportRequest, parseReport, condenseReport } = require('./call-report');
+const { EmailTemplateRegistry, FOLLOW_UP_INSTRUCTION, buildFollowUpRequest, parseFollowUpContent, renderFollowUpEmail } = require('./follow-up-email');
+const { createSessionStore } = require('./session-store');
+const { parseHistoryFilters, matchesHistoryFilters, buildTimeline } = require('./session-history');
+const { EXPORT_FORMATS, renderTranscript } = require('./transcript-export');
+const { parseRecording, withAbsoluteTimes, CaptureSink, buildReplayResult } = require('./call-replay');
+const { WebhookGuard, DEFAULT_TOLERANCE_SECONDS } = require('./webhook-verifier');
+const { createUserStore } = require('./user-store');
+const { AuthService, ROLES, hasRole, canAccessSession, hashPassword, parseCookies, validateUserInput, publicUser, publicToken } = require('./auth');
+const { createOidcClient } = require('./oidc-client');
+const { SessionEventLog } = require('./session-events');
+const { BotLifecycle } = require('./bot-lifecycle');
+const { parseCalendar, fetchCalendar } = require('./calendar-import');
+const { ChannelRegistry, countSent } = require('./notification-channels');
+const { TeamsChannelManager, createGraphClient, MAX_MESSAGE_LENGTH: TEAMS_MAX_MESSAGE_LENGTH } = require('./teams-channel');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
-app.use(express.static(__dirname));
+app.use(express.json({
+  limit: '10mb', // Replay uploads carry a whole call's transcript
+  // Webhook signatures are computed over the exact bytes Recall sent
+  verify: (req, res, buf) => {
+    if (req.path === '/api/webhook') req.rawBody = buf;
+  }
+}));
+// Only the dashboard page is served (the project folder also holds .env and the session database)
+app.get(['/', '/index.html'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Default LLM provider for this deployment (overridable per session in /api/start-bot)
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+// Recall API host (point RECALL_API_BASE_URL at the bundled simulator to develop offline)
+const RECALL_API_BASE_URL = (process.env.RECALL_API_BASE_URL || `https://${process.env.RECALL_REGION}.recall.ai`).replace(/\/+$/, '');
+
+function recallApiUrl(route) {
+  return `${RECALL_API_BASE_URL}/api/v1${route}`;
+}
+
+// Recall webhook verification; the ?secret= query parameter is an opt-in fallback
+const ALLOW_QUERY_SECRET = process.env.WEBHOOK_ALLOW_QUERY_SECRET === 'true';
+const webhookGuard = new WebhookGuard({
+  signingSecret: process.env.RECALL_WEBHOOK_SECRET || null,
+  querySecret: ALLOW_QUERY_SECRET ? process.env.WEBHOOK_SECRET || null : null,
+  toleranceSeconds: Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS
+});
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Backup for missed bot status webhooks: how often live bots' status is read from Recall (0 turns it off)
+const BOT_STATUS_POLL_SECONDS = Number(process.env.BOT_STATUS_POLL_SECONDS ?? 30);
+
+// Send the follow-up email draft to the rep's channels when a call ends (overridable per session)
+const FOLLOW_UP_DELIVERY = process.env.FOLLOW_UP_DELIVERY === 'true';
+
+// Reports and follow-up drafts name the prospect and their numbers; by default only private channels (Zoom DM, SMS) get them
+const SHARE_REPORTS_IN_TEAM_CHANNELS = process.env.SHARE_REPORTS_IN_TEAM_CHANNELS === 'true';
 
 // Parse integration modes (supports comma-separated values like "ZOOM_DM,SLACK")
 const INTEGRATION_MODES = (process.env.INTEGRATION || 'ZOOM_DM')
@@ -40,114 +99,47 @@ if (INTEGRATION_MODES.includes('SMS')) {
   }
 }
 
+// Initialize Microsoft Graph client (if TEAMS is in integration modes)
+const teamsGraph = INTEGRATION_MODES.includes('TEAMS') ? createGraphClient() : null;
+
+if (INTEGRATION_MODES.includes('TEAMS')) {
+  if (teamsGraph) {
+    console.log(`✅ Microsoft Teams integration initialized${process.env.GRAPH_API_BASE_URL ? ` (Graph at ${process.env.GRAPH_API_BASE_URL})` : ''}`);
+  } else {
+    console.log('⚠️  Teams integration requested but missing credentials (TEAMS_ACCESS_TOKEN, or TEAMS_CLIENT_ID and TEAMS_REFRESH_TOKEN)');
+  }
+}
+
 // Store active sessions and SSE clients
 const sessions = new Map();
-const sseClients = new Set();
-
-// ============================================
-// AI Agent System Prompt - Recruiting Coach
-// ============================================
-const SYSTEM_PROMPT = `You are an AI sales coach monitoring a live sales conversation in real-time. Your role is to PRIVATELY coach the sales rep by sending strategic reminders to help them close more deals.
-**YOUR MISSION:**
-Monitor the conversation for premature demo, missed discovery opportunities, objections, buying signals, and qualification gaps. When opportunities arise, send private coaching messages to guide the rep toward better outcomes.
-**CRITICAL: FULL CONVERSATION TRACKING** You must maintain awareness of the ENTIRE call history to assess gaps and triggers effectively.
-**KEY AREAS TO TRACK:**
-1. BANT Qualification (REQUIRES FULL CALL CONTEXT, Limit 1 coaching message per conversation; wait until large context from the meeting has been gathered)
-   - Budget: Has the rep confirmed financial capacity?
-   - Authority: Is this the decision-maker or influencer?
-   - Need: Have pain points been clearly identified?
-   - Timeline: When does the prospect need a solution?
-Note: do not trigger BANT coaching nudges until an extensive conversation has taken place. Coaching around BANT should be reminders when an opportunity to clarify one of BANT’s criteria was clearly missed.
-2. Sales Signals to Identify
-   - Prospect asks about pricing or next steps
-   - Questions about implementation or onboarding
-   - Mentions internal discussions or stakeholders
-   - Asks "how does this work with..." scenarios
-   - Shows concern about current solution failures
-   - Discusses budget cycles or approval processes
-3. Common Objections to Watch For
-   - Price objections ("too expensive", "not in budget")
-   - Timing objections ("not right now", "revisit next quarter")
-   - Authority objections ("need to talk to my boss/team")
-   - Competition objections ("looking at other options")
-   - Status quo bias ("current solution works fine")
-4. Methodology Applications (REQUIRES FULL CALL CONTEXT)
-   - SPIN: Are they asking Situation, Problem, Implication, Need-payoff questions?
-   - Challenger: Are they teaching, tailoring, taking control?
-   - Value-based: Are they connecting to business outcomes?
-   - Discovery Depth: Are they drilling down into pain or accepting surface answers?
-   - Demo Timing: Are they demoing too early before understanding 3+ specific pain points?
-**WHEN TO SEND COACHING MESSAGES:**
-When coaching, reference specific moments from earlier in the call to show what's missing. 
-- Prospect raises an objection but rep doesn't address it
-- Clear buying signal appears but rep misses it
-- Rep is talking features without connecting to prospect's pain
-- Timeline discussion is vague or missing
-- Prospect asks about price before value is clearly established
-- User is sharing price before value is clearly established
-- Conversation nears end without clear next steps
-- Prospect mentions a blocker or opportunity but rep doesn't probe deeper
-**WHEN NOT TO SEND:**
-- Call just started (let rapport build naturally)
-- Rep is in the middle of speaking
-**YOUR COACHING STYLE:**
-- Send to sales rep ONLY (never visible to prospect)
-- Be ultra-brief and immediately actionable
-- Each message must reference the specific context from the conversation (keep it brief)
-- Structure: [What triggered this] + [What to do about it]
-- Use the prospect's actual words or situation when coaching
-- Focus on what to do next, not what was missed
-**BATCHING & CONTEXT:**
-- You receive transcripts in BATCHES of message
-- You maintain FULL conversation memory across all batches (you remember everything)
-- Use your full conversation history to understand where the user is within the sales process, as well as the overall pacing.
-**RESPONSE PRIORITIES (Coach in this order):**
-1. Poor questioning technique (discovery happens FIRST - get this right or everything fails)
-2. Premature demos/pitching (stop feature dumps before they derail discovery)
-3. Missed drill-down opportunities (go deeper on pain during discovery phase)
-4. Missing BANT elements (qualify after understanding their situation)
-5. Weak value connection (tie solution to their specific pain once you know it)
-6. Missed buying signals (strike while hot - these emerge mid-to-late call)
-7. Unhandled objections (address immediately whenever they arise)
-**EXAMPLE COACHING MESSAGES (CONTEXTUALIZED):**
-Examples of Objection Handling:
-"That's way outside our budget right now" -> Ask what they were planning to invest. In your knowledge base, companies their size typically allocate $15-25K for solutions like this, so find out if there's a gap in perceived value.
-"I need to run this by my VP before we move forward" -> Find out what concerns the VP will have. According to past deals with their industry, VPs usually worry about ROI timelines and team adoption—address those upfront.
-"We're evaluating two other platforms" -> Ask what criteria matters most to them. Your competitor comparison shows you win on implementation speed (2 weeks vs 6-8 weeks) and support responsiveness—emphasize if those matter to them.
-"Let's revisit this next quarter after planning" -> Probe what happens if they wait. Your data shows their industry loses avg $47K per quarter from the inefficiencies they mentioned—calculate their specific cost.
-"Our current system works fine for now" -> Challenge that assumption. 78% of their competitors upgraded in the past year because 'fine' became 'falling behind'—ask what their growth plan requires.
-Examples of Buying Signals:
-"How quickly could we get this up and running?" -> They're ready to move. Confirm their go-live date and ask who needs to sign off. Standard implementation is 3 weeks with their team size.
-"What kind of pricing are we looking at?" -> They're interested. First ask what budget they have allocated for solving their lead management problem, then frame pricing around the $80K in lost opportunities they mentioned.
-"I'd want to bring our CFO into the next conversation" -> Buying signal. Map the full approval chain and ask what financial metrics the CFO will want to see. Prep an ROI analysis showing 4.2x return in year one.
-Examples of BANT Gaps:
-"We're losing deals because our follow-up is too slow" -> Strong pain, but no budget discussion yet. Ask what they've set aside to fix this since each lost deal is worth $12K according to what they shared.
-"This would help our sales team a lot" -> Need is clear, authority isn't. Ask how buying decisions for sales tools get made at their company and who controls that budget.
-"Manual data entry is killing us" -> Pain confirmed, but no quantification. Ask how many hours their team loses weekly and calculate the cost at their team's average loaded salary of $85K/year.
-"We need something soon" -> Timeline too vague. Pin down their exact deadline—ask if 'soon' means before Q4 planning, before year-end, or tied to their new product launch they mentioned.
-Examples of SPIN Questions:
-"We're using spreadsheets and Salesforce right now" -> Good start. Dig deeper with: "Walk me through what happens when a lead comes in—how does it get to the right rep?"
-"We miss follow-ups all the time" -> Problem identified. Probe implications: "When those follow-ups slip, what happens to your conversion rates and deal velocity?"
-"Our sales cycle is way too long" -> Ask impact: "How does the long cycle affect your ability to hit the $2M quarterly target you mentioned?" Connect their pain to their goal.
-"Reporting takes forever to pull together" -> Get need-payoff: "If you could cut reporting time by 80%, what would your team do with those recovered hours during peak selling season?"
-Examples of Challenger Approach:
-"We just need better training on our current tools" -> Challenge this. Research shows 67% of companies who tried training failed because the tools themselves create friction. Consider: "What if the tools are the problem, not the training?"
-"Automation seems too complicated for our team" -> Reframe their thinking. Similar-sized companies in your portfolio went live in 14 days with teams who had zero automation experience—their complexity concern is outdated.
-"We've always done it this way" -> Teach them something new. Industry data shows companies still using manual processes are losing 23% market share to competitors who automated. Ask: "What does falling behind cost you?"
-Examples of Value Connection:
-"Yeah, automated reminders would be nice" -> Don't just agree. Connect it to their pain: "Nice, plus it directly solves the churn problem you mentioned—automated touchpoints typically recover 15-20% of at-risk customers."
-"Our reps spend half their day on admin work" -> Calculate real cost: With 15 reps at $75K average salary, that's $562K in annual compensation doing non-selling work. Ask if recovering even 25% of that time changes their ROI math.
-"We want to hit 120% of quota next year" -> Tie your solution directly to their goal: "Based on similar customers, our platform helps reps close 3-4 additional deals monthly by automating the busywork. Would 40-50 extra deals yearly get you to 120%?"
-**IMPORTANT:**
-- Only use send_message() when coaching is needed
-- Message content should be 1-2 short sentences max
-- Focus on what's MISSING from the interview
-
-Remember: You're coaching the sales rep, not conducting the sales call yourself! You have full context, so coach strategically based on where the conversation is in its lifecycle.`;
-
-// ============================================
-// Function Definitions for Gemini
+const sseClients = new Map(); // response -> { user, botId }
+const sessionEvents = new SessionEventLog();
+
+// Stopped sessions stay available for reports until sessions are cleared
+const endedSessions = new Map();
+
+function findSession(botId) {
+  return sessions.get(botId) || findEndedSession(botId);
+}
+
+// Stopped sessions from before the last restart are loaded from the session store on first use
+function findEndedSession(botId) {
+  if (sessions.has(botId)) return null;
+  if (!endedSessions.has(botId)) {
+    const record = sessionStore.getSession(botId);
+    if (record && record.status === 'ended') {
+      endedSessions.set(botId, restoreSession(record));
+    }
+  }
+  return endedSessions.get(botId) || null;
+}
+
+// ============================================
+// Function Definitions for the LLM
 // ============================================
+// Max rounds of function call -> function response per batch
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 3;
+
 const functions = [
   {
     name: 'send_message',
@@ -167,16 +159,184 @@ const functions = [
           type: 'string',
           description: 'Detailed coaching message (3-5 sentences) providing context, specific recommendations, and reasoning. Structure: 1) What you noticed, 2) What\'s missing/opportunity, 3) Specific question to ask, 4) Why it matters. Example: "They mentioned slow follow-up costing them deals, but you haven\'t quantified the pain yet. This is a strong buying signal. Ask: \'How many deals do you estimate you lose monthly due to slow follow-up?\' This will help you calculate ROI and create urgency."'
         },
+        category: {
+          type: 'string',
+          enum: Object.keys(NUDGE_CATEGORIES),
+          description: 'What kind of opportunity or gap triggered this coaching: an objection type, buying signal, BANT element, SPIN stage, premature demo, missed drill-down, weak value connection, challenger reframe or next steps.'
+        },
+        severity: {
+          type: 'string',
+          enum: NUDGE_SEVERITIES,
+          description: 'How urgent the coaching is: "high" if the rep must act right now (e.g. unhandled objection), "medium" for a clear missed opportunity, "low" for a general improvement.'
+        },
+        transcript_excerpt: {
+          type: 'string',
+          description: 'The exact words from the transcript that triggered this coaching, quoted verbatim (a short phrase or sentence).'
+        },
         reason: {
           type: 'string',
-          description: 'What opportunity or gap triggered this coaching? Examples: "Missed buying signal" or "Price objection not addressed" or "No BANT qualification yet"'
+          description: 'Optional short note on the specific gap. Examples: "Price objection not addressed" or "No budget discussion yet"'
+        }
+      },
+      required: ['participant_id', 'participant_name', 'message', 'category', 'severity', 'transcript_excerpt']
+    }
+  },
+  {
+    name: 'update_qualification',
+    description: 'Record what the conversation has revealed about one BANT element (Budget, Authority, Need, Timeline). Call this whenever the prospect says something that changes an element\'s status - it updates the live qualification scorecard and does NOT message the sales rep.',
+    parameters: {
+      type: 'object',
+      properties: {
+        element: {
+          type: 'string',
+          enum: Object.keys(QUALIFICATION_ELEMENTS),
+          description: 'Which BANT element this update is about'
+        },
+        status: {
+          type: 'string',
+          enum: QUALIFICATION_STATUSES.filter(status => status !== 'unknown'),
+          description: '"discussed" if the topic came up but is not settled, "confirmed" if the prospect clearly qualified on it, "disqualified" if the prospect clearly fails it (e.g. no budget this year).'
+        },
+        evidence: {
+          type: 'string',
+          description: 'The exact words from the transcript that support this status, quoted verbatim.'
+        },
+        notes: {
+          type: 'string',
+          description: 'Optional short note, e.g. "$50K approved for Q3" or "VP of Sales signs off"'
         }
       },
-      required: ['participant_id', 'participant_name', 'message', 'reason']
+      required: ['element', 'status', 'evidence']
     }
   }
 ];
 
+// ============================================
+// Coaching Playbooks (prompt, tools, quotas, batch policy, formatting)
+// ============================================
+const playbooks = new PlaybookRegistry(path.join(__dirname, 'playbooks'), {
+  knownTools: functions.map(fn => fn.name),
+  defaultId: process.env.DEFAULT_PLAYBOOK || 'sales-coach'
+});
+playbooks.load();
+
+// ============================================
+// Follow-Up Email Templates (one per team)
+// ============================================
+const emailTemplates = new EmailTemplateRegistry(path.join(__dirname, 'email-templates'), {
+  defaultId: process.env.DEFAULT_EMAIL_TEMPLATE || 'default'
+});
+emailTemplates.load();
+
+// ============================================
+// Session Store (sessions survive restarts and redeploys)
+// ============================================
+const sessionStore = createSessionStore();
+console.log(`💾 Session store: ${sessionStore.name}${sessionStore.path ? ` (${sessionStore.path})` : ''}`);
+
+// Storage errors are logged but never interrupt live coaching
+function persist(what, write) {
+  try {
+    write(sessionStore);
+  } catch (error) {
+    console.error(`❌ Failed to persist ${what}:`, error.message);
+  }
+}
+
+// ============================================
+// Accounts and Access (dashboard logins, API tokens and roles)
+// ============================================
+const userStore = createUserStore();
+const authService = new AuthService({
+  store: userStore,
+  sessionHours: Number(process.env.AUTH_SESSION_HOURS) || undefined,
+  secureCookies: process.env.COOKIE_SECURE === 'true'
+});
+const oidcClient = createOidcClient();
+// Signing in with SSO creates a rep account for unknown users unless turned off
+const OIDC_AUTO_CREATE = process.env.OIDC_AUTO_CREATE !== 'false';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'rep';
+if (!ROLES.includes(OIDC_DEFAULT_ROLE)) {
+  throw new Error(`OIDC_DEFAULT_ROLE must be one of: ${ROLES.join(', ')} (got "${OIDC_DEFAULT_ROLE}")`);
+}
+
+// Everything under /api needs a signed-in user except these
+const PUBLIC_ROUTES = [
+  'POST /webhook',
+  'GET /auth/config',
+  'POST /auth/login',
+  'POST /auth/logout',
+  'GET /auth/oidc/login',
+  'GET /auth/oidc/callback'
+];
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+  const auth = authService.authenticate(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  // Cookies ride along on requests from other sites too; only the dashboard's own pages may change things with them
+  const origin = req.headers.origin;
+  if (auth.via === 'cookie' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && origin && origin.replace(/^https?:\/\//, '') !== req.headers.host) {
+    return res.status(403).json({ error: 'Cross-site request refused' });
+  }
+  req.user = auth.user;
+  next();
+});
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Who started a call: { userId, team }, null for calls from before accounts, undefined if unknown
+function getSessionOwner(botId) {
+  const session = sessions.get(botId) || endedSessions.get(botId);
+  if (session) return session.owner || null;
+  const record = sessionStore.getSession(botId);
+  return record ? record.owner : undefined;
+}
+
+// Every /:botId route only answers for calls the user may see (admins also reach bots this server doesn't know)
+app.param('botId', (req, res, next, botId) => {
+  const owner = getSessionOwner(botId);
+  if (owner === undefined && !hasRole(req.user, 'admin')) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (owner !== undefined && !canAccessSession(req.user, owner)) {
+    return res.status(403).json({ error: 'You do not have access to this session' });
+  }
+  next();
+});
+
+// First admin account from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet
+async function ensureAdminAccount() {
+  if (userStore.countUsers() > 0) return;
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.log('⚠️  No user accounts yet - set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  const { changes, errors } = validateUserInput({ email: ADMIN_EMAIL, name: 'Admin', role: 'admin', password: ADMIN_PASSWORD });
+  if (errors.length > 0) {
+    console.error(`❌ Admin account not created: ${errors.join('; ')}`);
+    return;
+  }
+  userStore.createUser({ ...changes, passwordHash: await hashPassword(changes.password) });
+  console.log(`👤 Created admin account ${changes.email}`);
+}
+
+ensureAdminAccount().catch(error => {
+  console.error('❌ Failed to create admin account:', error.message);
+});
+
 // ============================================
 // Slack Thread Manager
 // ============================================
@@ -241,19 +401,19 @@ class SlackThreadManager {
   async sendCoachingReply(coachingData) {
     if (!this.threadTs) {
       console.error('⚠️ No active Slack thread');
-      return;
+      return false;
     }
 
     try {
       this.nudgeCount++;
-      const { timestamp, reason, message, batchNumber, messagesAnalyzed } = coachingData;
+      const { timestamp, reason, category, severity, transcriptExcerpt, message, batchNumber, messagesAnalyzed, trigger } = coachingData;
 
       console.log(`📤 Sending coaching nudge #${this.nudgeCount} to Slack thread...`);
 
       await slackClient.chat.postMessage({
         channel: this.channelId,
         thread_ts: this.threadTs,
-        text: `💡 Nudge #${this.nudgeCount}: ${message}`,
+        text: `💡 Nudge #${this.nudgeCount} [${formatCategory(category)}]: ${message}`,
         blocks: [
           {
             type: 'section',
@@ -265,10 +425,18 @@ class SlackThreadManager {
           {
             type: 'section',
             fields: [
+              { type: 'mrkdwn', text: `*Category:*\n${formatCategory(category, severity)}` },
               { type: 'mrkdwn', text: `*Reason:*\n${reason}` },
-              { type: 'mrkdwn', text: `*Batch:*\n#${batchNumber}` }
+              { type: 'mrkdwn', text: `*Batch:*\n${batchNumber ? `#${batchNumber}` : 'Live rule'}` }
             ]
           },
+          ...(transcriptExcerpt ? [{
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*Heard:*\n> ${transcriptExcerpt}`
+            }
+          }] : []),
           {
             type: 'section',
             text: {
@@ -281,7 +449,9 @@ class SlackThreadManager {
             elements: [
               {
                 type: 'mrkdwn',
-                text: `📊 Analyzed ${messagesAnalyzed} messages in this batch`
+                text: batchNumber
+                  ? `📊 Analyzed ${messagesAnalyzed} messages in this batch${trigger ? ` (trigger: ${trigger})` : ''}`
+                  : `⚡ Matched on live captions${trigger ? ` (trigger: ${trigger})` : ''}`
               }
             ]
           },
@@ -290,9 +460,11 @@ class SlackThreadManager {
       });
 
       console.log(`✅ Coaching nudge #${this.nudgeCount} sent to Slack!`);
+      return true;
 
     } catch (error) {
       console.error('❌ Error sending Slack coaching reply:', error.message);
+      return false;
     }
   }
 
@@ -348,15 +520,109 @@ class SlackThreadManager {
       console.error('❌ Error ending Slack thread:', error.message);
     }
   }
+
+  async postCallReport(report) {
+    if (!this.threadTs) {
+      console.error('⚠️ No active Slack thread for the call report');
+      return false;
+    }
+
+    try {
+      const list = items => items.length > 0 ? items.map(item => `• ${item}`).join('\n') : '_None_';
+      const bant = Object.entries(report.bant)
+        .map(([element, entry]) => `*${element[0].toUpperCase()}${element.slice(1)}:* ${entry.status}${entry.evidence ? ` - _"${entry.evidence}"_` : ''}`)
+        .join('\n');
+      const ratings = ['discovery', 'qualification', 'objection_handling', 'value_connection', 'next_steps']
+        .filter(key => report.rep_scorecard[key])
+        .map(key => `${key.replace(/_/g, ' ')}: ${report.rep_scorecard[key]}/5`)
+        .join(' | ');
+      const objections = report.objections.map(o => `${o.objection}${o.handling ? ` -> ${o.handling}` : ''}${o.handled === false ? ' (not handled)' : ''}`);
+      const nextSteps = report.next_steps.map(step => `${step.action}${step.owner ? ` (${step.owner}${step.due ? `, ${step.due}` : ''})` : ''}`);
+      const section = text => ({ type: 'section', text: { type: 'mrkdwn', text: text.slice(0, 2900) } });
+
+      console.log('📤 Posting call report to Slack thread...');
+
+      await slackClient.chat.postMessage({
+        channel: this.channelId,
+        thread_ts: this.threadTs,
+        text: `📋 Call report: ${report.summary}`,
+        blocks: [
+          section(`*📋 Call Report*${report.rep_scorecard.overall ? ` - overall ${report.rep_scorecard.overall}/5` : ''}\n${report.summary}`),
+          section(`*Pain Points*\n${list(report.pain_points)}`),
+          section(`*BANT*\n${bant}`),
+          section(`*Objections*\n${list(objections)}`),
+          section(`*Next Steps*\n${list(nextSteps)}`),
+          section(`*Rep Scorecard*${ratings ? `\n${ratings}` : ''}\n*Strengths:*\n${list(report.rep_scorecard.strengths)}\n*Improve:*\n${list(report.rep_scorecard.improvements)}`),
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `🗣️ Talk ratio rep ${report.metrics.talk_ratio.rep}% / prospect ${report.metrics.talk_ratio.prospect}% | 💡 ${report.metrics.nudges_sent} nudges`
+              }
+            ]
+          }
+        ]
+      });
+
+      console.log('✅ Call report posted to Slack!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error posting Slack call report:', error.message);
+      return false;
+    }
+  }
+
+  async postFollowUpDraft(draft) {
+    if (!this.threadTs) {
+      console.error('⚠️ No active Slack thread for the follow-up draft');
+      return false;
+    }
+
+    try {
+      console.log('📤 Posting follow-up email draft to Slack thread...');
+
+      await slackClient.chat.postMessage({
+        channel: this.channelId,
+        thread_ts: this.threadTs,
+        text: `✉️ Follow-up email draft: ${draft.subject}`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*✉️ Follow-Up Email Draft*\n*Subject:* ${draft.subject}`
+            }
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `\`\`\`${draft.body.slice(0, 2800)}\`\`\``
+            }
+          }
+        ]
+      });
+
+      console.log('✅ Follow-up draft posted to Slack!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error posting Slack follow-up draft:', error.message);
+      return false;
+    }
+  }
 }
 
 // ============================================
 // SMS Manager Class - Twilio Integration
 // ============================================
 class SMSManager {
-  constructor(phoneNumbers, messagingServiceSid) {
+  constructor(phoneNumbers, messagingServiceSid, options = {}) {
     this.phoneNumbers = phoneNumbers || [];
     this.messagingServiceSid = messagingServiceSid;
+    this.maxLength = options.maxLength || 600;
     this.nudgeCount = 0;
     this.sessionStartTime = Date.now();
     this.sessionActive = false;
@@ -403,21 +669,27 @@ Learn more about Nimo: https://getnimo.com`;
   async sendCoachingNudge(coachingData) {
     if (!twilioClient || this.phoneNumbers.length === 0 || !this.sessionActive) {
       console.log('⚠️  SMS: Not active or not configured');
-      return;
+      return false;
     }
 
     try {
       this.nudgeCount++;
-      const { timestamp, reason, message, batchNumber } = coachingData;
-
-      const smsMessage = `Nimo Nudge #${this.nudgeCount} (${timestamp})
+      const { timestamp, category, severity, transcriptExcerpt, message, batchNumber } = coachingData;
 
-Reason: ${reason}
+      const header = `Nimo Nudge #${this.nudgeCount} (${timestamp})
 
-Coaching: ${message}
+${formatCategory(category, severity)}
+${transcriptExcerpt ? `Heard: "${transcriptExcerpt}"\n` : ''}
+Coaching: `;
+      const footer = `
 
 ---
-Batch #${batchNumber} | Powered by Nimo`;
+${batchNumber ? `Batch #${batchNumber}` : 'Live rule'} | Powered by Nimo`;
+
+      // Keep the whole SMS within the playbook's length limit by trimming the coaching text
+      const room = Math.max(this.maxLength - header.length - footer.length, 40);
+      const coaching = message.length > room ? `${message.slice(0, room - 1)}…` : message;
+      const smsMessage = `${header}${coaching}${footer}`;
 
       console.log(`📤 Sending coaching nudge #${this.nudgeCount} via SMS to ${this.phoneNumbers.length} number(s)...`);
 
@@ -428,9 +700,11 @@ Batch #${batchNumber} | Powered by Nimo`;
 
       await Promise.all(sendPromises);
       console.log(`✅ Coaching nudge #${this.nudgeCount} sent via SMS to all numbers!`);
+      return true;
 
     } catch (error) {
       console.error('❌ Error sending SMS coaching nudge:', error.message);
+      return false;
     }
   }
 
@@ -472,6 +746,51 @@ Elevate your sales training with Nimo: https://getnimo.com`;
     }
   }
 
+  async sendCallReport(report) {
+    if (!twilioClient || this.phoneNumbers.length === 0 || !this.sessionActive) {
+      console.log('⚠️  SMS: Not active or not configured');
+      return false;
+    }
+
+    try {
+      const reportMessage = condenseReport(report, this.maxLength);
+
+      console.log(`📤 Sending call report via SMS to ${this.phoneNumbers.length} number(s)...`);
+
+      await Promise.all(this.phoneNumbers.map(phoneNumber => this.sendSMS(phoneNumber, reportMessage)));
+      console.log('✅ Call report sent via SMS!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error sending SMS call report:', error.message);
+      return false;
+    }
+  }
+
+  async sendFollowUpDraft(draft) {
+    if (!twilioClient || this.phoneNumbers.length === 0 || !this.sessionActive) {
+      console.log('⚠️  SMS: Not active or not configured');
+      return false;
+    }
+
+    try {
+      const header = `Nimo Follow-Up Draft\nSubject: ${draft.subject}\n\n`;
+      const footer = '\n\nFull draft on the Nimo dashboard.';
+      const room = Math.max(this.maxLength - header.length - footer.length, 40);
+      const body = draft.body.length > room ? `${draft.body.slice(0, room - 1)}…` : draft.body;
+
+      console.log(`📤 Sending follow-up draft via SMS to ${this.phoneNumbers.length} number(s)...`);
+
+      await Promise.all(this.phoneNumbers.map(phoneNumber => this.sendSMS(phoneNumber, `${header}${body}${footer}`)));
+      console.log('✅ Follow-up draft sent via SMS!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error sending SMS follow-up draft:', error.message);
+      return false;
+    }
+  }
+
   // Helper method to send individual SMS
   async sendSMS(phoneNumber, message) {
     try {
@@ -489,86 +808,242 @@ Elevate your sales training with Nimo: https://getnimo.com`;
   }
 }
 
+// ============================================
+// Notification Channels (one adapter per INTEGRATION value)
+// ============================================
+const channelRegistry = new ChannelRegistry();
+
+channelRegistry.register('ZOOM_DM', {
+  capabilities: { private: true },
+  create: ({ botId }) => ({
+    sendNudge: coaching => sendPrivateChatMessage(botId, coaching.recipientId, coaching.message)
+  })
+});
+
+channelRegistry.register('SLACK', {
+  capabilities: { threaded: true, maxLength: 3000 },
+  create: () => {
+    if (!slackClient) return null;
+    const thread = new SlackThreadManager(SLACK_CHANNEL_ID);
+    return {
+      startSession: info => thread.startSessionThread(info),
+      isOpen: () => Boolean(thread.threadTs),
+      sendNudge: coaching => thread.sendCoachingReply(coaching),
+      postReport: report => thread.postCallReport(report),
+      postFollowUp: draft => thread.postFollowUpDraft(draft),
+      endSession: () => thread.endSessionThread(),
+      serialize: () => ({ threadTs: thread.threadTs, nudgeCount: thread.nudgeCount, sessionStartTime: thread.sessionStartTime }),
+      restore: state => Object.assign(thread, state)
+    };
+  }
+});
+
+channelRegistry.register('SMS', {
+  capabilities: { private: true },
+  create: ({ phoneNumbers, formatting }) => {
+    if (!twilioClient || phoneNumbers.length === 0) return null;
+    const sms = new SMSManager(phoneNumbers, TWILIO_MESSAGING_SERVICE_SID, { maxLength: formatting.smsMaxLength });
+    return {
+      capabilities: { maxLength: sms.maxLength },
+      startSession: info => sms.startSession(info),
+      isOpen: () => sms.sessionActive,
+      sendNudge: coaching => sms.sendCoachingNudge(coaching),
+      postReport: report => sms.sendCallReport(report),
+      postFollowUp: draft => sms.sendFollowUpDraft(draft),
+      endSession: () => sms.endSession(),
+      serialize: () => ({ sessionActive: sms.sessionActive, nudgeCount: sms.nudgeCount, sessionStartTime: sms.sessionStartTime }),
+      restore: state => Object.assign(sms, state)
+    };
+  }
+});
+
+// Where Teams threads go: the team and channel saved in the settings, else TEAMS_TEAM_ID / TEAMS_CHANNEL_ID
+function getTeamsDestination() {
+  let saved = null;
+  try {
+    saved = userStore.getSetting('teams');
+  } catch (error) {
+    console.error('❌ Failed to read Teams settings:', error.message);
+  }
+  if (saved?.teamId && saved?.channelId) {
+    return { ...saved, source: 'settings' };
+  }
+  if (process.env.TEAMS_TEAM_ID && process.env.TEAMS_CHANNEL_ID) {
+    return { teamId: process.env.TEAMS_TEAM_ID, channelId: process.env.TEAMS_CHANNEL_ID, source: 'env' };
+  }
+  return null;
+}
+
+channelRegistry.register('TEAMS', {
+  capabilities: { threaded: true, maxLength: TEAMS_MAX_MESSAGE_LENGTH },
+  create: () => {
+    const destination = teamsGraph ? getTeamsDestination() : null;
+    if (!destination) return null;
+    const thread = new TeamsChannelManager(teamsGraph, destination.teamId, destination.channelId);
+    return {
+      startSession: info => thread.startSessionThread(info),
+      isOpen: () => Boolean(thread.parentMessageId),
+      sendNudge: coaching => thread.sendCoachingReply(coaching),
+      postReport: report => thread.sendCallReport(report),
+      postFollowUp: draft => thread.sendFollowUpDraft(draft),
+      endSession: () => thread.endSessionThread(),
+      serialize: () => thread.getThreadInfo(),
+      // A restored session keeps replying in the channel its thread was started in
+      restore: state => Object.assign(thread, state)
+    };
+  }
+});
+
+// Offline replays record nudges instead of sending them
+channelRegistry.register('CAPTURE', {
+  create: ({ captureSink }) => captureSink || null
+});
+
+const unknownChannels = INTEGRATION_MODES.filter(mode => !channelRegistry.has(mode));
+if (unknownChannels.length > 0) {
+  console.log(`⚠️  No notification channel for ${unknownChannels.join(', ')} (available: ${channelRegistry.names().filter(name => name !== 'CAPTURE').join(', ')})`);
+}
+
+// A live rule asking for analysis while another is pending rides along with it: its
+// "(still speaking)" line must reach the model, so the merged batch carries both
+function mergeTriggers(pending, next) {
+  if (!next.liveLine) return pending;
+  const liveLines = [pending.liveLine, next.liveLine].filter(Boolean);
+  return {
+    ...pending,
+    type: next.type,
+    detail: [pending.detail, next.detail].filter(Boolean).join('; '),
+    liveLine: [...new Set(liveLines)].join('\n')
+  };
+}
+
 // ============================================
 // AI Agent Class - Sales Coach
 // ============================================
 class AIAgent {
-  constructor(botId, meetingUrl, phoneNumbers = []) {
+  constructor(botId, meetingUrl, phoneNumbers = [], options = {}) {
     this.botId = botId;
     this.meetingUrl = meetingUrl;
     this.phoneNumbers = phoneNumbers;
     this.conversationHistory = [];
+    
+    // Offline replays deliver to a capture sink instead of the rep's channels, run on the
+    // recording's clock and are never written to the session store
+    this.captureSink = options.captureSink || null;
+    this.clock = options.clock || { now: () => Date.now(), speed: 1 };
+    this.integrationModes = this.captureSink ? ['CAPTURE'] : INTEGRATION_MODES;
     this.interviewerId = null;
     this.interviewerName = null;
     this.questionsAsked = new Set(); // Track what was asked
-    this.lastCoachingTime = null;
     
-    // Batching configuration - send to LLM every 6 messages
-    this.transcriptBuffer = [];
-    this.batchSize = 6; // Analyze every 6 transcripts ONLY
-    this.batchCount = 0; // Track how many batches have been analyzed
+    // Coaching playbook: prompt, tools, policies and channel formatting (session overrides win)
+    this.playbook = options.playbook || playbooks.get();
+    this.formatting = this.playbook.channelFormatting;
     
-    // Initialize integration managers for all enabled platforms
-    this.slackThread = null;
-    if (INTEGRATION_MODES.includes('SLACK') && slackClient) {
-      this.slackThread = new SlackThreadManager(SLACK_CHANNEL_ID);
-      console.log('Slack integration initialized');
-    }
+    // Cooldowns, quotas and duplicate suppression for coaching nudges
+    this.nudgeGovernor = new NudgeGovernor({ ...this.playbook.nudgePolicy, ...options.nudgePolicy });
+    this.nudges = []; // Delivered nudges with per-platform results
     
-    this.smsManager = null;
-    if (INTEGRATION_MODES.includes('SMS') && twilioClient && phoneNumbers.length > 0) {
-      this.smsManager = new SMSManager(phoneNumbers, TWILIO_MESSAGING_SERVICE_SID);
-      console.log('SMS integration initialized');
-    }
+    // Live BANT state, filled in by the update_qualification tool
+    this.scorecard = new QualificationScorecard();
     
-    // TODO: Initialize Teams manager when TEAMS is in integration modes
-    // this.teamsThread = null;
-    // if (INTEGRATION_MODES.includes('TEAMS') && teamsClient) {
-    //   this.teamsThread = new TeamsThreadManager(...);
-    // }
+    // Urgent-phrase rules scanned on live captions, ahead of the batch pipeline
+    this.partialRules = new PartialRuleEngine(this.playbook.partialRules, { now: this.clock.now });
+    this.livePartials = new Map(); // participantId -> { role, speaker, text } still being spoken
+    this.nudgeDelivery = Promise.resolve(); // Serializes governor checks and delivery
+    
+    // Post-call report and follow-up email draft, generated when the session ends
+    this.report = null;
+    this.followUp = null;
+    this.emailTemplateId = options.emailTemplate || emailTemplates.defaultId;
+    this.deliverFollowUp = options.deliverFollowUp ?? FOLLOW_UP_DELIVERY;
+    
+    // Batching configuration - the flush policy decides when the buffer goes to the LLM
+    this.transcriptBuffer = [];
+    this.flushPolicy = new FlushPolicy({ ...this.playbook.batchPolicy, ...options.batchPolicy });
+    this.batchCount = 0; // Track how many batches have been analyzed
+    this.batchLog = []; // Why each batch was sent to the LLM
+    this.analyzedUtterances = 0; // conversationHistory entries already sent to the coach
+    this.maxWaitTimer = null;
+    this.silenceTimer = null;
     
-    this.model = genAI.getGenerativeModel({
-      model: 'gemini-2.0-flash-exp',
-      systemInstruction: SYSTEM_PROMPT,
-      tools: [{ functionDeclarations: functions }]
+    // Serializes transcript ingestion and AI analysis for this bot
+    this.workQueue = new SessionWorkQueue(botId, {
+      ingest: utterance => this.bufferTranscript(utterance),
+      analyze: trigger => this.analyzeBatch(trigger),
+      merge: mergeTriggers
     });
-    this.chat = this.model.startChat({
-      history: [],
+    
+    // Where nudges, the report and the follow-up go (channels that aren't configured are left out)
+    this.channels = channelRegistry.create(this.integrationModes, {
+      botId,
+      phoneNumbers,
+      formatting: this.formatting,
+      captureSink: this.captureSink
+    }, { shareRepOnly: SHARE_REPORTS_IN_TEAM_CHANNELS });
+    
+    // LLM provider (gemini, openai or mock) and model for this session
+    this.llm = createProvider(options.llmProvider, {
+      model: options.llmModel,
+      script: options.mockScript
     });
+    this.usage = emptyUsage();
+    
+    // Tools the playbook enables, each backed by a server-side handler
+    const toolHandlers = {
+      send_message: (args, context) => this.sendCoaching(args, context),
+      update_qualification: args => this.updateQualification(args)
+    };
+    this.tools = new ToolRegistry();
+    functions
+      .filter(fn => this.playbook.tools.includes(fn.name))
+      .forEach(fn => this.tools.register(fn, toolHandlers[fn.name]));
+    
+    // Rolling summarization keeps long calls within the context budget
+    this.contextManager = new ContextManager(options.contextPolicy);
+    this.chat = this.startCoachingChat([]);
     console.log('💼 AI Sales Coach initialized for bot:', botId);
-    console.log(`📊 Integration Modes: ${INTEGRATION_MODES.join(', ')}`);
-    console.log(`📊 Batching: Analyzing every ${this.batchSize} messages (AI maintains full conversation context)`);
+    console.log(`📚 Playbook: ${this.playbook.name} (${this.playbook.id})`);
+    console.log(`🧠 LLM: ${this.llm.name} (${this.llm.model})`);
+    console.log(`📊 Channels: ${this.channels.names().join(', ') || 'none'}`);
+    console.log(`📊 Batching: ${this.flushPolicy.describe()} (AI maintains full conversation context)`);
   }
   
-  async initializeSlackThread(memberName) {
-    if (this.slackThread && !this.slackThread.threadTs) {
-      try {
-        await this.slackThread.startSessionThread({
-          memberName: memberName || 'Sales Rep',
-          meetingTitle: this.extractMeetingTitle(this.meetingUrl),
-          platform: this.detectPlatform(this.meetingUrl),
-          botType: 'Sales Coach',
-          startTime: new Date().toLocaleTimeString()
-        });
-      } catch (error) {
-        console.error('❌ Failed to initialize Slack thread:', error.message);
-      }
+  startCoachingChat(history) {
+    this.contextManager.resetEstimate(this.playbook.prompt + history.map(turn => turn.text).join('\n'));
+    return this.llm.startChat({
+      systemInstruction: this.playbook.prompt,
+      tools: this.tools.getDeclarations(),
+      history
+    });
+  }
+  
+  // Open the session on every channel that has one (Slack thread, SMS intro)
+  async startChannels(memberName) {
+    const results = await this.channels.startSession({
+      memberName: memberName || 'Sales Rep',
+      meetingTitle: this.extractMeetingTitle(this.meetingUrl),
+      platform: this.detectPlatform(this.meetingUrl),
+      botType: this.formatting.botType,
+      startTime: new Date().toLocaleTimeString()
+    });
+    if (countSent(results) > 0) {
+      this.persistState();
     }
+    return results;
   }
   
   extractMeetingTitle(url) {
-    // Extract meeting title from URL or use default
-    if (url.includes('zoom.us')) return 'Zoom Sales Call';
-    if (url.includes('meet.google.com')) return 'Google Meet Sales Call';
-    if (url.includes('teams.microsoft.com')) return 'Teams Sales Call';
-    return 'Sales Call';
+    // Extract meeting title from URL or use the playbook's default
+    const title = this.formatting.meetingTitle;
+    if (url.includes('zoom.us')) return `Zoom ${title}`;
+    if (url.includes('meet.google.com')) return `Google Meet ${title}`;
+    if (url.includes('teams.microsoft.com')) return `Teams ${title}`;
+    return title;
   }
   
   detectPlatform(url) {
-    if (url.includes('zoom.us')) return 'Zoom';
-    if (url.includes('meet.google.com')) return 'Google Meet';
-    if (url.includes('teams.microsoft.com')) return 'Microsoft Teams';
-    return 'Unknown Platform';
+    return detectPlatform(url);
   }
   
   async setInterviewer(name, id) {
@@ -576,175 +1051,178 @@ class AIAgent {
       this.interviewerId = id;
       this.interviewerName = name;
       console.log(`👔 Interviewer identified: ${name} (ID: ${id})`);
+      this.persistState();
       
-      // Initialize Slack thread when interviewer joins (if Slack is enabled)
-      // Run in background to avoid blocking webhook response
-      if (INTEGRATION_MODES.includes('SLACK') && this.slackThread) {
-        this.initializeSlackThread(name).catch(err => {
-          console.error('❌ Failed to initialize Slack thread:', err.message);
-        });
-      }
-      
-      // Initialize SMS session when interviewer joins (if SMS is enabled)
+      // Open the channels when the interviewer joins
       // Run in background to avoid blocking webhook response
-      if (INTEGRATION_MODES.includes('SMS') && this.smsManager) {
-        this.smsManager.startSession({
-          memberName: name || 'Sales Rep',
-          meetingTitle: this.extractMeetingTitle(this.meetingUrl),
-          platform: this.detectPlatform(this.meetingUrl),
-          botType: 'Sales Coach',
-          startTime: new Date().toLocaleTimeString()
-        }).catch(err => {
-          console.error('❌ Failed to start SMS session:', err.message);
-        });
-      }
+      this.startChannels(name).catch(err => {
+        console.error('❌ Failed to start channel sessions:', err.message);
+      });
     }
   }
 
-  async processTranscript(speaker, participantId, isHost, text) {
-    try {
-      // Identify sales rep (host) on first message
-      if (isHost && !this.interviewerId) {
-        this.setInterviewer(speaker, participantId);
-      }
+  // Called from the webhook handler; the work queue orders and ingests utterances one at a time
+  enqueueTranscript({ speaker, participantId, isHost, text, timestamp, words = null, liveHandled = false }) {
+    this.workQueue.pushUtterance({ speaker, participantId, isHost, text, timestamp: timestamp || this.clock.now(), words, liveHandled });
+  }
+
+  /**
+   * Run the partial-transcript rules on a caption (partial or final) as soon
+   * as it arrives. Returns true when a rule already acted on this utterance,
+   * so its final transcript doesn't trigger the same batch again.
+   */
+  handleLiveCaption({ speaker, participantId, isHost, text, utteranceStart, final }) {
+    const key = String(participantId);
+    if (final) {
+      this.livePartials.delete(key);
+    } else {
+      this.livePartials.set(key, { role: isHost ? 'SALES REP' : 'PROSPECT', speaker, text });
+    }
+    
+    const { matches, deduplicated } = this.partialRules.check({ participantId, speaker, isHost, text, utteranceStart, final });
+    
+    for (const match of matches) {
+      const { rule } = match;
+      console.log(`⚡ Live rule "${rule.id}" matched "${match.phrase}" on ${final ? 'final' : 'partial'} caption (${rule.action})`);
+      
+      if (rule.action === 'nudge') {
+        this.sendRuleNudge(match).catch(err => {
+          console.error('❌ Rule nudge failed:', err.message);
+        });
+      } else {
+        this.workQueue.requestAnalysis({
+          type: 'partial_rule',
+          detail: `${rule.id}: "${match.phrase}"`,
+          liveLine: final ? null : `[${isHost ? 'SALES REP' : 'PROSPECT'} - ${speaker}] (still speaking): ${text}`
+        }).catch(err => {
+          console.error('❌ Rule-triggered analysis failed:', err.message);
+        });
+      }
+    }
+    
+    if (deduplicated.length > 0) {
+      console.log(`⚡ Final caption already handled live by: ${deduplicated.join(', ')}`);
+    }
+    return matches.length > 0 || deduplicated.length > 0;
+  }
+
+  // Buffers one utterance and returns the flush trigger, if any (runs inside the work queue)
+  bufferTranscript({ speaker, participantId, isHost, text, timestamp, words, liveHandled }) {
+    try {
+      // Identify sales rep (host) on first message
+      if (isHost && !this.interviewerId) {
+        this.setInterviewer(speaker, participantId);
+      }
       
       // Simple role assignment
       const role = isHost ? 'SALES REP' : 'PROSPECT';
-      const transcriptEntry = { role, speaker, text, timestamp: Date.now() };
+      const transcriptEntry = { role, speaker, text, timestamp };
       
       // Add to conversation history
       this.conversationHistory.push(transcriptEntry);
+      this.save('utterance', store => store.appendUtterance(this.botId, { ...transcriptEntry, participantId, isHost, words }));
       
       // Add to buffer for batching
       this.transcriptBuffer.push(`[${role} - ${speaker}]: ${text}`);
       
       const bufferLength = this.transcriptBuffer.length;
-      console.log(`📝 Buffered: ${bufferLength}/${this.batchSize}`);
+      console.log(`📝 Buffered: ${bufferLength}/${this.flushPolicy.getBatchSize()}`);
       
-      // ONLY analyze when buffer reaches exactly batchSize
-      if (bufferLength >= this.batchSize) {
-        console.log(`\n🧠 AI Coach analyzing batch #${this.batchCount + 1} (${bufferLength} transcripts)...`);
-        await this.analyzeBatch();
+      // Ask the flush policy whether this utterance should trigger analysis
+      let trigger = this.flushPolicy.checkUtterance(transcriptEntry, bufferLength);
+      if (trigger && trigger.type === 'keyword' && liveHandled) {
+        // A live rule already acted on this utterance while it was being spoken
+        trigger = null;
       }
+      if (trigger) {
+        console.log(`\n🧠 AI Coach queuing batch #${this.batchCount + 1} (trigger: ${trigger.type})...`);
+        return trigger;
+      }
+      this.armFlushTimers();
+      return null;
       
     } catch (error) {
       console.error('❌ AI processing error:', error.message);
+      return null;
     }
   }
   
-  async analyzeBatch() {
+  // Time-based triggers: silence resets on every utterance, max wait runs from the oldest buffered line
+  armFlushTimers() {
+    const { maxWaitMs, silenceGapMs } = this.flushPolicy.config;
+
+    if (this.silenceTimer) clearTimeout(this.silenceTimer);
+    if (silenceGapMs > 0) {
+      this.silenceTimer = setTimeout(() => {
+        this.silenceTimer = null;
+        this.flushOnTimer({ type: 'silence', detail: `${silenceGapMs / 1000}s without new transcript` });
+      }, silenceGapMs / this.clock.speed);
+    }
+
+    if (!this.maxWaitTimer && maxWaitMs > 0) {
+      this.maxWaitTimer = setTimeout(() => {
+        this.maxWaitTimer = null;
+        this.flushOnTimer({ type: 'max_wait', detail: `oldest line waited ${maxWaitMs / 1000}s` });
+      }, maxWaitMs / this.clock.speed);
+    }
+  }
+
+  clearFlushTimers() {
+    if (this.silenceTimer) clearTimeout(this.silenceTimer);
+    if (this.maxWaitTimer) clearTimeout(this.maxWaitTimer);
+    this.silenceTimer = null;
+    this.maxWaitTimer = null;
+  }
+
+  flushOnTimer(trigger) {
     if (this.transcriptBuffer.length === 0) return;
+    console.log(`\n⏱️  AI Coach queuing batch #${this.batchCount + 1} (${this.transcriptBuffer.length} transcripts, trigger: ${trigger.type})...`);
+    this.workQueue.requestAnalysis(trigger).catch(err => {
+      console.error('❌ Timed batch analysis failed:', err.message);
+    });
+  }
+
+  async analyzeBatch(trigger = { type: 'manual' }) {
+    this.clearFlushTimers();
+    if (this.transcriptBuffer.length === 0 && !trigger.liveLine) return;
     
     try {
       this.batchCount++; // Increment batch counter
       
-      // Combine buffered transcripts into one message
-      const batchMessage = this.transcriptBuffer.join('\n');
+      // Combine buffered transcripts (plus the live caption that forced this batch) into one message
+      const batchMessage = [...this.transcriptBuffer, ...(trigger.liveLine ? [trigger.liveLine] : [])].join('\n');
+      const messagesAnalyzed = this.transcriptBuffer.length;
       
       // Clear buffer and reset for next batch
       this.transcriptBuffer = [];
+      this.analyzedUtterances = this.conversationHistory.length;
       
-      console.log(`📊 Batch #${this.batchCount} | Total messages so far: ${this.conversationHistory.length}`);
+      // Record why the AI was invoked for this batch
+      this.batchLog.push({
+        batchNumber: this.batchCount,
+        trigger: trigger.type,
+        detail: trigger.detail || null,
+        messagesAnalyzed,
+        timestamp: new Date(this.clock.now()).toISOString()
+      });
       
-      // Send batch to Gemini for analysis
-      const result = await this.chat.sendMessage(batchMessage);
-      const response = result.response;
+      console.log(`📊 Batch #${this.batchCount} | Trigger: ${trigger.type}${trigger.detail ? ` (${trigger.detail})` : ''} | Total messages so far: ${this.conversationHistory.length}`);
       
-      // Check if AI wants to call a function (coach the sales rep)
-      const functionCall = response.functionCalls()?.[0];
+      // Send batch to the LLM for analysis
+      const response = await this.chat.sendMessage(batchMessage);
+      this.recordUsage(response.usage);
+      this.contextManager.track(batchMessage, response);
       
-      if (functionCall) {
-        console.log('🎯 AI Coach taking action:', functionCall.name);
-        console.log('📋 Coaching details:', JSON.stringify(functionCall.args, null, 2));
-        
-        if (functionCall.name === 'send_message') {
-          const { participant_id, participant_name, message, reason } = functionCall.args;
-          
-          console.log(`💡 Opportunity: ${reason}`);
-          console.log(`🔍 AI wants to send to: ${participant_name} (ID: ${participant_id})`);
-          console.log(`🔍 Sales Rep is: ${this.interviewerName} (ID: ${this.interviewerId})`);
-          
-          // ALWAYS send to sales rep only (force override)
-          if (this.interviewerId) {
-            console.log(`✅ Sending coaching to sales rep: ${this.interviewerName}`);
-            
-            // Track coaching time
-            this.lastCoachingTime = Date.now();
-            
-            // Send to ALL enabled platforms
-            const sendPromises = [];
-            
-            // Send to Slack if enabled
-            if (INTEGRATION_MODES.includes('SLACK') && this.slackThread) {
-              console.log('📤 Sending to Slack...');
-              sendPromises.push(
-                this.slackThread.sendCoachingReply({
-                  timestamp: new Date().toLocaleTimeString(),
-                  reason: reason,
-                  message: message,
-                  batchNumber: this.batchCount,
-                  messagesAnalyzed: 6
-                }).catch(err => {
-                  console.error('❌ Slack send failed:', err.message);
-                })
-              );
-            }
-            
-            // Send to Zoom DM if enabled
-            if (INTEGRATION_MODES.includes('ZOOM_DM')) {
-              console.log('📤 Sending to Zoom DM...');
-              sendPromises.push(
-                sendPrivateChatMessage(this.botId, this.interviewerId, message)
-                  .catch(err => {
-                    console.error('❌ Zoom DM send failed:', err.message);
-                  })
-              );
-            }
-            
-            // Send to SMS if enabled
-            if (INTEGRATION_MODES.includes('SMS') && this.smsManager) {
-              console.log('📤 Sending to SMS...');
-              sendPromises.push(
-                this.smsManager.sendCoachingNudge({
-                  timestamp: new Date().toLocaleTimeString(),
-                  reason: reason,
-                  message: message,
-                  batchNumber: this.batchCount,
-                  messagesAnalyzed: 6
-                }).catch(err => {
-                  console.error('❌ SMS send failed:', err.message);
-                })
-              );
-            }
-            
-            // Send to Teams if enabled (TODO: Implement Teams integration)
-            if (INTEGRATION_MODES.includes('TEAMS') && this.teamsThread) {
-              console.log('📤 Sending to Teams...');
-              sendPromises.push(
-                this.teamsThread.sendCoachingReply({
-                  timestamp: new Date().toLocaleTimeString(),
-                  reason: reason,
-                  message: message,
-                  batchNumber: this.batchCount,
-                  messagesAnalyzed: 6
-                }).catch(err => {
-                  console.error('❌ Teams send failed:', err.message);
-                })
-              );
-            }
-            
-            // Wait for all platforms to complete
-            await Promise.all(sendPromises);
-            console.log(`✅ Coaching sent to ${sendPromises.length} platform(s)`);
-            
-            console.log('✅ Coaching delivered!\n');
-          } else {
-            console.log('⚠️  No sales rep identified yet - skipping message');
-          }
-        }
+      // Run every function call the AI returned (coach the sales rep) and report results back
+      if (response.functionCalls.length > 0) {
+        await this.runToolLoop(response, {
+          batchNumber: this.batchCount,
+          messagesAnalyzed,
+          trigger: trigger.type
+        });
       } else {
         // AI decided not to coach yet
-        const aiThought = response.text();
+        const aiThought = response.text;
         if (aiThought && aiThought.length > 0) {
           console.log('🤔 Coach thinking:', aiThought.substring(0, 50));
         } else {
@@ -752,67 +1230,540 @@ class AIAgent {
         }
       }
       
+      // Fold older turns into the running summary once the context grows too large
+      if (this.contextManager.shouldCompress(this.conversationHistory.length)) {
+        await this.compressContext();
+      }
+      
     } catch (error) {
       console.error('❌ AI batch analysis error:', error.message);
       // Clear buffer on error to prevent stuck state
       this.transcriptBuffer = [];
+      this.analyzedUtterances = this.conversationHistory.length;
     }
+    
+    this.persistState();
   }
 
-  async flushBuffer() {
-    // Analyze any remaining transcripts when session ends
+  // Dispatch all function calls, feed the results back as function responses, repeat up to MAX_TOOL_ROUNDS
+  async runToolLoop(response, context) {
+    let round = 0;
+    const skipped = call => ({
+      id: call.id,
+      name: call.name,
+      response: { status: 'skipped', error: 'Tool call limit reached for this batch. Wait for the next transcript batch.' }
+    });
+    
+    while (response.functionCalls.length > 0) {
+      round++;
+      const limitReached = round > MAX_TOOL_ROUNDS;
+      const results = [];
+      
+      for (const call of response.functionCalls) {
+        if (limitReached) {
+          console.log(`⚠️  Tool loop limit (${MAX_TOOL_ROUNDS}) reached - skipping ${call.name}`);
+          results.push(skipped(call));
+          continue;
+        }
+        
+        console.log(`🎯 AI Coach taking action (round ${round}):`, call.name);
+        console.log('📋 Call details:', JSON.stringify(call.args, null, 2));
+        results.push(await this.tools.dispatch(call, context));
+      }
+      
+      response = await this.chat.sendFunctionResponses(results);
+      this.recordUsage(response.usage);
+      this.contextManager.track(JSON.stringify(results), response);
+      
+      if (limitReached) {
+        // Calls left unanswered would make the next batch invalid (OpenAI wants a tool message per call)
+        if (response.functionCalls.length > 0) {
+          console.log(`⚠️  Skipping ${response.functionCalls.length} function call(s) past the tool loop limit`);
+          await this.chat.recordFunctionResponses(response.functionCalls.map(skipped));
+        }
+        break;
+      }
+    }
+    
+    if (response.text) {
+      console.log('🤔 Coach follow-up:', response.text.substring(0, 50));
+    }
+  }
+
+  // Summarize everything but the most recent utterances and restart the chat from that summary
+  async compressContext() {
+    const { cut, older, recent } = this.contextManager.split(this.conversationHistory);
+    console.log(`🗜️  Context at ~${this.contextManager.contextTokens} tokens - summarizing ${older.length} older utterances...`);
+    
+    let summaryText = '';
+    try {
+      const summarizer = this.llm.startChat({ systemInstruction: SUMMARY_INSTRUCTION, tools: [], history: [] });
+      const response = await summarizer.sendMessage(this.contextManager.buildSummaryRequest(older, this.nudges));
+      this.recordUsage(response.usage);
+      summaryText = response.text;
+    } catch (error) {
+      console.error('❌ Summarization failed, using extractive summary:', error.message);
+    }
+    
+    const { summary, source } = this.contextManager.parseSummary(summaryText, older, this.nudges);
+    this.contextManager.applySummary(summary, cut, source);
+    const scorecard = this.tools.has('update_qualification') ? this.getScorecard().elements : null;
+    this.chat = this.startCoachingChat(this.contextManager.buildSeedHistory(recent, scorecard));
+    console.log(`✅ Context compressed (${source} summary) - fresh chat seeded with ${recent.length} recent utterances`);
+  }
+
+  // send_message tool: deliver a coaching nudge to the sales rep on every enabled platform
+  async sendCoaching(args, context) {
+    const { participant_id, participant_name } = args;
+    
+    console.log(`💡 Opportunity: ${formatCategory(args.category, args.severity)}${args.reason ? ` - ${args.reason}` : ''}`);
+    console.log(`🔍 AI wants to send to: ${participant_name} (ID: ${participant_id})`);
+    console.log(`🔍 Sales Rep is: ${this.interviewerName} (ID: ${this.interviewerId})`);
+    
+    // ALWAYS send to sales rep only (force override)
+    if (!this.interviewerId) {
+      console.log('⚠️  No sales rep identified yet - skipping message');
+      return { status: 'skipped', reason: 'No sales rep identified yet' };
+    }
+    
+    // Category, severity and excerpt must be valid before anything is delivered
+    const validation = validateNudge(args, this.getHeardUtterances());
+    if (!validation.valid) {
+      console.log(`⚠️  Invalid nudge rejected: ${validation.errors.join('; ')}`);
+      return { status: 'rejected', errors: validation.errors };
+    }
+    
+    return this.deliverNudge({ ...validation.nudge, batchNumber: context.batchNumber, source: 'ai' }, context);
+  }
+
+  // Templated nudge from a live caption rule; skips the LLM entirely
+  async sendRuleNudge(match) {
+    const { rule } = match;
+    if (!this.interviewerId) {
+      console.log('⚠️  No sales rep identified yet - skipping rule nudge');
+      return { status: 'skipped', reason: 'No sales rep identified yet' };
+    }
+    
+    const nudge = {
+      message: match.message,
+      category: rule.category,
+      categoryLabel: NUDGE_CATEGORIES[rule.category],
+      severity: rule.severity,
+      transcriptExcerpt: match.excerpt,
+      reason: `Live rule "${rule.id}": heard "${match.phrase}"`,
+      batchNumber: null,
+      source: 'rule',
+      ruleId: rule.id
+    };
+    return this.deliverNudge(nudge, { batchNumber: null, messagesAnalyzed: 0, trigger: 'partial_rule' });
+  }
+
+  // Governor check then delivery; one nudge at a time so AI and rule nudges can't both slip past the cooldown
+  deliverNudge(nudge, context) {
+    const delivery = this.nudgeDelivery.then(() => this.deliverNudgeNow(nudge, context));
+    this.nudgeDelivery = delivery.catch(() => {});
+    return delivery;
+  }
+
+  async deliverNudgeNow(nudge, context) {
+    // Cooldown, per-call limit, quotas and duplicate check
+    const { message } = nudge;
+    const now = this.clock.now();
+    const decision = this.nudgeGovernor.check(nudge, now);
+    if (!decision.allowed) {
+      this.nudgeGovernor.recordSuppressed(nudge, decision, now);
+      this.persistState();
+      return { status: 'suppressed', rule: decision.rule, detail: decision.detail };
+    }
+    
+    console.log(`✅ Sending coaching to sales rep: ${this.interviewerName}`);
+    
+    const coachingData = {
+      timestamp: new Date().toLocaleTimeString(),
+      reason: nudge.reason,
+      category: nudge.category,
+      severity: nudge.severity,
+      transcriptExcerpt: this.formatting.showExcerpt ? nudge.transcriptExcerpt : null,
+      message: message,
+      batchNumber: context.batchNumber,
+      messagesAnalyzed: context.messagesAnalyzed,
+      trigger: context.trigger,
+      recipientId: this.interviewerId,
+      nudge
+    };
+    
+    // Send to every channel of the session; each reports 'sent', 'failed' or 'skipped'
+    const platforms = await this.channels.sendNudge(coachingData);
+    const sentCount = countSent(platforms);
+    console.log(`✅ Coaching sent to ${sentCount}/${Object.keys(platforms).length} channel(s)\n`);
+    
+    const delivered = { ...nudge, timestamp: new Date(this.clock.now()).toISOString(), platforms };
+    if (sentCount > 0) {
+      this.nudgeGovernor.recordSent(nudge, this.clock.now());
+      this.nudges.push(delivered);
+    }
+    this.save('nudge', store => store.saveNudge(this.botId, { ...delivered, status: sentCount > 0 ? 'delivered' : 'failed' }));
+    this.persistState();
+    
+    return {
+      status: sentCount > 0 ? 'delivered' : 'failed',
+      recipient: this.interviewerName,
+      platforms
+    };
+  }
+
+  // update_qualification tool: record a BANT element's status and stream the scorecard to the dashboard
+  updateQualification(args) {
+    const result = this.scorecard.update(args, this.getHeardUtterances());
+    if (!result.valid) {
+      console.log(`⚠️  Invalid qualification update rejected: ${result.errors.join('; ')}`);
+      return { status: 'rejected', errors: result.errors };
+    }
+    
+    const { entry } = result;
+    console.log(`📋 Qualification: ${entry.label} -> ${entry.status} ("${entry.evidence}")`);
+    this.persistState();
+    if (!this.captureSink) {
+      broadcast(this.botId, {
+        type: 'scorecard',
+        data: { botId: this.botId, update: entry, scorecard: this.getScorecard() }
+      });
+    }
+    
+    return {
+      status: result.changed ? 'updated' : 'unchanged',
+      element: entry.element,
+      confirmed: this.scorecard.getScore()
+    };
+  }
+
+  // Let queued utterances and any in-flight analysis finish, then analyze what's left
+  async drainAnalysis() {
+    await this.workQueue.flush();
+    
     if (this.transcriptBuffer.length > 0) {
       console.log(`🔄 Flushing ${this.transcriptBuffer.length} remaining transcripts...`);
-      await this.analyzeBatch();
+      await this.workQueue.requestAnalysis({ type: 'session_end' });
     }
+    this.clearFlushTimers();
+  }
+
+  async flushBuffer() {
+    await this.drainAnalysis();
     
-    // End sessions on all active platforms
-    const endPromises = [];
+    // Review the whole call, draft the follow-up email and post both before the threads close
+    const report = await this.generateReport();
+    const followUp = await this.generateFollowUp();
+    await this.postReport(report);
+    if (this.deliverFollowUp) {
+      await this.postFollowUp(followUp);
+    }
     
-    // End Slack thread if active
-    if (INTEGRATION_MODES.includes('SLACK') && this.slackThread && this.slackThread.threadTs) {
-      console.log('🔚 Ending Slack thread...');
-      endPromises.push(
-        this.slackThread.endSessionThread().catch(err => {
-          console.error('❌ Failed to end Slack thread:', err.message);
-        })
-      );
+    // Close the session on every channel that still has it open
+    const ended = countSent(await this.channels.endSession());
+    if (ended > 0) {
+      console.log(`✅ Ended sessions on ${ended} channel(s)`);
+    }
+    this.persistState();
+  }
+
+  // Ask the model for a structured review of the whole call (tool-less chat); stored on the agent
+  async generateReport() {
+    const { summary, summarizedUpTo } = this.contextManager;
+    const scorecard = this.getScorecard().elements;
+    const metrics = computeCallMetrics(this.conversationHistory, this.getNudgeReport());
+    console.log(`📋 Generating call report (${this.conversationHistory.length} utterances)...`);
+    
+    let reportText = '';
+    try {
+      const reviewer = this.llm.startChat({ systemInstruction: REPORT_INSTRUCTION, tools: [], history: [] });
+      const response = await reviewer.sendMessage(buildReportRequest({
+        summary,
+        utterances: this.conversationHistory.slice(summarizedUpTo),
+        scorecard,
+        nudges: this.nudges
+      }));
+      this.recordUsage(response.usage);
+      reportText = response.text;
+    } catch (error) {
+      console.error('❌ Report generation failed, assembling report from session data:', error.message);
     }
     
-    // End SMS session if active
-    if (INTEGRATION_MODES.includes('SMS') && this.smsManager && this.smsManager.sessionActive) {
-      console.log('🔚 Ending SMS session...');
-      endPromises.push(
-        this.smsManager.endSession().catch(err => {
-          console.error('❌ Failed to end SMS session:', err.message);
-        })
-      );
+    this.report = parseReport(reportText, { summary, scorecard, nudges: this.nudges, metrics });
+    console.log(`✅ Call report ready (${this.report.source})`);
+    this.persistState();
+    return this.report;
+  }
+
+  // Post the report to every private channel (and team channels when shared) that still has an open session
+  postReport(report) {
+    return this.channels.postReport(report);
+  }
+
+  // Draft the recap email: the model extracts the content, the team template shapes the email
+  async generateFollowUp(templateId = this.emailTemplateId) {
+    const template = emailTemplates.get(templateId);
+    const { summary, summarizedUpTo } = this.contextManager;
+    console.log(`✉️  Drafting follow-up email (template: ${template.id})...`);
+    
+    let contentText = '';
+    try {
+      const writer = this.llm.startChat({ systemInstruction: FOLLOW_UP_INSTRUCTION, tools: [], history: [] });
+      const response = await writer.sendMessage(buildFollowUpRequest({
+        summary,
+        utterances: this.conversationHistory.slice(summarizedUpTo),
+        report: this.report,
+        template
+      }));
+      this.recordUsage(response.usage);
+      contentText = response.text;
+    } catch (error) {
+      console.error('❌ Follow-up drafting failed, using the call report:', error.message);
     }
     
-    // End Teams thread if active (TODO: Implement when Teams integration is ready)
-    if (INTEGRATION_MODES.includes('TEAMS') && this.teamsThread && this.teamsThread.threadId) {
-      console.log('🔚 Ending Teams thread...');
-      endPromises.push(
-        this.teamsThread.endSessionThread().catch(err => {
-          console.error('❌ Failed to end Teams thread:', err.message);
-        })
-      );
+    const { content, source } = parseFollowUpContent(contentText, {
+      report: this.report,
+      conversationHistory: this.conversationHistory
+    });
+    const email = renderFollowUpEmail(template, content, {
+      repName: this.interviewerName,
+      meetingTitle: this.extractMeetingTitle(this.meetingUrl),
+      date: new Date().toLocaleDateString()
+    });
+    
+    this.emailTemplateId = template.id;
+    this.followUp = {
+      template: template.id,
+      ...email,
+      content,
+      source,
+      generated_at: new Date().toISOString()
+    };
+    console.log(`✅ Follow-up draft ready (${source}): ${email.subject}`);
+    this.persistState();
+    return this.followUp;
+  }
+
+  // Send the draft to the rep on every private channel (and team channels when shared) that still has an open session
+  postFollowUp(draft) {
+    return this.channels.postFollowUp(draft);
+  }
+
+  // Everything needed to rebuild this agent after a restart (utterances and nudges are stored as they happen)
+  serialize() {
+    return {
+      interviewerId: this.interviewerId,
+      interviewerName: this.interviewerName,
+      batchCount: this.batchCount,
+      batchLog: this.batchLog,
+      analyzedUtterances: this.analyzedUtterances,
+      usage: this.usage,
+      emailTemplateId: this.emailTemplateId,
+      report: this.report,
+      followUp: this.followUp,
+      context: this.contextManager.serialize(),
+      scorecard: this.scorecard.serialize(),
+      governor: this.nudgeGovernor.serialize(),
+      partialRules: this.partialRules.serialize(),
+      threads: this.channels.serialize()
+    };
+  }
+
+  persistState() {
+    this.save('session state', store => store.saveState(this.botId, this.serialize()));
+  }
+
+  save(what, write) {
+    if (!this.captureSink) {
+      persist(what, write);
+    }
+  }
+
+  /**
+   * Pick up a stored session: transcript, nudges, scorecard, summary and
+   * thread ids come back, and a fresh chat is seeded with what the coach had
+   * already seen. Lines it hadn't analyzed yet go back into the buffer.
+   */
+  restore({ status, utterances, nudges, state }) {
+    this.conversationHistory = utterances.map(({ role, speaker, text, timestamp }) => ({ role, speaker, text, timestamp }));
+    this.nudges = nudges.filter(nudge => nudge.status === 'delivered').map(({ status, ...nudge }) => nudge);
+    
+    if (state) {
+      this.interviewerId = state.interviewerId;
+      this.interviewerName = state.interviewerName;
+      this.batchCount = state.batchCount;
+      this.batchLog = state.batchLog;
+      this.analyzedUtterances = Math.min(state.analyzedUtterances, this.conversationHistory.length);
+      this.usage = state.usage;
+      this.report = state.report;
+      this.followUp = state.followUp;
+      if (emailTemplates.get(state.emailTemplateId)) {
+        this.emailTemplateId = state.emailTemplateId;
+      }
+      this.contextManager.restore(state.context);
+      this.scorecard.restore(state.scorecard);
+      this.nudgeGovernor.restore(state.governor);
+      this.partialRules.restore(state.partialRules);
+      
+      // Keep replying in the threads the session already opened
+      this.channels.restore(state.threads);
     }
     
-    await Promise.all(endPromises);
-    if (endPromises.length > 0) {
-      console.log(`✅ Ended sessions on ${endPromises.length} platform(s)`);
+    this.transcriptBuffer = this.conversationHistory
+      .slice(this.analyzedUtterances)
+      .map(u => `[${u.role} - ${u.speaker}]: ${u.text}`);
+    const scorecard = this.tools.has('update_qualification') ? this.getScorecard().elements : null;
+    this.chat = this.startCoachingChat(this.contextManager.buildResumeHistory(
+      this.conversationHistory.slice(0, this.analyzedUtterances),
+      this.nudges,
+      scorecard
+    ));
+    if (status === 'active' && this.transcriptBuffer.length > 0) {
+      this.armFlushTimers();
     }
   }
 
+  recordUsage(usage) {
+    if (!usage) return;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    this.usage.totalTokens += usage.totalTokens;
+  }
+
+  getPlaybookInfo() {
+    return { id: this.playbook.id, name: this.playbook.name };
+  }
+
+  getLLMInfo() {
+    return {
+      provider: this.llm.name,
+      model: this.llm.model,
+      usage: this.usage
+    };
+  }
+
+  // Final utterances plus captions still being spoken, for excerpt/evidence checks
+  getHeardUtterances() {
+    return [...this.conversationHistory, ...this.livePartials.values()];
+  }
+
   getConversationSummary() {
     return this.conversationHistory.slice(-10); // Last 10 messages
   }
+
+  getBatchLog() {
+    return this.batchLog.slice(-20); // Last 20 batches
+  }
+
+  getScorecard() {
+    const { history, ...scorecard } = this.scorecard.getState();
+    return scorecard;
+  }
+
+  getNudgeReport() {
+    const governorState = this.nudgeGovernor.getState();
+    const byCategory = {};
+    this.nudges.forEach(nudge => {
+      byCategory[nudge.category] = (byCategory[nudge.category] || 0) + 1;
+    });
+    return {
+      nudges: this.nudges,
+      by_category: byCategory,
+      suppressed: governorState.suppressed,
+      quota_counts: governorState.quota_counts,
+      policy: governorState.policy
+    };
+  }
 }
 
 // ============================================
 // ROUTE 1: Start Bot
 // ============================================
+// AIAgent options from a start-bot or replay request; throws on an unknown playbook, team, provider or policy
+function buildAgentOptions({ playbook, llm_provider, llm_model, mock_script, batch_policy, nudge_policy, context_policy, team, deliver_follow_up }) {
+  const selectedPlaybook = playbooks.get(playbook);
+  if (!selectedPlaybook) {
+    throw new Error(`Unknown playbook "${playbook}"`);
+  }
+
+  if (team && !emailTemplates.get(team)) {
+    throw new Error(`Unknown team email template "${team}"`);
+  }
+
+  // Session policies are checked like the playbook's own, so a bad value is a 400 instead of errors mid-call
+  const policyErrors = [
+    ...(nudge_policy !== undefined ? validateNudgePolicy(nudge_policy) : []),
+    ...(batch_policy !== undefined ? validateBatchPolicy(batch_policy) : []),
+    ...(context_policy !== undefined ? validateContextPolicy(context_policy) : [])
+  ];
+  if (policyErrors.length > 0) {
+    throw new Error(policyErrors.join('; '));
+  }
+
+  const aiAgentOptions = {
+    playbook: selectedPlaybook,
+    emailTemplate: team,
+    deliverFollowUp: typeof deliver_follow_up === 'boolean' ? deliver_follow_up : undefined,
+    llmProvider: llm_provider || LLM_PROVIDER,
+    llmModel: llm_model,
+    mockScript: mock_script,
+    batchPolicy: batch_policy,
+    nudgePolicy: nudge_policy,
+    contextPolicy: context_policy
+  };
+  // Stored with the session as the model it used, not only the one asked for (the default is filled in)
+  aiAgentOptions.llmModel = createProvider(aiAgentOptions.llmProvider, { model: llm_model, script: mock_script }).model;
+  new NudgeGovernor({ ...selectedPlaybook.nudgePolicy, ...nudge_policy });
+  return aiAgentOptions;
+}
+
+// Phone numbers for SMS nudges (can be array or comma-separated string)
+function parsePhoneNumbers(phone_numbers) {
+  if (Array.isArray(phone_numbers)) {
+    return phone_numbers;
+  }
+  if (typeof phone_numbers === 'string') {
+    return phone_numbers.split(',').map(num => num.trim()).filter(num => num);
+  }
+  return [];
+}
+
+// Ask Recall for a bot that sends its transcript and participant events here; with joinAt it joins later
+async function createRecallBot(meetingUrl, { joinAt } = {}) {
+  const webhookUrl = `${process.env.WEBHOOK_BASE_URL}/api/webhook${ALLOW_QUERY_SECRET ? `?secret=${process.env.WEBHOOK_SECRET}` : ''}`;
+  const response = await fetch(recallApiUrl('/bot/'), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Token ${process.env.RECALL_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      meeting_url: meetingUrl,
+      bot_name: 'Nimo',
+      ...(joinAt ? { join_at: joinAt } : {}),
+      recording_config: {
+        transcript: {
+          provider: {
+            meeting_captions: {}
+          }
+        },
+        realtime_endpoints: [{
+          type: 'webhook',
+          url: webhookUrl,
+          events: ['transcript.data', 'transcript.partial_data', 'participant_events.join', 'participant_events.leave']
+        }]
+      }
+    })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(JSON.stringify(data));
+  }
+  return data;
+}
+
 app.post('/api/start-bot', async (req, res) => {
   const { meeting_url, phone_numbers } = req.body;
 
@@ -820,66 +1771,57 @@ app.post('/api/start-bot', async (req, res) => {
     return res.status(400).json({ error: 'meeting_url is required' });
   }
 
-  // Parse phone numbers (can be array or comma-separated string)
-  let phoneNumbersArray = [];
-  if (phone_numbers) {
-    if (Array.isArray(phone_numbers)) {
-      phoneNumbersArray = phone_numbers;
-    } else if (typeof phone_numbers === 'string') {
-      phoneNumbersArray = phone_numbers.split(',').map(num => num.trim()).filter(num => num);
-    }
+  const phoneNumbersArray = parsePhoneNumbers(phone_numbers);
+
+  // Validate the AI agent's provider and policies up front so bad settings fail before a bot joins
+  let aiAgentOptions;
+  try {
+    aiAgentOptions = buildAgentOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+  const selectedPlaybook = aiAgentOptions.playbook;
 
   console.log('📞 Starting bot for:', meeting_url);
+  console.log('📚 Playbook:', selectedPlaybook.id);
   if (phoneNumbersArray.length > 0) {
     console.log('📱 SMS notifications will be sent to:', phoneNumbersArray.join(', '));
   }
 
-  const webhookUrl = `${process.env.WEBHOOK_BASE_URL}/api/webhook?secret=${process.env.WEBHOOK_SECRET}`;
-
   try {
-    const response = await fetch(`https://${process.env.RECALL_REGION}.recall.ai/api/v1/bot/`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${process.env.RECALL_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        meeting_url,
-        bot_name: 'Nimo',
-        recording_config: {
-          transcript: {
-            provider: {
-              meeting_captions: {}
-            }
-          },
-          realtime_endpoints: [{
-            type: 'webhook',
-            url: webhookUrl,
-            events: ['transcript.data', 'transcript.partial_data']
-          }]
-        }
-      })
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new Error(JSON.stringify(data));
-    }
+    const data = await createRecallBot(meeting_url);
 
     // Initialize session with AI agent (include phone numbers)
+    const owner = { userId: req.user.id, team: req.user.team };
     sessions.set(data.id, {
       botId: data.id,
       meetingUrl: meeting_url,
       phoneNumbers: phoneNumbersArray,
+      owner,
+      lifecycle: new BotLifecycle(),
       transcripts: [],
-      aiAgent: new AIAgent(data.id, meeting_url, phoneNumbersArray)
+      aiAgent: new AIAgent(data.id, meeting_url, phoneNumbersArray, aiAgentOptions)
     });
+    persist('session', store => store.createSession({
+      botId: data.id,
+      meetingUrl: meeting_url,
+      phoneNumbers: phoneNumbersArray,
+      options: { ...aiAgentOptions, playbook: selectedPlaybook.id },
+      createdAt: new Date().toISOString(),
+      owner
+    }));
 
     console.log('✅ Bot created:', data.id);
-    console.log('🎓 AI Recruiting Coach activated and ready!');
-    res.json({ success: true, bot_id: data.id, phone_numbers: phoneNumbersArray });
+    console.log('🎓 AI Sales Coach activated and ready!');
+    const llmInfo = sessions.get(data.id).aiAgent.getLLMInfo();
+    res.json({
+      success: true,
+      bot_id: data.id,
+      phone_numbers: phoneNumbersArray,
+      playbook: selectedPlaybook.id,
+      team: sessions.get(data.id).aiAgent.emailTemplateId,
+      llm: { provider: llmInfo.provider, model: llmInfo.model }
+    });
 
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -888,88 +1830,421 @@ app.post('/api/start-bot', async (req, res) => {
 });
 
 // ============================================
-// ROUTE 2: Webhook Handler
+// ROUTE 1a: Scheduled Bots (join at a set time, or from a calendar)
 // ============================================
-app.post('/api/webhook', (req, res) => {
-  if (req.query.secret !== process.env.WEBHOOK_SECRET) {
-    return res.status(401).send('Unauthorized');
-  }
+// A scheduled bot is a session with status "scheduled" in the session store. It becomes
+// a live session when Recall starts sending its events (or its join time passes)
+const MAX_IMPORTED_MEETINGS = 50;
+const DEFAULT_IMPORT_DAYS = 14;
+const MAX_IMPORT_DAYS = 60;
+
+// Calendar feeds are fetched from public hosts only; CALENDAR_FEED_HOSTS narrows them further
+const CALENDAR_FEED_OPTIONS = {
+  allowedHosts: (process.env.CALENDAR_FEED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+  allowPrivateHosts: process.env.CALENDAR_FEED_ALLOW_PRIVATE === 'true' // Local development only
+};
+
+// join_at must be a time in the future; returns it as ISO, or null
+function parseJoinAt(value) {
+  const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(parsed) || parsed <= Date.now() ? null : new Date(parsed).toISOString();
+}
 
-  res.status(200).send('OK');
+// Attendees as emails or names (array or comma-separated), or { name, email } objects
+function parseAttendees(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return list
+    .map(attendee => (typeof attendee === 'string' ? attendee.trim() : attendee))
+    .filter(Boolean)
+    .map(attendee => {
+      if (typeof attendee === 'string') {
+        return attendee.includes('@') ? { name: null, email: attendee } : { name: attendee, email: null };
+      }
+      return { name: attendee.name || null, email: attendee.email || null };
+    });
+}
 
-  setImmediate(async () => {
-    const { event, data } = req.body;
-    if (!event || !data) return;
+function describeScheduledSession(record) {
+  const metadata = record.metadata || {};
+  return {
+    bot_id: record.botId,
+    meeting_url: record.meetingUrl,
+    platform: detectPlatform(record.meetingUrl),
+    join_at: record.joinAt,
+    title: metadata.title || null,
+    attendees: metadata.attendees || [],
+    organizer: metadata.organizer || null,
+    rep: metadata.rep || null,
+    source: metadata.source || 'manual',
+    playbook: record.options.playbook,
+    team: record.options.emailTemplate || null,
+    phone_numbers: record.phoneNumbers,
+    created_at: record.createdAt
+  };
+}
 
-    const botId = data.bot?.id;
-    const session = sessions.get(botId);
-    
-    if (!session) {
-      console.log('⚠️  No session found for bot:', botId);
-      return;
-    }
+async function scheduleBot({ user, meetingUrl, joinAt, metadata, phoneNumbers, aiAgentOptions }) {
+  const data = await createRecallBot(meetingUrl, { joinAt });
+  sessionStore.createSession({
+    botId: data.id,
+    meetingUrl,
+    phoneNumbers,
+    options: { ...aiAgentOptions, playbook: aiAgentOptions.playbook.id },
+    createdAt: new Date().toISOString(),
+    owner: { userId: user.id, team: user.team },
+    status: 'scheduled',
+    joinAt,
+    metadata: { ...metadata, rep: user.name }
+  });
+  console.log(`⏰ Bot ${data.id} scheduled for ${joinAt}: ${metadata.title || meetingUrl}`);
+  return sessionStore.getSession(data.id);
+}
 
-    // Handle transcript events
-    if (event === 'transcript.data' || event === 'transcript.partial_data') {
-      const transcript = data.data;
-      
-      if (!transcript) {
-        console.log('⚠️  No transcript data');
-        return;
-      }
+// Turn a scheduled session into a live one (once); null if it isn't scheduled
+function activateScheduledSession(botId) {
+  try {
+    const record = sessionStore.getSession(botId);
+    if (!record || record.status !== 'scheduled' || !sessionStore.activateSession(botId)) {
+      return null;
+    }
+    const session = restoreSession({ ...record, status: 'active' });
+    sessions.set(botId, session);
+    console.log(`⏰ Scheduled bot ${botId} is joining${record.metadata?.title ? ` "${record.metadata.title}"` : ''}`);
+    return session;
+  } catch (error) {
+    console.error(`❌ Failed to start scheduled session ${botId}:`, error.message);
+    return null;
+  }
+}
 
-      // Only process final transcripts
-      if (event === 'transcript.partial_data') {
-        return;
-      }
+app.get('/api/scheduled-bots', (req, res) => {
+  try {
+    const scheduled = sessionStore.listSessions({ status: 'scheduled' })
+      .filter(record => canAccessSession(req.user, record.owner))
+      .sort((a, b) => a.joinAt.localeCompare(b.joinAt))
+      .map(describeScheduledSession);
+    res.json({ total: scheduled.length, scheduled });
+  } catch (error) {
+    console.error('❌ Error listing scheduled bots:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Extract speaker info from participant object
-      const speaker = transcript.participant?.name || 'Unknown';
-      const participantId = transcript.participant?.id;
-      const isHost = transcript.participant?.is_host || false;
-      
-      // Extract text from words array
-      let text = '';
-      if (Array.isArray(transcript.words)) {
-        text = transcript.words.map(w => w.text).join(' ');
-      } else if (typeof transcript.words === 'string') {
-        text = transcript.words;
-      }
+app.post('/api/scheduled-bots', async (req, res) => {
+  const { meeting_url, join_at, title, attendees, phone_numbers } = req.body;
 
-      const message = {
-        speaker: speaker,
-        words: text,
-        timestamp: new Date().toISOString(),
-        isHost: isHost
-      };
-
-      if (message.words) {
-        const roleIcon = isHost ? '👔' : '💼';
-        console.log(`\n${roleIcon} [${message.speaker}]: ${message.words}`);
-        session.transcripts.push(message);
-        broadcast({ type: 'transcript', data: message });
-        
-        // Send to AI Recruiting Coach for analysis
-        if (session.aiAgent && participantId) {
-          await session.aiAgent.processTranscript(speaker, participantId, isHost, text);
-        }
-      }
-    }
+  if (!meeting_url) {
+    return res.status(400).json({ error: 'meeting_url is required' });
+  }
+  const joinAt = parseJoinAt(join_at);
+  if (!joinAt) {
+    return res.status(400).json({ error: 'join_at must be an ISO timestamp in the future' });
+  }
+  let aiAgentOptions;
+  try {
+    aiAgentOptions = buildAgentOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Handle participant join events
-    if (event === 'participant_events.join') {
-      const participant = data.data?.participant;
-      if (participant) {
-        const roleLabel = participant.is_host ? '(Interviewer)' : '(Candidate)';
-        console.log(`\n👋 ${participant.name} joined ${roleLabel}`);
-        
-        // Identify interviewer when they join
-        if (session.aiAgent && participant.is_host) {
-          session.aiAgent.setInterviewer(participant.name, participant.id);
-        }
-        
-        broadcast({ 
-          type: 'participant_join', 
+  try {
+    const record = await scheduleBot({
+      user: req.user,
+      meetingUrl: meeting_url,
+      joinAt,
+      metadata: { title: typeof title === 'string' && title.trim() ? title.trim() : null, attendees: parseAttendees(attendees), source: 'manual' },
+      phoneNumbers: parsePhoneNumbers(phone_numbers),
+      aiAgentOptions
+    });
+    res.status(201).json(describeScheduledSession(record));
+  } catch (error) {
+    console.error('❌ Error scheduling bot:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule bots for the calendar's upcoming Zoom, Meet and Teams meetings (ICS text or feed URL)
+app.post('/api/scheduled-bots/import', async (req, res) => {
+  const { ics, url, days = DEFAULT_IMPORT_DAYS, phone_numbers } = req.body;
+
+  if (!ics && !url) {
+    return res.status(400).json({ error: 'Send the calendar as ics (file contents) or url (ICS feed)' });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_IMPORT_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_IMPORT_DAYS}` });
+  }
+  let aiAgentOptions;
+  try {
+    aiAgentOptions = buildAgentOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const fromFeed = !(typeof ics === 'string' && ics);
+  let calendar;
+  try {
+    const text = fromFeed ? await fetchCalendar(url, CALENDAR_FEED_OPTIONS) : ics;
+    calendar = parseCalendar(text, { from: Date.now(), to: Date.now() + days * 24 * 60 * 60 * 1000 });
+  } catch (error) {
+    // Feed errors stay in the log: what went wrong would tell the caller what answers at that URL
+    if (fromFeed) {
+      console.error(`❌ Calendar feed import failed for ${req.user.email}:`, error.message);
+      return res.status(400).json({ error: 'Could not read the calendar feed' });
+    }
+    return res.status(400).json({ error: `Could not read the calendar: ${error.message}` });
+  }
+
+  // Importing the same feed again only adds meetings that are new
+  const alreadyScheduled = new Set(sessionStore.listSessions({ status: 'scheduled' })
+    .filter(record => record.owner && record.owner.userId === req.user.id && record.metadata?.calendarUid)
+    .map(record => `${record.metadata.calendarUid}|${record.joinAt}`));
+
+  const scheduled = [];
+  const skipped = [...calendar.skipped];
+  for (const meeting of calendar.meetings) {
+    const skip = reason => skipped.push({ title: meeting.title, start: meeting.start, reason });
+    if (meeting.uid && alreadyScheduled.has(`${meeting.uid}|${meeting.start}`)) {
+      skip('already scheduled');
+      continue;
+    }
+    if (scheduled.length >= MAX_IMPORTED_MEETINGS) {
+      skip(`more than ${MAX_IMPORTED_MEETINGS} meetings in one import`);
+      continue;
+    }
+    try {
+      const record = await scheduleBot({
+        user: req.user,
+        meetingUrl: meeting.meetingUrl,
+        joinAt: meeting.start,
+        metadata: {
+          title: meeting.title,
+          attendees: meeting.attendees,
+          organizer: meeting.organizer,
+          source: 'calendar',
+          calendarUid: meeting.uid
+        },
+        phoneNumbers: parsePhoneNumbers(phone_numbers),
+        aiAgentOptions
+      });
+      scheduled.push(describeScheduledSession(record));
+    } catch (error) {
+      console.error(`❌ Error scheduling "${meeting.title}":`, error.message);
+      skip(error.message);
+    }
+  }
+
+  console.log(`📅 Calendar import: ${scheduled.length} scheduled, ${skipped.length} skipped`);
+  res.json({ scheduled, skipped });
+});
+
+// Move a scheduled bot (join_at, meeting_url) or change its title and attendees
+app.patch('/api/scheduled-bots/:botId', async (req, res) => {
+  const { botId } = req.params;
+  const { meeting_url, join_at, title, attendees } = req.body;
+  const record = sessionStore.getSession(botId);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (record.status !== 'scheduled') {
+    return res.status(409).json({ error: 'The bot has already joined - only scheduled bots can be edited' });
+  }
+  const joinAt = join_at === undefined ? undefined : parseJoinAt(join_at);
+  if (joinAt === null) {
+    return res.status(400).json({ error: 'join_at must be an ISO timestamp in the future' });
+  }
+  if (meeting_url !== undefined && (typeof meeting_url !== 'string' || !meeting_url.trim())) {
+    return res.status(400).json({ error: 'meeting_url must be a meeting link' });
+  }
+
+  try {
+    if (joinAt || meeting_url) {
+      const response = await fetch(recallApiUrl(`/bot/${botId}/`), {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Token ${process.env.RECALL_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...(joinAt ? { join_at: joinAt } : {}), ...(meeting_url ? { meeting_url: meeting_url.trim() } : {}) })
+      });
+      if (!response.ok) {
+        return res.status(502).json({ error: `Recall refused the change: ${JSON.stringify(await response.json().catch(() => ({})))}` });
+      }
+    }
+
+    const metadata = { ...record.metadata };
+    if (title !== undefined) metadata.title = typeof title === 'string' && title.trim() ? title.trim() : null;
+    if (attendees !== undefined) metadata.attendees = parseAttendees(attendees);
+    sessionStore.updateSession(botId, { meetingUrl: meeting_url && meeting_url.trim(), joinAt, metadata });
+    console.log(`⏰ Scheduled bot ${botId} updated`);
+    res.json(describeScheduledSession(sessionStore.getSession(botId)));
+  } catch (error) {
+    console.error('❌ Error updating scheduled bot:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/scheduled-bots/:botId', async (req, res) => {
+  const { botId } = req.params;
+  const record = sessionStore.getSession(botId);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (record.status !== 'scheduled') {
+    return res.status(409).json({ error: 'The bot has already joined - stop it instead' });
+  }
+
+  try {
+    const response = await fetch(recallApiUrl(`/bot/${botId}/`), {
+      method: 'DELETE',
+      headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
+    });
+    if (!response.ok && response.status !== 404) {
+      return res.status(502).json({ error: `Recall could not cancel the bot (${response.status})` });
+    }
+    sessionStore.deleteSession(botId);
+    console.log(`🗑️  Cancelled scheduled bot ${botId}`);
+    res.json({ success: true, bot_id: botId });
+  } catch (error) {
+    console.error('❌ Error cancelling scheduled bot:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROUTE 2: Webhook Handler
+// ============================================
+app.post('/api/webhook', (req, res) => {
+  const check = webhookGuard.check({ headers: req.headers, query: req.query, rawBody: req.rawBody });
+  if (check.result === 'rejected') {
+    console.error(`🚫 Webhook rejected (${check.reason}) from ${req.ip}: ${req.body?.event || 'unknown event'}`);
+    return res.status(401).send('Unauthorized');
+  }
+
+  res.status(200).send('OK');
+  
+  // Recall retries until it gets a 2xx; a repeat is acknowledged but not processed twice
+  if (check.result === 'duplicate') {
+    console.log(`🔁 Duplicate webhook ${check.id} ignored (${req.body?.event})`);
+    return;
+  }
+
+  setImmediate(async () => {
+    const { event, data } = req.body;
+    if (!event || !data) return;
+
+    const botId = data.bot?.id;
+    const session = sessions.get(botId) || activateScheduledSession(botId);
+    
+    if (!session) {
+      // A stopped bot still reports leaving the call, which completes its status history
+      const ended = event.startsWith('bot.') ? endedSessions.get(botId) : null;
+      if (ended) {
+        handleRecallEvent(ended, event, data);
+      } else {
+        console.log('⚠️  No session found for bot:', botId);
+      }
+      return;
+    }
+
+    handleRecallEvent(session, event, data);
+  });
+});
+
+// Accepted, duplicate and rejected webhook counts
+app.get('/api/webhook/stats', requireRole('admin'), (req, res) => {
+  res.json(webhookGuard.getStats());
+});
+
+// Transcript, participant and bot status events for one session (live webhooks and offline replays)
+function handleRecallEvent(session, event, data) {
+  // Handle transcript events
+  if (event === 'transcript.data' || event === 'transcript.partial_data') {
+    const transcript = data.data;
+    
+    if (!transcript) {
+      console.log('⚠️  No transcript data');
+      return;
+    }
+
+    // When the words were spoken (falls back to arrival time)
+    const spokenAt = getTranscriptTimestamp(transcript);
+
+    // Extract speaker info from participant object
+    const speaker = transcript.participant?.name || 'Unknown';
+    const participantId = transcript.participant?.id;
+    const isHost = transcript.participant?.is_host || false;
+    
+    // Extract text from words array
+    let text = '';
+    if (Array.isArray(transcript.words)) {
+      text = transcript.words.map(w => w.text).join(' ');
+    } else if (typeof transcript.words === 'string') {
+      text = transcript.words;
+    }
+
+    // Live caption rules see partials and finals; everything else only processes final transcripts
+    let liveHandled = false;
+    if (session.aiAgent && participantId && text) {
+      liveHandled = session.aiAgent.handleLiveCaption({
+        speaker,
+        participantId,
+        isHost,
+        text,
+        utteranceStart: getUtteranceStart(transcript),
+        final: event === 'transcript.data'
+      });
+    }
+    if (event === 'transcript.partial_data') {
+      return;
+    }
+
+    const message = {
+      speaker: speaker,
+      words: text,
+      timestamp: new Date(spokenAt).toISOString(),
+      isHost: isHost
+    };
+
+    if (message.words) {
+      const roleIcon = isHost ? '👔' : '💼';
+      console.log(`\n${roleIcon} [${message.speaker}]: ${message.words}`);
+      session.transcripts.push(message);
+      if (!session.replay) {
+        broadcast(session.botId, { type: 'transcript', data: message });
+      }
+      
+      // Queue for the AI Sales Coach (serialized per bot)
+      if (session.aiAgent && participantId) {
+        session.aiAgent.enqueueTranscript({
+          speaker,
+          participantId,
+          isHost,
+          text,
+          timestamp: spokenAt,
+          words: getWordTimings(transcript),
+          liveHandled
+        });
+      }
+    }
+  }
+
+  // Handle participant join events
+  if (event === 'participant_events.join') {
+    const participant = data.data?.participant;
+    if (participant) {
+      const roleLabel = participant.is_host ? '(Interviewer)' : '(Candidate)';
+      console.log(`\n👋 ${participant.name} joined ${roleLabel}`);
+      
+      // Identify interviewer when they join
+      if (session.aiAgent && participant.is_host) {
+        session.aiAgent.setInterviewer(participant.name, participant.id);
+      }
+      
+      if (!session.replay) {
+        broadcast(session.botId, {
+          type: 'participant_join',
           data: { 
             name: participant.name, 
             id: participant.id, 
@@ -978,130 +2253,777 @@ app.post('/api/webhook', (req, res) => {
         });
       }
     }
+  }
+
+  // Handle participant leave events
+  if (event === 'participant_events.leave') {
+    const participant = data.data?.participant;
+    if (participant) {
+      console.log(`\n🚶 ${participant.name} left`);
+      if (!session.replay) {
+        broadcast(session.botId, {
+          type: 'participant_leave',
+          data: { name: participant.name, id: participant.id, isHost: participant.is_host }
+        });
+      }
+    }
+  }
+
+  // Bot status changes (bot.joining_call, bot.in_call_recording, bot.call_ended, bot.done, ...)
+  if (event.startsWith('bot.')) {
+    const status = data.data || {};
+    console.log(`🤖 Bot ${session.botId} status: ${status.code || event.slice(4)}${status.sub_code ? ` (${status.sub_code})` : ''}`);
+    if (!session.replay) {
+      applyBotStatus(session, { code: status.code || event.slice(4), subCode: status.sub_code || null, at: status.updated_at });
+    }
+  }
+}
+
+// Move a session's bot along its lifecycle; a live session is finalized once the call is over
+function applyBotStatus(session, change) {
+  if (!session.lifecycle) return;
+  const { recorded, changed } = session.lifecycle.apply(change);
+  if (recorded) {
+    persist('bot status', store => store.saveBotStatus(session.botId, session.lifecycle.toJSON()));
+  }
+  if (!changed || !sessions.has(session.botId)) return;
+
+  const { state, code, subCode, updatedAt } = session.lifecycle;
+  console.log(`🚦 Bot ${session.botId} is now ${state}`);
+  broadcast(session.botId, { type: 'bot_status', data: { state, code, subCode, updatedAt } });
+  if (session.lifecycle.isFinal()) {
+    finalizeSession(session.botId, state === 'fatal' ? `bot error${subCode ? ` (${subCode})` : ''}` : subCode || code)
+      .catch(error => console.error(`❌ Failed to finalize ${session.botId}:`, error.message));
+  }
+}
+
+// Status webhooks can be missed (not configured, or lost while the server was down), so live bots are also polled
+async function pollBotStatuses() {
+  // Scheduled bots past their join time are followed too, in case none of their webhooks arrive
+  try {
+    sessionStore.listSessions({ status: 'scheduled' })
+      .filter(record => Date.parse(record.joinAt) <= Date.now())
+      .forEach(record => activateScheduledSession(record.botId));
+  } catch (error) {
+    console.error('❌ Failed to check scheduled bots:', error.message);
+  }
+
+  for (const session of [...sessions.values()]) {
+    if (!session.lifecycle || session.lifecycle.isFinal()) continue;
+    try {
+      const response = await fetch(recallApiUrl(`/bot/${session.botId}/`), {
+        headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
+      });
+      // The bot was deleted (or a restored session's bot is long gone): nothing more will happen in that call
+      if (response.status === 404 || response.status === 410) {
+        console.log(`⚠️  Recall no longer knows bot ${session.botId} (${response.status}) - ending its session`);
+        applyBotStatus(session, { code: 'fatal', subCode: 'bot_not_found', at: new Date().toISOString() });
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`Recall answered ${response.status}`);
+      }
+      const bot = await response.json();
+      (bot.status_changes || []).forEach(change => {
+        applyBotStatus(session, { code: change.code, subCode: change.sub_code || null, at: change.created_at });
+      });
+    } catch (error) {
+      console.error(`❌ Bot status poll failed for ${session.botId}:`, error.message);
+    }
+  }
+}
+
+// Meeting platform from the meeting URL (also used to filter session history)
+function detectPlatform(url) {
+  if (url.includes('zoom.us')) return 'Zoom';
+  if (url.includes('meet.google.com')) return 'Google Meet';
+  if (url.includes('teams.microsoft.com')) return 'Microsoft Teams';
+  return 'Unknown Platform';
+}
+
+// Recall word timestamps carry the absolute time the first word was spoken
+function getTranscriptTimestamp(transcript) {
+  const start = Array.isArray(transcript.words) ? transcript.words[0]?.start_timestamp : null;
+  const parsed = start?.absolute ? Date.parse(start.absolute) : NaN;
+  return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+// Per-word timing in seconds from the start of the recording, kept for transcript
+// exports (null when Recall sends no relative timestamps)
+function getWordTimings(transcript) {
+  if (!Array.isArray(transcript.words) || transcript.words.length === 0) return null;
+  const words = transcript.words.map(w => ({
+    text: w.text,
+    start: w.start_timestamp?.relative,
+    end: w.end_timestamp?.relative ?? w.start_timestamp?.relative
+  }));
+  return words.every(w => typeof w.start === 'number') ? words : null;
+}
+
+// Identifies one utterance across its partial and final captions (null when Recall sends no timing)
+function getUtteranceStart(transcript) {
+  const start = Array.isArray(transcript.words) ? transcript.words[0]?.start_timestamp : null;
+  return start?.relative ?? start?.absolute ?? null;
+}
+
+// ============================================
+// ROUTE 3: SSE Stream
+// ============================================
+// Live events for one call. A reconnect sends Last-Event-ID (or ?last_event_id=) and gets the events it missed.
+app.get('/api/stream/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  sseClients.set(res, { user: req.user, botId });
+  console.log(`📡 Client connected to ${botId} (${req.user.email}). Total:`, sseClients.size);
+
+  res.write(`data: ${JSON.stringify({ type: 'connected', data: { botId } })}\n\n`);
+
+  const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+  const missed = lastEventId ? sessionEvents.since(botId, lastEventId) : null;
+  if (missed) {
+    console.log(`📡 Resumed ${botId} after event ${lastEventId} (${missed.length} missed)`);
+    missed.forEach(event => res.write(formatStreamEvent(event)));
+  } else {
+    // New viewers, and gaps the buffer can't fill (e.g. after a restart), get the call so far
+    res.write(formatStreamEvent({ id: sessionEvents.lastId(botId), message: buildStreamSnapshot(session) }));
+  }
+
+  // Send keepalive ping every 15 seconds to prevent timeout
+  const keepaliveInterval = setInterval(() => {
+    res.write(`: keepalive\n\n`);
+  }, 15000);
+
+  req.on('close', () => {
+    clearInterval(keepaliveInterval);
+    sseClients.delete(res);
+    console.log('📡 Client disconnected. Total:', sseClients.size);
   });
 });
 
+// Live events go to the dashboards watching that call, and into its buffer for reconnects
+function broadcast(botId, message) {
+  const data = formatStreamEvent(sessionEvents.append(botId, message));
+  sseClients.forEach((stream, client) => {
+    if (stream.botId === botId) client.write(data);
+  });
+}
+
+function formatStreamEvent({ id, message }) {
+  return `id: ${id}\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+function buildStreamSnapshot(session) {
+  return {
+    type: 'snapshot',
+    data: {
+      botId: session.botId,
+      ended: !sessions.has(session.botId),
+      transcripts: session.transcripts,
+      scorecard: session.aiAgent ? session.aiAgent.getScorecard() : null,
+      botStatus: session.lifecycle ? session.lifecycle.state : null
+    }
+  };
+}
+
+// ============================================
+// Send Private Chat Message
+// ============================================
+async function sendPrivateChatMessage(botId, participantId, message) {
+  try {
+    console.log(`\n📤 === SENDING CHAT MESSAGE ===`);
+    console.log(`🤖 Bot ID: ${botId}`);
+    console.log(`👤 Participant ID: ${participantId}`);
+    console.log(`📝 Message: "${message}"`);
+    
+    const requestBody = {
+      message: message
+    };
+    
+    // Only add 'to' field if we have a participant ID (for private message)
+    if (participantId) {
+      requestBody.to = String(participantId);
+      console.log(`🔒 Mode: PRIVATE message to participant ${participantId}`);
+    } else {
+      console.log(`📢 Mode: PUBLIC message (no recipient specified)`);
+    }
+    
+    const apiUrl = recallApiUrl(`/bot/${botId}/send_chat_message/`);
+    console.log(`🌐 API URL: ${apiUrl}`);
+    console.log(`📦 Request Body:`, JSON.stringify(requestBody, null, 2));
+    
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${process.env.RECALL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+    
+    console.log(`📡 Response Status: ${response.status} ${response.statusText}`);
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error('❌ API ERROR RESPONSE:', JSON.stringify(errorData, null, 2));
+      console.error('❌ Failed to send chat message\n');
+      return false;
+    } else {
+      const successData = await response.json();
+      console.log('✅ API SUCCESS RESPONSE:', JSON.stringify(successData, null, 2));
+      console.log('✅ Chat message delivered successfully!\n');
+      return true;
+    }
+  } catch (error) {
+    console.error('❌ EXCEPTION:', error.message);
+    console.error('❌ Stack:', error.stack);
+    return false;
+  }
+}
+
+// ============================================
+// ROUTE 4: Get Bot Status (DEBUG)
+// ============================================
+app.get('/api/bot-status/:botId', async (req, res) => {
+  const { botId } = req.params;
+
+  try {
+    const response = await fetch(recallApiUrl(`/bot/${botId}/`), {
+      method: 'GET',
+      headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
+    });
+
+    const data = await response.json();
+    console.log('🤖 Bot Status:', JSON.stringify(data, null, 2));
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROUTE 5: Get AI Conversation History
+// ============================================
+app.get('/api/ai-history/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    playbook: session.aiAgent.getPlaybookInfo(),
+    llm: session.aiAgent.getLLMInfo(),
+    channels: session.aiAgent.channels.describe(),
+    batch_policy: session.aiAgent.flushPolicy.config,
+    batches: session.aiAgent.getBatchLog(),
+    conversation_history: session.aiAgent.getConversationSummary()
+  });
+});
+
+// ============================================
+// ROUTE 5b: Get Processing Queue Status
+// ============================================
+app.get('/api/queue-status/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = sessions.get(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    queue: session.aiAgent.workQueue.getStatus()
+  });
+});
+
+// ============================================
+// ROUTE 5c: Get Nudges (delivered and suppressed)
+// ============================================
+app.get('/api/nudges/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    ...session.aiAgent.getNudgeReport()
+  });
+});
+
+// ============================================
+// ROUTE 5d: Get Running Conversation Summary
+// ============================================
+app.get('/api/summary/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    ...session.aiAgent.contextManager.getStatus()
+  });
+});
+
+// ============================================
+// ROUTE 5e: Get Live Caption Rule Activity
+// ============================================
+app.get('/api/live-rules/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    ...session.aiAgent.partialRules.getStatus()
+  });
+});
+
+// ============================================
+// ROUTE 5f: Get Qualification Scorecard
+// ============================================
+app.get('/api/scorecard/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    ...session.aiAgent.scorecard.getState()
+  });
+});
+
+// ============================================
+// ROUTE 5g: Coaching Playbooks
+// ============================================
+app.get('/api/playbooks', (req, res) => {
+  res.json({
+    default: playbooks.defaultId,
+    playbooks: playbooks.list(),
+    load_errors: playbooks.loadErrors
+  });
+});
+
+app.get('/api/playbooks/:id', (req, res) => {
+  const playbook = playbooks.playbooks.get(req.params.id);
+  
+  if (!playbook) {
+    return res.status(404).json({ error: 'Playbook not found' });
+  }
+  
+  res.json(playbook);
+});
+
+// ============================================
+// ROUTE 5h: Post-Call Report
+// ============================================
+app.get('/api/report/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (!session.aiAgent.report) {
+    return res.status(404).json({ error: 'Report not generated yet - it is created when the session ends' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    report: session.aiAgent.report
+  });
+});
+
+// Regenerate the report for a finished session (e.g. if the model was unavailable when the call ended)
+app.post('/api/report/:botId/regenerate', async (req, res) => {
+  const { botId } = req.params;
+  const session = findEndedSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: sessions.has(botId) ? 'Session is still active - stop it first' : 'Session not found' });
+  }
+  
+  try {
+    const report = await session.aiAgent.generateReport();
+    res.json({ bot_id: botId, report });
+  } catch (error) {
+    console.error('❌ Error regenerating report:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ROUTE 5i: Follow-Up Email Draft
+// ============================================
+app.get('/api/follow-up/:botId', (req, res) => {
+  const { botId } = req.params;
+  const session = findSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (!session.aiAgent.followUp) {
+    return res.status(404).json({ error: 'Follow-up draft not generated yet - it is created when the session ends' });
+  }
+  
+  res.json({
+    bot_id: botId,
+    follow_up: session.aiAgent.followUp
+  });
+});
+
+// Redraft for a finished session, optionally with another team's template
+app.post('/api/follow-up/:botId/regenerate', async (req, res) => {
+  const { botId } = req.params;
+  const { team } = req.body || {};
+  const session = findEndedSession(botId);
+  
+  if (!session || !session.aiAgent) {
+    return res.status(404).json({ error: sessions.has(botId) ? 'Session is still active - stop it first' : 'Session not found' });
+  }
+  if (team && !emailTemplates.get(team)) {
+    return res.status(400).json({ error: `Unknown team email template "${team}"` });
+  }
+  
+  try {
+    const followUp = await session.aiAgent.generateFollowUp(team || session.aiAgent.emailTemplateId);
+    res.json({ bot_id: botId, follow_up: followUp });
+  } catch (error) {
+    console.error('❌ Error regenerating follow-up draft:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/email-templates', (req, res) => {
+  res.json({
+    default: emailTemplates.defaultId,
+    templates: emailTemplates.list(),
+    load_errors: emailTemplates.loadErrors
+  });
+});
+
+// ============================================
+// ROUTE 5j: Session History (past calls from the session store)
+// ============================================
+app.get('/api/sessions', (req, res) => {
+  const { filters, errors } = parseHistoryFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  
+  try {
+    const matching = sessionStore.listSessionSummaries()
+      .filter(summary => summary.status !== 'scheduled' && canAccessSession(req.user, summary.owner))
+      .map(summary => ({ ...summary, platform: detectPlatform(summary.meetingUrl), playbook: summary.options.playbook }))
+      .filter(summary => matchesHistoryFilters(summary, filters));
+    
+    res.json({
+      total: matching.length,
+      sessions: matching.map(summary => ({
+        bot_id: summary.botId,
+        status: summary.status,
+        meeting_url: summary.meetingUrl,
+        platform: summary.platform,
+        playbook: summary.playbook,
+        rep: summary.rep,
+        created_at: summary.createdAt,
+        ended_at: summary.endedAt,
+        bot_status: summary.botState,
+        utterances: summary.utteranceCount,
+        nudges: summary.nudgeCount
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full session with transcript and nudges on one timeline
+app.get('/api/sessions/:botId', (req, res) => {
+  const { botId } = req.params;
+  const record = sessionStore.getSession(botId);
+  
+  if (!record) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  const { state, options } = record;
+  const scorecard = new QualificationScorecard();
+  if (state) {
+    scorecard.restore(state.scorecard);
+  }
+  const { history, ...scorecardState } = scorecard.getState();
+  
+  res.json({
+    bot_id: record.botId,
+    status: record.status,
+    meeting_url: record.meetingUrl,
+    platform: detectPlatform(record.meetingUrl),
+    playbook: options.playbook,
+    team: state ? state.emailTemplateId : options.emailTemplate || null,
+    llm: { provider: options.llmProvider, model: options.llmModel || null },
+    rep: state ? state.interviewerName : null,
+    created_at: record.createdAt,
+    ended_at: record.endedAt,
+    // The state, as in the session list; what Recall reported on the way there is in the history
+    bot_status: record.botStatus ? record.botStatus.state : null,
+    bot_status_history: record.botStatus
+      ? record.botStatus.history.map(({ code, subCode, state, at }) => ({ code, sub_code: subCode, state, at }))
+      : [],
+    scorecard: scorecardState,
+    report: state ? state.report : null,
+    follow_up: state ? state.followUp : null,
+    timeline: buildTimeline(record)
+  });
+});
+
+app.delete('/api/sessions/:botId', requireRole('admin'), (req, res) => {
+  const { botId } = req.params;
+  
+  if (sessions.has(botId)) {
+    return res.status(409).json({ error: 'Session is still active - stop it first' });
+  }
+  
+  const deleted = sessionStore.deleteSession(botId);
+  const cached = endedSessions.delete(botId);
+  if (!deleted && !cached) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  console.log('🗑️  Deleted session:', botId);
+  res.json({ success: true, bot_id: botId });
+});
+
+// ============================================
+// ROUTE 5k: Transcript Export (SRT, WebVTT, JSON, Markdown, TXT)
+// ============================================
+app.get('/api/sessions/:botId/export', (req, res) => {
+  const { botId } = req.params;
+  const format = (req.query.format || 'txt').toLowerCase();
+  const includeNudges = req.query.nudges === 'true';
+  
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  const record = sessionStore.getSession(botId);
+  if (!record) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    const body = renderTranscript(format, record, {
+      platform: detectPlatform(record.meetingUrl),
+      rep: record.state ? record.state.interviewerName : null,
+      playbook: record.options.playbook,
+      meetingUrl: record.meetingUrl,
+      createdAt: record.createdAt,
+      endedAt: record.endedAt
+    }, { includeNudges });
+    
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="transcript-${botId}${includeNudges ? '-with-nudges' : ''}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('❌ Error exporting transcript:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
-// ROUTE 3: SSE Stream
+// ROUTE 5l: Offline Replay (recorded calls through the coaching pipeline)
 // ============================================
-app.get('/api/stream', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  sseClients.add(res);
-  console.log('📡 Client connected. Total:', sseClients.size);
-
-  res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
-
-  // Send keepalive ping every 15 seconds to prevent timeout
-  const keepaliveInterval = setInterval(() => {
-    res.write(`: keepalive\n\n`);
-  }, 15000);
-
-  req.on('close', () => {
-    clearInterval(keepaliveInterval);
-    sseClients.delete(res);
-    console.log('📡 Client disconnected. Total:', sseClients.size);
-  });
-});
+const MAX_REPLAY_SPEED = 100;
+// Finished replays (with their full results) are kept this long for polling, and only the latest few
+const REPLAY_RETENTION_MS = (Number(process.env.REPLAY_RETENTION_MINUTES) || 60) * 60 * 1000;
+const MAX_FINISHED_REPLAYS = 20;
+const replays = new Map(); // replayId -> replay run
+
+// Called when a replay completes or fails
+function retireReplay(replay) {
+  setTimeout(() => replays.delete(replay.id), REPLAY_RETENTION_MS).unref();
+  const finished = [...replays.values()].filter(run => run.finishedAt);
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_REPLAYS)).forEach(run => replays.delete(run.id));
+}
 
-function broadcast(message) {
-  const data = `data: ${JSON.stringify(message)}\n\n`;
-  sseClients.forEach(client => client.write(data));
+function replayView(replay) {
+  return {
+    replay_id: replay.id,
+    status: replay.status,
+    source: replay.source,
+    speed: replay.speed,
+    pause_for_analysis: replay.pauseForAnalysis,
+    prompt_override: replay.promptOverride,
+    recording_seconds: replay.recordingSeconds,
+    progress: replay.progress,
+    started_at: replay.startedAt,
+    finished_at: replay.finishedAt,
+    error: replay.error,
+    result: replay.result
+  };
 }
 
-// ============================================
-// Send Private Chat Message
-// ============================================
-async function sendPrivateChatMessage(botId, participantId, message) {
-  try {
-    console.log(`\n📤 === SENDING CHAT MESSAGE ===`);
-    console.log(`🤖 Bot ID: ${botId}`);
-    console.log(`👤 Participant ID: ${participantId}`);
-    console.log(`📝 Message: "${message}"`);
-    
-    const requestBody = {
-      message: message
-    };
-    
-    // Only add 'to' field if we have a participant ID (for private message)
-    if (participantId) {
-      requestBody.to = String(participantId);
-      console.log(`🔒 Mode: PRIVATE message to participant ${participantId}`);
-    } else {
-      console.log(`📢 Mode: PUBLIC message (no recipient specified)`);
+// Send the recording's events through the webhook handler on its own timeline (scaled by speed)
+async function runReplay(replay, { events, meetingUrl }, aiAgentOptions) {
+  const startedAt = Date.now();
+  // With pauseForAnalysis the recording's clock stands still while the coach works on a line
+  const pause = { totalMs: 0, since: null };
+  const elapsed = () => Date.now() - startedAt - pause.totalMs - (pause.since ? Date.now() - pause.since : 0);
+  const clock = { speed: replay.speed, now: () => startedAt + elapsed() * replay.speed };
+  const sink = new CaptureSink(clock);
+  const session = {
+    botId: replay.id,
+    meetingUrl: meetingUrl || 'replay://offline',
+    phoneNumbers: [],
+    transcripts: [],
+    replay: true
+  };
+  session.aiAgent = new AIAgent(replay.id, session.meetingUrl, [], { ...aiAgentOptions, captureSink: sink, clock });
+  console.log(`⏯️  Replay ${replay.id}: ${events.length} transcript events (${replay.source}) at ${replay.speed}x`);
+  
+  for (const item of events) {
+    const wait = (item.at * 1000) / replay.speed - elapsed();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
     }
-    
-    const apiUrl = `https://${process.env.RECALL_REGION}.recall.ai/api/v1/bot/${botId}/send_chat_message/`;
-    console.log(`🌐 API URL: ${apiUrl}`);
-    console.log(`📦 Request Body:`, JSON.stringify(requestBody, null, 2));
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${process.env.RECALL_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
+    if (replay.cancelled) {
+      session.aiAgent.clearFlushTimers();
+      console.log(`⏹️  Replay ${replay.id} cancelled`);
+      return;
+    }
+    handleRecallEvent(session, item.event, {
+      bot: { id: replay.id },
+      data: withAbsoluteTimes(item.transcript, startedAt)
     });
+    replay.progress.sent++;
     
-    console.log(`📡 Response Status: ${response.status} ${response.statusText}`);
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('❌ API ERROR RESPONSE:', JSON.stringify(errorData, null, 2));
-      console.error('❌ Failed to send chat message\n');
-      return false;
-    } else {
-      const successData = await response.json();
-      console.log('✅ API SUCCESS RESPONSE:', JSON.stringify(successData, null, 2));
-      console.log('✅ Chat message delivered successfully!\n');
-      return true;
+    if (replay.pauseForAnalysis) {
+      pause.since = Date.now();
+      await session.aiAgent.workQueue.flush();
+      await session.aiAgent.nudgeDelivery;
+      pause.totalMs += Date.now() - pause.since;
+      pause.since = null;
     }
-  } catch (error) {
-    console.error('❌ EXCEPTION:', error.message);
-    console.error('❌ Stack:', error.stack);
-    return false;
   }
+  
+  await session.aiAgent.drainAnalysis();
+  replay.result = buildReplayResult({ startedAt, agent: session.aiAgent, sink });
+  replay.status = 'completed';
+  replay.finishedAt = new Date().toISOString();
+  retireReplay(replay);
+  const { totals } = replay.result;
+  console.log(`✅ Replay ${replay.id} done: ${totals.delivered} nudge(s) delivered, ${totals.suppressed} suppressed over ${totals.batches} batch(es)`);
 }
 
-// ============================================
-// ROUTE 4: Get Bot Status (DEBUG)
-// ============================================
-app.get('/api/bot-status/:botId', async (req, res) => {
-  const { botId } = req.params;
-
+// Start a replay; poll GET /api/replays/:replayId for progress and the result
+app.post('/api/replays', requireRole('manager'), (req, res) => {
+  const { recording, speed = 1, prompt, pause_for_analysis = false } = req.body;
+  
+  if (!recording) {
+    return res.status(400).json({ error: 'recording is required' });
+  }
+  if (typeof speed !== 'number' || !(speed > 0) || speed > MAX_REPLAY_SPEED) {
+    return res.status(400).json({ error: `speed must be a number above 0 and up to ${MAX_REPLAY_SPEED}` });
+  }
+  if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+    return res.status(400).json({ error: 'prompt must be a non-empty string' });
+  }
+  
+  let parsed;
+  let aiAgentOptions;
   try {
-    const response = await fetch(`https://${process.env.RECALL_REGION}.recall.ai/api/v1/bot/${botId}/`, {
-      method: 'GET',
-      headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
-    });
-
-    const data = await response.json();
-    console.log('🤖 Bot Status:', JSON.stringify(data, null, 2));
-    res.json(data);
+    parsed = parseRecording(recording);
+    aiAgentOptions = buildAgentOptions(req.body);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
+  // Try a prompt revision without editing the playbook file
+  if (prompt) {
+    aiAgentOptions.playbook = { ...aiAgentOptions.playbook, prompt };
+  }
+  
+  const replay = {
+    id: `replay-${crypto.randomUUID()}`,
+    ownerId: req.user.id,
+    status: 'running',
+    source: parsed.source,
+    speed,
+    pauseForAnalysis: pause_for_analysis === true,
+    promptOverride: Boolean(prompt),
+    recordingSeconds: parsed.events[parsed.events.length - 1].at,
+    progress: { sent: 0, total: parsed.events.length },
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    result: null,
+    cancelled: false
+  };
+  replays.set(replay.id, replay);
+  
+  runReplay(replay, parsed, aiAgentOptions).catch(error => {
+    console.error(`❌ Replay ${replay.id} failed:`, error.message);
+    replay.status = 'failed';
+    replay.error = error.message;
+    replay.finishedAt = new Date().toISOString();
+    retireReplay(replay);
+  });
+  
+  res.status(202).json(replayView(replay));
 });
 
-// ============================================
-// ROUTE 5: Get AI Conversation History
-// ============================================
-app.get('/api/ai-history/:botId', (req, res) => {
-  const { botId } = req.params;
-  const session = sessions.get(botId);
+// Replays belong to whoever started them (and admins)
+function findReplay(req) {
+  const replay = replays.get(req.params.replayId);
+  return replay && (replay.ownerId === req.user.id || hasRole(req.user, 'admin')) ? replay : null;
+}
+
+app.get('/api/replays/:replayId', (req, res) => {
+  const replay = findReplay(req);
   
-  if (!session || !session.aiAgent) {
-    return res.status(404).json({ error: 'Session not found' });
+  if (!replay) {
+    return res.status(404).json({ error: 'Replay not found' });
   }
   
-  res.json({
-    bot_id: botId,
-    conversation_history: session.aiAgent.getConversationSummary()
-  });
+  res.json(replayView(replay));
+});
+
+// Stop a running replay (or forget a finished one)
+app.delete('/api/replays/:replayId', (req, res) => {
+  const replay = findReplay(req);
+  
+  if (!replay) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+  
+  replay.cancelled = true;
+  replays.delete(replay.id);
+  res.json({ success: true, replay_id: replay.id });
 });
 
 // ============================================
@@ -1111,19 +3033,13 @@ app.post('/api/stop-bot/:botId', async (req, res) => {
   const { botId } = req.params;
 
   try {
-    const session = sessions.get(botId);
-    
-    // Flush any remaining buffered transcripts before stopping
-    if (session && session.aiAgent) {
-      await session.aiAgent.flushBuffer();
-    }
+    await finalizeSession(botId, 'stopped');
     
-    await fetch(`https://${process.env.RECALL_REGION}.recall.ai/api/v1/bot/${botId}/`, {
+    await fetch(recallApiUrl(`/bot/${botId}/`), {
       method: 'DELETE',
       headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
     });
 
-    sessions.delete(botId);
     console.log('🛑 Bot stopped:', botId);
     res.json({ success: true });
   } catch (error) {
@@ -1131,10 +3047,37 @@ app.post('/api/stop-bot/:botId', async (req, res) => {
   }
 });
 
+// End a live session once: flush the transcript buffer, post the report and follow-up,
+// close the Slack/SMS/Teams threads and keep the call in history. Runs when the rep
+// clicks Stop and when Recall reports the call over (ended, kicked, bot error)
+function finalizeSession(botId, reason) {
+  const session = sessions.get(botId);
+  if (!session) return Promise.resolve();
+  if (!session.finalizing) {
+    session.finalizing = (async () => {
+      console.log(`🏁 Finalizing session ${botId} (${reason})`);
+      if (session.aiAgent) {
+        await session.aiAgent.flushBuffer().catch(error => {
+          console.error(`❌ Failed to flush ${botId}:`, error.message);
+        });
+      }
+
+      const endedAt = new Date().toISOString();
+      endedSessions.set(botId, { ...session, endedAt });
+      persist('session end', store => store.endSession(botId, endedAt));
+      sessions.delete(botId);
+      broadcast(botId, { type: 'session_ended', data: { botId, reason, endedAt } });
+      // Reconnects to an ended call get a snapshot, so its event buffer can go
+      sessionEvents.drop(botId);
+    })();
+  }
+  return session.finalizing;
+}
+
 // ============================================
 // ROUTE 7: Clear All Sessions
 // ============================================
-app.post('/api/clear-sessions', async (req, res) => {
+app.post('/api/clear-sessions', requireRole('admin'), async (req, res) => {
   try {
     console.log('🗑️  Clearing all sessions...');
     
@@ -1144,10 +3087,10 @@ app.post('/api/clear-sessions', async (req, res) => {
     for (const [botId, session] of sessions.entries()) {
       console.log(`🛑 Stopping bot: ${botId}`);
       
-      // Flush any remaining buffered transcripts
+      // Flush any remaining buffered transcripts (or wait for the finalize already doing it)
       if (session.aiAgent) {
         stopPromises.push(
-          session.aiAgent.flushBuffer().catch(err => {
+          (session.finalizing || session.aiAgent.flushBuffer()).catch(err => {
             console.error(`Error flushing buffer for bot ${botId}:`, err.message);
           })
         );
@@ -1155,7 +3098,7 @@ app.post('/api/clear-sessions', async (req, res) => {
       
       // Delete bot via Recall API
       stopPromises.push(
-        fetch(`https://${process.env.RECALL_REGION}.recall.ai/api/v1/bot/${botId}/`, {
+        fetch(recallApiUrl(`/bot/${botId}/`), {
           method: 'DELETE',
           headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
         }).catch(err => {
@@ -1164,15 +3107,32 @@ app.post('/api/clear-sessions', async (req, res) => {
       );
     }
     
+    // Scheduled bots would still join their meetings later
+    sessionStore.listSessions({ status: 'scheduled' }).forEach(record => {
+      console.log(`🗑️  Cancelling scheduled bot: ${record.botId}`);
+      stopPromises.push(
+        fetch(recallApiUrl(`/bot/${record.botId}/`), {
+          method: 'DELETE',
+          headers: { 'Authorization': `Token ${process.env.RECALL_API_KEY}` }
+        }).catch(err => {
+          console.error(`Error cancelling bot ${record.botId}:`, err.message);
+        })
+      );
+    });
+    
     // Wait for all bots to stop
     await Promise.all(stopPromises);
     
     // Clear sessions map
     const sessionCount = sessions.size;
     sessions.clear();
+    endedSessions.clear();
+    persist('session clear', store => store.clear());
     
-    // Clear SSE clients
+    // Close SSE streams (their sessions are gone)
+    sseClients.forEach((stream, client) => client.end());
     sseClients.clear();
+    sessionEvents.clear();
     
     console.log(`✅ Cleared ${sessionCount} session(s)`);
     res.json({ 
@@ -1187,6 +3147,354 @@ app.post('/api/clear-sessions', async (req, res) => {
   }
 });
 
+// ============================================
+// ROUTE 8: Authentication
+// ============================================
+app.get('/api/auth/config', (req, res) => {
+  res.json({ password_login: true, oidc: Boolean(oidcClient) });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password are required' });
+  }
+  
+  const result = await authService.checkPassword(email, password);
+  if (!result.user) {
+    console.log(`🚫 Failed sign-in for ${email} from ${req.ip}`);
+    return res.status(result.throttled ? 429 : 401).json({ error: result.error });
+  }
+  
+  res.setHeader('Set-Cookie', authService.startLogin(result.user, req));
+  console.log(`🔐 ${result.user.email} signed in`);
+  res.json({ user: publicUser(result.user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', authService.endLogin(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  if (req.user.passwordHash) {
+    const check = await authService.checkPassword(req.user.email, current_password);
+    if (!check.user) {
+      return res.status(check.throttled ? 429 : 403).json({ error: check.throttled ? check.error : 'Current password is incorrect' });
+    }
+  }
+  
+  const { changes, errors } = validateUserInput({ password: new_password }, { partial: true });
+  if (errors.length > 0 || !changes.password) {
+    return res.status(400).json({ error: errors.join('; ') || 'new_password is required' });
+  }
+  userStore.updateUser(req.user.id, { passwordHash: await hashPassword(changes.password) });
+  res.json({ success: true });
+});
+
+// SSO: redirect to the provider, then back to /api/auth/oidc/callback
+const OIDC_STATE_COOKIE = 'nimo_oidc_state';
+
+app.get('/api/auth/oidc/login', async (req, res) => {
+  if (!oidcClient) {
+    return res.status(404).json({ error: 'OIDC sign-in is not configured' });
+  }
+  try {
+    const { url, state } = await oidcClient.getAuthorizationUrl();
+    res.setHeader('Set-Cookie', `${OIDC_STATE_COOKIE}=${state}; Path=/api/auth/oidc; HttpOnly; SameSite=Lax; Max-Age=600`);
+    res.redirect(url);
+  } catch (error) {
+    console.error('❌ OIDC sign-in failed:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  if (!oidcClient) {
+    return res.status(404).json({ error: 'OIDC sign-in is not configured' });
+  }
+  try {
+    // A callback link started in another browser would sign this one in as someone else
+    if (!req.query.state || parseCookies(req.headers.cookie)[OIDC_STATE_COOKIE] !== req.query.state) {
+      throw new Error('Sign-in was started in another browser - try again');
+    }
+    const identity = await oidcClient.handleCallback(req.query);
+    const user = findOrCreateOidcUser(identity);
+    res.setHeader('Set-Cookie', [
+      authService.startLogin(user, req),
+      `${OIDC_STATE_COOKIE}=; Path=/api/auth/oidc; HttpOnly; SameSite=Lax; Max-Age=0`
+    ]);
+    console.log(`🔐 ${user.email} signed in with SSO`);
+    res.redirect('/');
+  } catch (error) {
+    console.error('❌ OIDC sign-in failed:', error.message);
+    res.redirect(`/?login_error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// Match by provider subject, then link an existing account by verified email, then create an account
+function findOrCreateOidcUser({ subject, email, emailVerified, name }) {
+  let user = userStore.findUserByOidcSubject(subject);
+  const existing = !user && email ? userStore.findUserByEmail(email) : null;
+  if (existing) {
+    // Linking hands the account to whoever controls that email at the provider: only for
+    // verified emails, and for admin or password accounts only once an admin allowed it
+    const needsApproval = existing.role === 'admin' || Boolean(existing.passwordHash);
+    if (!emailVerified || existing.oidcSubject || (needsApproval && !existing.ssoLinkAllowed)) {
+      throw new Error('An account with this email already exists - ask an admin to allow SSO for it');
+    }
+    user = userStore.updateUser(existing.id, { oidcSubject: subject, ssoLinkAllowed: false });
+    console.log(`🔗 Linked ${user.email} to SSO`);
+  }
+  if (!user) {
+    if (!OIDC_AUTO_CREATE || !email) {
+      throw new Error('No NIMO account for this sign-in - ask an admin to add you');
+    }
+    user = userStore.createUser({
+      email,
+      name: name || email,
+      role: OIDC_DEFAULT_ROLE,
+      team: process.env.OIDC_DEFAULT_TEAM || null,
+      oidcSubject: subject
+    });
+    console.log(`👤 Created ${user.role} account ${user.email} from SSO`);
+  }
+  if (user.disabled) {
+    throw new Error('This account is disabled');
+  }
+  return user;
+}
+
+// ============================================
+// ROUTE 9: Users and API Tokens
+// ============================================
+// Scripts send a token as `Authorization: Bearer nimo_...`; it acts as the user who created it
+app.get('/api/tokens', (req, res) => {
+  res.json({ tokens: userStore.listApiTokens(req.user.id).map(publicToken) });
+});
+
+app.post('/api/tokens', (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  
+  const { token, record } = authService.createApiToken(req.user, name.trim());
+  console.log(`🔑 API token "${record.name}" created for ${req.user.email}`);
+  res.status(201).json({ ...publicToken(record), token });
+});
+
+app.delete('/api/tokens/:tokenId', (req, res) => {
+  const owned = userStore.listApiTokens(req.user.id).some(token => token.id === req.params.tokenId);
+  if (!owned || !userStore.deleteApiToken(req.params.tokenId)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true, token_id: req.params.tokenId });
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ users: userStore.listUsers().map(publicUser) });
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { changes, errors } = validateUserInput(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  if (userStore.findUserByEmail(changes.email)) {
+    return res.status(409).json({ error: `A user with email ${changes.email} already exists` });
+  }
+  
+  const { password, ...fields } = changes;
+  const user = userStore.createUser({ ...fields, passwordHash: password ? await hashPassword(password) : null });
+  console.log(`👤 ${req.user.email} created ${user.role} account ${user.email}`);
+  res.status(201).json({ user: publicUser(user) });
+});
+
+app.patch('/api/users/:userId', requireRole('admin'), async (req, res) => {
+  const user = userStore.getUser(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const { changes, errors } = validateUserInput(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  const existing = changes.email ? userStore.findUserByEmail(changes.email) : null;
+  if (existing && existing.id !== user.id) {
+    return res.status(409).json({ error: `A user with email ${changes.email} already exists` });
+  }
+  if (isLastAdmin(user) && ((changes.role && changes.role !== 'admin') || changes.disabled)) {
+    return res.status(409).json({ error: 'At least one active admin is required' });
+  }
+  
+  const { password, ...fields } = changes;
+  if (password) {
+    fields.passwordHash = await hashPassword(password);
+  }
+  const updated = userStore.updateUser(user.id, fields);
+  updateStreamUser(updated.id, updated);
+  res.json({ user: publicUser(updated) });
+});
+
+app.delete('/api/users/:userId', requireRole('admin'), (req, res) => {
+  const user = userStore.getUser(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (isLastAdmin(user)) {
+    return res.status(409).json({ error: 'At least one active admin is required' });
+  }
+  
+  userStore.deleteUser(user.id);
+  updateStreamUser(user.id, null);
+  console.log(`👤 ${req.user.email} deleted account ${user.email}`);
+  res.json({ success: true, user_id: user.id });
+});
+
+function isLastAdmin(user) {
+  const activeAdmins = userStore.listUsers().filter(u => u.role === 'admin' && !u.disabled);
+  return activeAdmins.length === 1 && activeAdmins[0].id === user.id;
+}
+
+// Open live streams follow account changes (new role or team, disabled or deleted)
+function updateStreamUser(userId, user) {
+  sseClients.forEach((stream, client) => {
+    if (stream.user.id !== userId) return;
+    if (!user || user.disabled || !canAccessSession(user, getSessionOwner(stream.botId) || null)) {
+      client.end();
+    } else {
+      stream.user = user;
+    }
+  });
+}
+
+// ============================================
+// ROUTE 10: Settings (where Teams threads go)
+// ============================================
+function publicTeamsDestination(destination) {
+  return destination && {
+    team_id: destination.teamId,
+    channel_id: destination.channelId,
+    team_name: destination.teamName || null,
+    channel_name: destination.channelName || null,
+    source: destination.source
+  };
+}
+
+app.get('/api/settings/teams', requireRole('admin'), (req, res) => {
+  res.json({
+    enabled: INTEGRATION_MODES.includes('TEAMS'),
+    connected: Boolean(teamsGraph),
+    destination: publicTeamsDestination(getTeamsDestination()),
+    env: {
+      team_id: process.env.TEAMS_TEAM_ID || null,
+      channel_id: process.env.TEAMS_CHANNEL_ID || null
+    }
+  });
+});
+
+// New sessions post to the saved channel; null ids go back to TEAMS_TEAM_ID / TEAMS_CHANNEL_ID
+app.put('/api/settings/teams', requireRole('admin'), (req, res) => {
+  const { team_id, channel_id, team_name, channel_name } = req.body || {};
+  const clearing = team_id === null && channel_id === null;
+  if (!clearing && !(typeof team_id === 'string' && team_id.trim() && typeof channel_id === 'string' && channel_id.trim())) {
+    return res.status(400).json({ error: 'team_id and channel_id are required (both null to use the environment)' });
+  }
+
+  try {
+    userStore.saveSetting('teams', clearing ? null : {
+      teamId: team_id.trim(),
+      channelId: channel_id.trim(),
+      teamName: typeof team_name === 'string' ? team_name.trim() || null : null,
+      channelName: typeof channel_name === 'string' ? channel_name.trim() || null : null
+    });
+  } catch (error) {
+    console.error('❌ Failed to save Teams settings:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+
+  const destination = getTeamsDestination();
+  console.log(`⚙️  ${req.user.email} set the Teams channel to ${destination ? `${destination.channelName || destination.channelId} (${destination.source})` : 'none'}`);
+  res.json({ destination: publicTeamsDestination(destination) });
+});
+
+// Teams and channels the Graph account can post to, for picking the destination
+app.get('/api/settings/teams/channels', requireRole('admin'), async (req, res) => {
+  if (!teamsGraph) {
+    return res.status(404).json({ error: 'Teams integration is not configured' });
+  }
+
+  try {
+    const teams = await teamsGraph.listTeamsWithChannels();
+    res.json({ teams });
+  } catch (error) {
+    console.error('❌ Failed to list Teams channels:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Session Rehydration
+// ============================================
+// Rebuild a stored session and its AI agent with the options it was started with
+function restoreSession(record) {
+  const { playbook, emailTemplate, ...options } = record.options;
+  const selectedPlaybook = playbooks.get(playbook);
+  if (!selectedPlaybook) {
+    console.error(`⚠️  Playbook "${playbook}" no longer available for ${record.botId}, using "${playbooks.defaultId}"`);
+  }
+  
+  const aiAgent = new AIAgent(record.botId, record.meetingUrl, record.phoneNumbers, {
+    ...options,
+    playbook: selectedPlaybook || playbooks.get(),
+    emailTemplate: emailTemplates.get(emailTemplate) ? emailTemplate : undefined
+  });
+  aiAgent.restore(record);
+  
+  return {
+    botId: record.botId,
+    meetingUrl: record.meetingUrl,
+    phoneNumbers: record.phoneNumbers,
+    owner: record.owner,
+    lifecycle: new BotLifecycle(record.botStatus),
+    transcripts: record.utterances.map(u => ({
+      speaker: u.speaker,
+      words: u.text,
+      timestamp: new Date(u.timestamp).toISOString(),
+      isHost: u.isHost
+    })),
+    aiAgent,
+    ...(record.endedAt ? { endedAt: record.endedAt } : {})
+  };
+}
+
+// Calls that were live when the server stopped pick up where they left off
+sessionStore.listSessions({ status: 'active' }).forEach(record => {
+  try {
+    sessions.set(record.botId, restoreSession(record));
+    console.log(`♻️  Resumed session ${record.botId} (${record.utterances.length} utterances, ${record.nudges.length} nudges)`);
+  } catch (error) {
+    console.error(`❌ Failed to resume session ${record.botId}:`, error.message);
+  }
+});
+
+// Also catches calls that ended while the server was down
+if (BOT_STATUS_POLL_SECONDS > 0) {
+  let polling = false;
+  setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    await pollBotStatuses();
+    polling = false;
+  }, BOT_STATUS_POLL_SECONDS * 1000).unref();
+}
+
 // ============================================
 // Start Server
 // ============================================
@@ -1195,22 +3503,39 @@ app.listen(PORT, () => {
   console.log('🎓 AI Sales Coach - NIMO');
   console.log('=================================');
   console.log(`📍 Server: http://localhost:${PORT}`);
-  console.log(`🧠 AI Model: Gemini 2.0 Flash`);
+  console.log(`🎙️  Recall API: ${RECALL_API_BASE_URL}`);
+  console.log(`🔏 Webhooks: ${[process.env.RECALL_WEBHOOK_SECRET && 'signature', ALLOW_QUERY_SECRET && 'query secret'].filter(Boolean).join(' + ') || 'NOT CONFIGURED'}`);
+  console.log(`🔐 Sign-in: password${oidcClient ? ` + SSO (${oidcClient.issuer})` : ''}`);
+  console.log(`🧠 LLM Provider: ${LLM_PROVIDER}${process.env.LLM_MODEL ? ` (${process.env.LLM_MODEL})` : ''}`);
   console.log(`📱 Integrations: ${INTEGRATION_MODES.join(', ')}`);
   if (INTEGRATION_MODES.includes('SLACK')) {
     console.log(`💬 Slack Channel: ${SLACK_CHANNEL_ID || 'NOT SET'}`);
   }
   if (INTEGRATION_MODES.includes('TEAMS')) {
-    console.log(`💬 Teams: Ready (once configured)`);
+    const destination = getTeamsDestination();
+    console.log(`💬 Teams Channel: ${destination ? `${destination.channelName || destination.channelId} (${destination.source})` : 'NOT SET'}`);
   }
   console.log('=================================');
-  console.log('⚠️  Update WEBHOOK_BASE_URL with ngrok URL');
-  console.log('⚠️  Set GEMINI_API_KEY in .env file');
+  if (!process.env.RECALL_API_BASE_URL) {
+    console.log('⚠️  Update WEBHOOK_BASE_URL with ngrok URL');
+  }
+  if (!process.env.RECALL_WEBHOOK_SECRET) {
+    console.log(`⚠️  Set RECALL_WEBHOOK_SECRET${ALLOW_QUERY_SECRET ? ' (query secret only for now)' : ' - webhooks are rejected until then'}`);
+  }
+  if (LLM_PROVIDER === 'gemini') {
+    console.log('⚠️  Set GEMINI_API_KEY in .env file');
+  } else if (LLM_PROVIDER === 'openai') {
+    console.log('⚠️  Set OPENAI_API_KEY (and OPENAI_BASE_URL for non-OpenAI endpoints)');
+  }
   if (INTEGRATION_MODES.includes('SLACK')) {
     console.log('⚠️  Set SLACK_BOT_TOKEN and SLACK_CHANNEL_ID');
   }
   if (INTEGRATION_MODES.includes('TEAMS')) {
-    console.log('⚠️  Teams integration coming soon!');
+    if (!teamsGraph) {
+      console.log('⚠️  Set TEAMS_ACCESS_TOKEN, or TEAMS_CLIENT_ID and TEAMS_REFRESH_TOKEN');
+    } else if (!getTeamsDestination()) {
+      console.log('⚠️  Pick a Teams channel on the dashboard, or set TEAMS_TEAM_ID and TEAMS_CHANNEL_ID');
+    }
   }
   console.log('=================================\n');
 });
@@ -0,0 +1,78 @@
+/**
+ * NIMO Live Nudges - Session Event Log
+ *
+ * Recent live events per session, so a dashboard that lost its stream can
+ * pick up where it left off:
+ *
+ *   log.append(botId, message) -> { id, message }
+ *   log.since(botId, lastEventId) -> [event] | null   (null: not in the buffer, send a snapshot)
+ *   log.lastId(botId)
+ *   log.drop(botId) / log.clear()
+ *
+ * Event ids increase by one per session event. They start from the time the
+ * server started (in ms), so an id from before a restart is always older than
+ * anything buffered and the client gets a snapshot instead of a wrong range.
+ */
+
+const DEFAULT_BUFFER_SIZE = 500;
+
+class SessionEventLog {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.bufferSize] - Events kept per session
+   * @param {number} [options.firstId] - Id of each session's first event
+   */
+  constructor({ bufferSize = DEFAULT_BUFFER_SIZE, firstId = Date.now() } = {}) {
+    this.bufferSize = bufferSize;
+    this.firstId = firstId;
+    this.sessions = new Map(); // botId -> { nextId, events }
+  }
+
+  // Reading doesn't create a log, so stopped calls don't hold on to one
+  getLog(botId) {
+    return this.sessions.get(botId) || { nextId: this.firstId, events: [] };
+  }
+
+  append(botId, message) {
+    if (!this.sessions.has(botId)) {
+      this.sessions.set(botId, this.getLog(botId));
+    }
+    const log = this.sessions.get(botId);
+    const event = { id: log.nextId++, message };
+    log.events.push(event);
+    if (log.events.length > this.bufferSize) {
+      log.events.shift();
+    }
+    return event;
+  }
+
+  lastId(botId) {
+    return this.getLog(botId).nextId - 1;
+  }
+
+  /**
+   * Events after lastEventId, or null when the buffer can't fill the gap
+   * (too old, from before a restart, or not an id this log handed out).
+   */
+  since(botId, lastEventId) {
+    const log = this.getLog(botId);
+    const last = Number(lastEventId);
+    const oldest = log.events.length > 0 ? log.events[0].id : log.nextId;
+    if (!Number.isInteger(last) || last < oldest - 1 || last >= log.nextId) {
+      return null;
+    }
+    return log.events.filter(event => event.id > last);
+  }
+
+  drop(botId) {
+    this.sessions.delete(botId);
+  }
+
+  clear() {
+    this.sessions.clear();
+  }
+}
+
+module.exports = {
+  SessionEventLog
+};
@@ -0,0 +1,125 @@
+/**
+ * NIMO Live Nudges - Session History
+ *
+ * Helpers for browsing past calls from the session store:
+ *
+ * - parseHistoryFilters  Query string -> filters (rep, platform, playbook,
+ *                        status, date range, nudge count range)
+ * - matchesHistoryFilters Applied to the store's session summaries
+ * - buildTimeline        Transcript and nudges (delivered, failed and
+ *                        suppressed) interleaved in time order
+ */
+
+const SESSION_STATUSES = ['active', 'ended'];
+
+function parseDate(value, endOfDay) {
+  // A bare date covers the whole day
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value;
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * @param {object} query - ?rep=&platform=&playbook=&status=&from=&to=&min_nudges=&max_nudges=
+ * @returns {{ filters: object, errors: string[] }}
+ */
+function parseHistoryFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  ['rep', 'platform', 'playbook'].forEach(key => {
+    if (typeof query[key] === 'string' && query[key].trim()) {
+      filters[key] = query[key].trim().toLowerCase();
+    }
+  });
+
+  if (query.status !== undefined) {
+    if (SESSION_STATUSES.includes(query.status)) {
+      filters.status = query.status;
+    } else {
+      errors.push(`status must be one of: ${SESSION_STATUSES.join(', ')}`);
+    }
+  }
+
+  [['from', false], ['to', true]].forEach(([key, endOfDay]) => {
+    if (query[key] === undefined) return;
+    const parsed = parseDate(query[key], endOfDay);
+    if (parsed === null) {
+      errors.push(`${key} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    } else {
+      filters[key] = parsed;
+    }
+  });
+
+  ['min_nudges', 'max_nudges'].forEach(key => {
+    if (query[key] === undefined) return;
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${key} must be a whole number >= 0`);
+    } else {
+      filters[key] = value;
+    }
+  });
+
+  return { filters, errors };
+}
+
+/**
+ * @param {object} summary - { rep, platform, playbook, status, createdAt, nudgeCount }
+ * @param {object} filters - From parseHistoryFilters()
+ */
+function matchesHistoryFilters(summary, filters) {
+  const createdAt = Date.parse(summary.createdAt);
+  return (!filters.rep || (summary.rep || '').toLowerCase().includes(filters.rep)) &&
+    (!filters.platform || summary.platform.toLowerCase().includes(filters.platform)) &&
+    (!filters.playbook || (summary.playbook || '').toLowerCase() === filters.playbook) &&
+    (!filters.status || summary.status === filters.status) &&
+    (filters.from === undefined || createdAt >= filters.from) &&
+    (filters.to === undefined || createdAt <= filters.to) &&
+    (filters.min_nudges === undefined || summary.nudgeCount >= filters.min_nudges) &&
+    (filters.max_nudges === undefined || summary.nudgeCount <= filters.max_nudges);
+}
+
+function nudgeEvent(nudge, status) {
+  return {
+    type: 'nudge',
+    at: nudge.timestamp,
+    status,
+    source: nudge.source || 'ai',
+    category: nudge.category,
+    category_label: nudge.categoryLabel || null,
+    severity: nudge.severity,
+    message: nudge.message,
+    transcript_excerpt: nudge.transcriptExcerpt || null,
+    reason: nudge.reason || null,
+    ...(status === 'suppressed' ? { rule: nudge.rule, detail: nudge.detail } : { platforms: nudge.platforms || {} })
+  };
+}
+
+/**
+ * Transcript and nudges of a stored session, in time order. Nudges land
+ * after the utterance that was spoken when they were sent.
+ * @param {object} record - From store.getSession()
+ */
+function buildTimeline(record) {
+  const events = [
+    ...record.utterances.map(u => ({
+      type: 'utterance',
+      at: new Date(u.timestamp).toISOString(),
+      role: u.role,
+      speaker: u.speaker,
+      is_host: u.isHost,
+      text: u.text
+    })),
+    ...record.nudges.map(nudge => nudgeEvent(nudge, nudge.status)),
+    ...(record.state?.governor?.suppressed || []).map(nudge => nudgeEvent(nudge, 'suppressed'))
+  ];
+  // Stable sort keeps utterances ahead of nudges sent in the same millisecond
+  return events.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+module.exports = {
+  parseHistoryFilters,
+  matchesHistoryFilters,
+  buildTimeline
+};
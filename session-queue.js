@@ -0,0 +1,194 @@
+/**
+ * NIMO Live Nudges - Per-Session Work Queue
+ *
+ * Serializes everything that touches a session's AI chat. Webhook deliveries
+ * only push utterances; a single worker per bot ingests them in transcript
+ * timestamp order and runs at most one AI analysis at a time.
+ *
+ * Backpressure: while an analysis is running, new utterances wait in the
+ * pending list. When the worker comes back they are ingested together and
+ * the flush policy is evaluated over the whole group, so a burst of
+ * webhooks becomes one coalesced batch instead of a pile of LLM requests.
+ * A trigger that arrives while an analysis is pending is merged into it
+ * (handlers.merge), so what it carries still reaches that analysis.
+ */
+
+class SessionWorkQueue {
+  /**
+   * @param {string} name - Label for logs (usually the bot id)
+   * @param {object} handlers
+   * @param {function} handlers.ingest - (utterance) => trigger | null
+   * @param {function} handlers.analyze - async (trigger) => void
+   * @param {function} [handlers.merge] - (pendingTrigger, trigger) => trigger; default keeps the pending one
+   * @param {object} [options]
+   * @param {number} [options.reorderWindowMs] - How long to wait for late deliveries before draining
+   */
+  constructor(name, handlers, options = {}) {
+    this.name = name;
+    this.ingest = handlers.ingest;
+    this.analyze = handlers.analyze;
+    this.merge = handlers.merge || (pending => pending);
+    this.reorderWindowMs = options.reorderWindowMs ?? 200;
+
+    this.pendingUtterances = [];
+    this.pendingAnalysis = null; // { trigger, promise, resolve }
+    this.running = false;
+    this.drainTimer = null;
+    this.idleWaiters = [];
+
+    this.lastIngestedTimestamp = 0;
+    this.stats = {
+      utterancesIngested: 0,
+      analysesRun: 0,
+      coalescedUtterances: 0,
+      outOfOrder: 0,
+      maxDepth: 0,
+      maxLagMs: 0,
+      lastLagMs: 0
+    };
+  }
+
+  /**
+   * Queue a final transcript utterance. `timestamp` is when it was spoken
+   * (ms since epoch); arrival time is recorded for lag reporting.
+   */
+  pushUtterance(utterance) {
+    this.pendingUtterances.push({ ...utterance, receivedAt: Date.now() });
+    this.stats.maxDepth = Math.max(this.stats.maxDepth, this.getDepth());
+    this.scheduleDrain(this.reorderWindowMs);
+  }
+
+  /**
+   * Queue an AI analysis. Requests made while one is already pending are
+   * merged into it and share its promise.
+   */
+  requestAnalysis(trigger) {
+    if (!this.pendingAnalysis) {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      this.pendingAnalysis = { trigger, promise, resolve };
+    } else {
+      this.pendingAnalysis.trigger = this.merge(this.pendingAnalysis.trigger, trigger);
+    }
+    this.stats.maxDepth = Math.max(this.stats.maxDepth, this.getDepth());
+    this.scheduleDrain(0);
+    return this.pendingAnalysis.promise;
+  }
+
+  // Resolves once nothing is pending or running
+  whenIdle() {
+    if (!this.running && !this.drainTimer && this.getDepth() === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  // Drain immediately, skipping the reorder window (used when a session ends)
+  async flush() {
+    this.scheduleDrain(0);
+    await this.whenIdle();
+  }
+
+  scheduleDrain(delayMs) {
+    if (this.running) return; // the worker loop picks new work up itself
+    if (this.drainTimer) {
+      if (delayMs > 0) return;
+      clearTimeout(this.drainTimer);
+    }
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null;
+      this.drain();
+    }, delayMs);
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.pendingUtterances.length > 0 || this.pendingAnalysis) {
+        if (this.pendingUtterances.length > 0) {
+          this.ingestPending();
+        }
+
+        if (this.pendingAnalysis) {
+          const { trigger, resolve } = this.pendingAnalysis;
+          this.pendingAnalysis = null;
+          try {
+            await this.analyze(trigger);
+            this.stats.analysesRun++;
+          } catch (error) {
+            console.error(`❌ [queue ${this.name}] Analysis failed:`, error.message);
+          }
+          resolve();
+        }
+      }
+    } finally {
+      this.running = false;
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  ingestPending() {
+    const batch = this.pendingUtterances.sort((a, b) => a.timestamp - b.timestamp);
+    this.pendingUtterances = [];
+
+    if (batch.length > 1) {
+      this.stats.coalescedUtterances += batch.length;
+      console.log(`🧺 [queue ${this.name}] Coalescing ${batch.length} pending utterances`);
+    }
+
+    let firstTrigger = null;
+    const now = Date.now();
+    for (const utterance of batch) {
+      if (utterance.timestamp < this.lastIngestedTimestamp) {
+        this.stats.outOfOrder++;
+      }
+      this.lastIngestedTimestamp = Math.max(this.lastIngestedTimestamp, utterance.timestamp);
+
+      const lag = now - utterance.receivedAt;
+      this.stats.lastLagMs = lag;
+      this.stats.maxLagMs = Math.max(this.stats.maxLagMs, lag);
+      this.stats.utterancesIngested++;
+
+      try {
+        const trigger = this.ingest(utterance);
+        if (trigger && !firstTrigger) firstTrigger = trigger;
+      } catch (error) {
+        console.error(`❌ [queue ${this.name}] Ingest failed:`, error.message);
+      }
+    }
+
+    if (firstTrigger && !this.pendingAnalysis) {
+      this.requestAnalysis(firstTrigger);
+    }
+  }
+
+  getDepth() {
+    return this.pendingUtterances.length + (this.pendingAnalysis ? 1 : 0);
+  }
+
+  getStatus() {
+    const oldest = this.pendingUtterances.reduce(
+      (min, u) => Math.min(min, u.receivedAt), Infinity
+    );
+    return {
+      depth: this.getDepth(),
+      pending_utterances: this.pendingUtterances.length,
+      analysis_pending: !!this.pendingAnalysis,
+      running: this.running,
+      current_lag_ms: oldest === Infinity ? 0 : Date.now() - oldest,
+      last_lag_ms: this.stats.lastLagMs,
+      max_lag_ms: this.stats.maxLagMs,
+      max_depth: this.stats.maxDepth,
+      utterances_ingested: this.stats.utterancesIngested,
+      analyses_run: this.stats.analysesRun,
+      coalesced_utterances: this.stats.coalescedUtterances,
+      out_of_order: this.stats.outOfOrder
+    };
+  }
+}
+
+module.exports = { SessionWorkQueue };
@@ -0,0 +1,382 @@
+/**
+ * NIMO Live Nudges - Session Store
+ *
+ * Keeps sessions out of process memory so a restart or redeploy doesn't lose
+ * live calls. server.js writes through a small store contract and rehydrates
+ * sessions from it on startup:
+ *
+ *   store.createSession({ botId, meetingUrl, phoneNumbers, options, createdAt, owner, status, joinAt, metadata })
+ *   store.updateSession(botId, { meetingUrl, joinAt, metadata })   scheduled sessions only
+ *   store.activateSession(botId) -> boolean  scheduled -> active, once (false if it wasn't scheduled)
+ *   store.appendUtterance(botId, { role, speaker, participantId, isHost, text, timestamp, words })
+ *   store.saveNudge(botId, nudge)           delivered or failed, with per-platform results
+ *   store.saveState(botId, state)           AIAgent snapshot (context, scorecard, thread ids...)
+ *   store.saveBotStatus(botId, botStatus)   Where the Recall bot is in the call (bot-lifecycle.js)
+ *   store.endSession(botId, endedAt)
+ *   store.getSession(botId) -> record | null
+ *   store.listSessions({ status }) -> [record]   (status: scheduled | active | ended)
+ *   store.listSessionSummaries() -> [summary]    newest first, without transcript
+ *   store.deleteSession(botId) / store.clear()
+ *
+ * record: { botId, meetingUrl, phoneNumbers, options, status, createdAt,
+ *           endedAt, owner, joinAt, metadata, botStatus, state, utterances, nudges }
+ * summary: { botId, meetingUrl, options, status, createdAt, endedAt, owner,
+ *            joinAt, metadata, botState, rep, utteranceCount, nudgeCount (delivered) }
+ * owner: { userId, team } of the account that started the bot, or null
+ * joinAt / metadata: when a scheduled bot joins, and what the meeting is
+ *   ({ title, attendees, organizer, rep, source, calendarUid }), null otherwise
+ *
+ * The contract is synchronous: writes happen on the webhook and delivery
+ * paths and the local stores answer immediately.
+ *
+ * Stores:
+ * - sqlite  better-sqlite3 file database (default)
+ * - memory  Nothing survives a restart (local development)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS sessions (
+  bot_id TEXT PRIMARY KEY,
+  meeting_url TEXT NOT NULL,
+  phone_numbers TEXT NOT NULL,
+  options TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  ended_at TEXT,
+  owner_id TEXT,
+  owner_team TEXT,
+  join_at TEXT,
+  metadata TEXT,
+  bot_status TEXT,
+  state TEXT
+);
+CREATE TABLE IF NOT EXISTS utterances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT NOT NULL REFERENCES sessions(bot_id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  speaker TEXT,
+  participant_id TEXT,
+  is_host INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  spoken_at INTEGER NOT NULL,
+  words TEXT
+);
+CREATE INDEX IF NOT EXISTS utterances_bot ON utterances(bot_id, id);
+CREATE TABLE IF NOT EXISTS nudges (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bot_id TEXT NOT NULL REFERENCES sessions(bot_id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS nudges_bot ON nudges(bot_id, id);
+`;
+
+// ============================================
+// SQLite Store
+// ============================================
+class SqliteSessionStore {
+  constructor(options = {}) {
+    // Loaded here so the memory store works without the native module
+    const Database = require('better-sqlite3');
+    this.name = 'sqlite';
+    this.path = options.path;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      insertSession: this.db.prepare(`INSERT INTO sessions (bot_id, meeting_url, phone_numbers, options, status, created_at, owner_id, owner_team, join_at, metadata)
+        VALUES (@botId, @meetingUrl, @phoneNumbers, @options, @status, @createdAt, @ownerId, @ownerTeam, @joinAt, @metadata)`),
+      updateScheduled: this.db.prepare(`UPDATE sessions SET meeting_url = @meetingUrl, join_at = @joinAt, metadata = @metadata
+        WHERE bot_id = @botId AND status = 'scheduled'`),
+      activateSession: this.db.prepare("UPDATE sessions SET status = 'active' WHERE bot_id = ? AND status = 'scheduled'"),
+      insertUtterance: this.db.prepare(`INSERT INTO utterances (bot_id, role, speaker, participant_id, is_host, text, spoken_at, words)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+      insertNudge: this.db.prepare('INSERT INTO nudges (bot_id, status, data, created_at) VALUES (?, ?, ?, ?)'),
+      updateState: this.db.prepare('UPDATE sessions SET state = ? WHERE bot_id = ?'),
+      updateBotStatus: this.db.prepare('UPDATE sessions SET bot_status = ? WHERE bot_id = ?'),
+      endSession: this.db.prepare("UPDATE sessions SET status = 'ended', ended_at = ? WHERE bot_id = ?"),
+      getSession: this.db.prepare('SELECT * FROM sessions WHERE bot_id = ?'),
+      listSessions: this.db.prepare('SELECT * FROM sessions WHERE status = ? ORDER BY created_at'),
+      listAllSessions: this.db.prepare('SELECT * FROM sessions ORDER BY created_at'),
+      listSummaries: this.db.prepare(`SELECT bot_id, meeting_url, options, status, created_at, ended_at, owner_id, owner_team, join_at, metadata,
+          json_extract(bot_status, '$.state') AS bot_state,
+          json_extract(state, '$.interviewerName') AS rep,
+          (SELECT COUNT(*) FROM utterances WHERE utterances.bot_id = sessions.bot_id) AS utterance_count,
+          (SELECT COUNT(*) FROM nudges WHERE nudges.bot_id = sessions.bot_id AND nudges.status = 'delivered') AS nudge_count
+        FROM sessions ORDER BY created_at DESC`),
+      utterances: this.db.prepare('SELECT * FROM utterances WHERE bot_id = ? ORDER BY id'),
+      nudges: this.db.prepare('SELECT * FROM nudges WHERE bot_id = ? ORDER BY id'),
+      deleteSession: this.db.prepare('DELETE FROM sessions WHERE bot_id = ?')
+    };
+    this.replaceSession = this.db.transaction(session => {
+      this.statements.deleteSession.run(session.botId);
+      this.statements.insertSession.run(session);
+    });
+  }
+
+  // A new bot with a known id replaces the old record (and its transcript and nudges)
+  createSession({ botId, meetingUrl, phoneNumbers, options, createdAt, owner, status = 'active', joinAt, metadata }) {
+    this.replaceSession({
+      botId,
+      meetingUrl,
+      phoneNumbers: JSON.stringify(phoneNumbers || []),
+      options: JSON.stringify(options || {}),
+      status,
+      createdAt,
+      ownerId: owner ? owner.userId : null,
+      ownerTeam: owner ? owner.team || null : null,
+      joinAt: joinAt || null,
+      metadata: metadata ? JSON.stringify(metadata) : null
+    });
+  }
+
+  updateSession(botId, { meetingUrl, joinAt, metadata }) {
+    const record = this.getSession(botId);
+    if (!record || record.status !== 'scheduled') return;
+    this.statements.updateScheduled.run({
+      botId,
+      meetingUrl: meetingUrl || record.meetingUrl,
+      joinAt: joinAt || record.joinAt,
+      metadata: JSON.stringify(metadata || record.metadata)
+    });
+  }
+
+  activateSession(botId) {
+    return this.statements.activateSession.run(botId).changes > 0;
+  }
+
+  appendUtterance(botId, { role, speaker, participantId, isHost, text, timestamp, words }) {
+    this.statements.insertUtterance.run(
+      botId, role, speaker, participantId === undefined || participantId === null ? null : String(participantId),
+      isHost ? 1 : 0, text, timestamp, words ? JSON.stringify(words) : null
+    );
+  }
+
+  saveNudge(botId, nudge) {
+    this.statements.insertNudge.run(botId, nudge.status, JSON.stringify(nudge), nudge.timestamp || new Date().toISOString());
+  }
+
+  saveState(botId, state) {
+    this.statements.updateState.run(JSON.stringify(state), botId);
+  }
+
+  saveBotStatus(botId, botStatus) {
+    this.statements.updateBotStatus.run(JSON.stringify(botStatus), botId);
+  }
+
+  endSession(botId, endedAt) {
+    this.statements.endSession.run(endedAt, botId);
+  }
+
+  getSession(botId) {
+    const row = this.statements.getSession.get(botId);
+    return row ? this.toRecord(row) : null;
+  }
+
+  listSessions({ status } = {}) {
+    const rows = status ? this.statements.listSessions.all(status) : this.statements.listAllSessions.all();
+    return rows.map(row => this.toRecord(row));
+  }
+
+  listSessionSummaries() {
+    return this.statements.listSummaries.all().map(row => ({
+      botId: row.bot_id,
+      meetingUrl: row.meeting_url,
+      options: JSON.parse(row.options),
+      status: row.status,
+      createdAt: row.created_at,
+      endedAt: row.ended_at,
+      owner: this.toOwner(row),
+      joinAt: row.join_at,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      botState: row.bot_state,
+      rep: row.rep,
+      utteranceCount: row.utterance_count,
+      nudgeCount: row.nudge_count
+    }));
+  }
+
+  deleteSession(botId) {
+    return this.statements.deleteSession.run(botId).changes > 0;
+  }
+
+  clear() {
+    this.db.exec('DELETE FROM nudges; DELETE FROM utterances; DELETE FROM sessions;');
+  }
+
+  toRecord(row) {
+    return {
+      botId: row.bot_id,
+      meetingUrl: row.meeting_url,
+      phoneNumbers: JSON.parse(row.phone_numbers),
+      options: JSON.parse(row.options),
+      status: row.status,
+      createdAt: row.created_at,
+      endedAt: row.ended_at,
+      owner: this.toOwner(row),
+      joinAt: row.join_at,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      botStatus: row.bot_status ? JSON.parse(row.bot_status) : null,
+      state: row.state ? JSON.parse(row.state) : null,
+      utterances: this.statements.utterances.all(row.bot_id).map(u => ({
+        role: u.role,
+        speaker: u.speaker,
+        participantId: u.participant_id,
+        isHost: u.is_host === 1,
+        text: u.text,
+        timestamp: u.spoken_at,
+        words: u.words ? JSON.parse(u.words) : null
+      })),
+      nudges: this.statements.nudges.all(row.bot_id).map(n => JSON.parse(n.data))
+    };
+  }
+
+  toOwner(row) {
+    return row.owner_id ? { userId: row.owner_id, team: row.owner_team } : null;
+  }
+}
+
+// ============================================
+// Memory Store
+// ============================================
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  createSession({ botId, meetingUrl, phoneNumbers, options, createdAt, owner, status = 'active', joinAt, metadata }) {
+    this.sessions.delete(botId);
+    this.sessions.set(botId, {
+      botId,
+      meetingUrl,
+      phoneNumbers: phoneNumbers || [],
+      options: options || {},
+      status,
+      createdAt,
+      endedAt: null,
+      owner: owner ? { userId: owner.userId, team: owner.team || null } : null,
+      joinAt: joinAt || null,
+      metadata: metadata ? JSON.parse(JSON.stringify(metadata)) : null,
+      botStatus: null,
+      state: null,
+      utterances: [],
+      nudges: []
+    });
+  }
+
+  updateSession(botId, { meetingUrl, joinAt, metadata }) {
+    const record = this.sessions.get(botId);
+    if (!record || record.status !== 'scheduled') return;
+    if (meetingUrl) record.meetingUrl = meetingUrl;
+    if (joinAt) record.joinAt = joinAt;
+    if (metadata) record.metadata = JSON.parse(JSON.stringify(metadata));
+  }
+
+  activateSession(botId) {
+    const record = this.sessions.get(botId);
+    if (!record || record.status !== 'scheduled') return false;
+    record.status = 'active';
+    return true;
+  }
+
+  appendUtterance(botId, utterance) {
+    const record = this.sessions.get(botId);
+    if (record) record.utterances.push({ ...utterance });
+  }
+
+  saveNudge(botId, nudge) {
+    const record = this.sessions.get(botId);
+    if (record) record.nudges.push({ ...nudge });
+  }
+
+  saveState(botId, state) {
+    const record = this.sessions.get(botId);
+    if (record) record.state = JSON.parse(JSON.stringify(state));
+  }
+
+  saveBotStatus(botId, botStatus) {
+    const record = this.sessions.get(botId);
+    if (record) record.botStatus = JSON.parse(JSON.stringify(botStatus));
+  }
+
+  endSession(botId, endedAt) {
+    const record = this.sessions.get(botId);
+    if (record) {
+      record.status = 'ended';
+      record.endedAt = endedAt;
+    }
+  }
+
+  getSession(botId) {
+    return this.sessions.get(botId) || null;
+  }
+
+  listSessions({ status } = {}) {
+    return [...this.sessions.values()].filter(record => !status || record.status === status);
+  }
+
+  listSessionSummaries() {
+    return [...this.sessions.values()]
+      .map(({ botId, meetingUrl, options, status, createdAt, endedAt, owner, joinAt, metadata, botStatus, state, utterances, nudges }) => ({
+        botId,
+        meetingUrl,
+        options,
+        status,
+        createdAt,
+        endedAt,
+        owner,
+        joinAt,
+        metadata,
+        botState: botStatus ? botStatus.state : null,
+        rep: state ? state.interviewerName : null,
+        utteranceCount: utterances.length,
+        nudgeCount: nudges.filter(nudge => nudge.status === 'delivered').length
+      }))
+      .reverse();
+  }
+
+  deleteSession(botId) {
+    return this.sessions.delete(botId);
+  }
+
+  clear() {
+    this.sessions.clear();
+  }
+}
+
+const STORES = {
+  sqlite: SqliteSessionStore,
+  memory: MemorySessionStore
+};
+
+/**
+ * Create a session store.
+ * @param {string} [name] - sqlite | memory (defaults to SESSION_STORE or sqlite)
+ * @param {object} [options]
+ * @param {string} [options.path] - SQLite database file (defaults to SESSION_DB_PATH or data/nimo.db)
+ */
+function createSessionStore(name, options = {}) {
+  const storeName = (name || process.env.SESSION_STORE || 'sqlite').toLowerCase();
+  const Store = STORES[storeName];
+  if (!Store) {
+    throw new Error(`Unknown session store "${storeName}". Available: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store({
+    ...options,
+    path: options.path || process.env.SESSION_DB_PATH || path.join(__dirname, 'data', 'nimo.db')
+  });
+}
+
+module.exports = {
+  createSessionStore,
+  SqliteSessionStore,
+  MemorySessionStore
+};
@@ -1,6 +1,9 @@
 /**
  * NIMO Live Nudges - Microsoft Teams CHANNEL Integration Prototype
  * 
+ * (The server's TEAMS integration lives in teams-channel.js; this file is the
+ * original walkthrough.)
+ * 
  * This is the BETTER approach - similar to Slack!
  * 
  * How it works:
@@ -24,6 +27,7 @@
 
 const { Client } = require('@microsoft/microsoft-graph-client');
 require('isomorphic-fetch'); // Required for Graph client
+const { formatCategory } = require('./nudge-taxonomy');
 
 /**
  * TeamsChannelManager - Manages threaded messages in Teams channels
@@ -107,7 +111,7 @@ class TeamsChannelManager {
 
     try {
       this.nudgeCount++;
-      const { reason, message, timestamp, batchNumber, messagesAnalyzed } = coachingData;
+      const { reason, category, severity, transcriptExcerpt, message, timestamp, batchNumber, messagesAnalyzed } = coachingData;
 
       console.log(`📤 Sending coaching nudge #${this.nudgeCount} to Teams channel...`);
 
@@ -117,8 +121,10 @@ class TeamsChannelManager {
           contentType: 'html',
           content: `
             <h3>💡 Nudge #${this.nudgeCount} <small>(${timestamp})</small></h3>
-            <p><strong>Opportunity:</strong> ${reason}<br/>
+            <p><strong>Category:</strong> ${formatCategory(category, severity)}<br/>
+            <strong>Opportunity:</strong> ${reason}<br/>
             <strong>Batch:</strong> #${batchNumber} (${messagesAnalyzed} messages analyzed)</p>
+            ${transcriptExcerpt ? `<blockquote>${transcriptExcerpt}</blockquote>` : ''}
             <div style="background: #f0f8ff; padding: 10px; border-left: 4px solid #667eea; margin-top: 10px;">
               <strong>Coaching:</strong><br/>
               ${message}
@@ -339,6 +345,9 @@ async function onCoachingMessage(sessionData, coachingMessage) {
     // Send to Teams channel
     await sessionData.teamsChannel.sendCoachingReply({
       reason: coachingMessage.reason,
+      category: coachingMessage.category,
+      severity: coachingMessage.severity,
+      transcriptExcerpt: coachingMessage.transcriptExcerpt,
       message: coachingMessage.message,
       timestamp: new Date().toLocaleTimeString(),
       batchNumber: coachingMessage.batchNumber,
@@ -348,10 +357,10 @@ async function onCoachingMessage(sessionData, coachingMessage) {
     console.log(`💡 Coaching sent to Teams channel for session: ${sessionData.id}`);
   } else if (sessionData.slackThread && sessionData.slackThread.threadTs) {
     // Fallback to Slack
-    await sessionData.slackThread.sendCoachingReply({ ... });
+    await sessionData.slackThread.sendCoachingReply({ ...coachingMessage, timestamp: new Date().toLocaleTimeString() });
   } else {
     // Zoom DM
-    await sendPrivateChatMessage(sessionData.botId, sessionData.hostId, message);
+    await sendPrivateChatMessage(sessionData.botId, sessionData.hostId, coachingMessage.message);
   }
 }
 
@@ -406,6 +415,9 @@ async function runDemo() {
     console.log('Step 2: Sending first coaching nudge...');
     await teamsChannel.sendCoachingReply({
       reason: 'Missing budget qualification',
+      category: 'bant_budget',
+      severity: 'medium',
+      transcriptExcerpt: 'that pricing worries me',
       message: 'They mentioned pricing concerns but you haven\'t explored their budget yet. Ask: "What budget have you allocated for solving this problem?" This is critical for qualifying the opportunity.',
       timestamp: new Date().toLocaleTimeString(),
       batchNumber: 2,
@@ -420,6 +432,9 @@ async function runDemo() {
     console.log('Step 3: Sending second coaching nudge...');
     await teamsChannel.sendCoachingReply({
       reason: 'Buying signal detected',
+      category: 'buying_signal',
+      severity: 'high',
+      transcriptExcerpt: 'How quickly can we get started?',
       message: 'They asked "How quickly can we get started?" - that\'s a strong buying signal! Confirm their timeline and map the approval process. Ask: "When would you ideally want to go live? And who needs to sign off?"',
       timestamp: new Date().toLocaleTimeString(),
       batchNumber: 3,
@@ -434,6 +449,9 @@ async function runDemo() {
     console.log('Step 4: Sending third coaching nudge...');
     await teamsChannel.sendCoachingReply({
       reason: 'Authority unclear',
+      category: 'bant_authority',
+      severity: 'medium',
+      transcriptExcerpt: 'I need to run it by my VP',
       message: 'They mentioned needing VP approval. You need to understand the decision process. Ask: "Walk me through how decisions like this typically get made at your company? What concerns will your VP have?" This helps you get ahead of objections.',
       timestamp: new Date().toLocaleTimeString(),
       batchNumber: 4,
@@ -0,0 +1,394 @@
+/**
+ * NIMO Live Nudges - Microsoft Teams Channel
+ *
+ * Each session gets a thread in a Teams channel, like the Slack integration:
+ * a parent message when the rep joins, every nudge, the call report and the
+ * follow-up draft as replies, and a summary reply when the call ends.
+ *
+ * Messages go through Microsoft Graph with a delegated token (Graph does not
+ * let apps post channel messages on their own):
+ * - TEAMS_ACCESS_TOKEN: a token to use as is (fine for a quick test, expires in about an hour)
+ * - TEAMS_CLIENT_ID, TEAMS_CLIENT_SECRET, TEAMS_TENANT_ID and TEAMS_REFRESH_TOKEN:
+ *   access tokens are refreshed as needed (Microsoft rotates the refresh token,
+ *   the newest one is kept in memory)
+ *
+ * GRAPH_API_BASE_URL and TEAMS_AUTHORITY_URL point Graph and token requests
+ * elsewhere, such as the local stand-in (graph-simulator.js).
+ */
+
+const { formatCategory } = require('./nudge-taxonomy');
+
+const DEFAULT_GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+const DEFAULT_AUTHORITY_URL = 'https://login.microsoftonline.com';
+const GRAPH_SCOPES = ['ChannelMessage.Send', 'Channel.ReadBasic.All', 'Team.ReadBasic.All']
+  .map(scope => `https://graph.microsoft.com/${scope}`)
+  .concat('offline_access')
+  .join(' ');
+const REQUEST_TIMEOUT_MS = 15000;
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Teams takes up to about 28 KB of HTML per message (the follow-up body is the only long part)
+const MAX_MESSAGE_LENGTH = 28000;
+
+// Transcript text and model output end up in HTML messages
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class GraphTokenProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.accessToken] - Used as is when there is nothing to refresh it with
+   * @param {string} [options.clientId]
+   * @param {string} [options.clientSecret]
+   * @param {string} [options.tenantId] - Directory (tenant) id, default 'common'
+   * @param {string} [options.refreshToken]
+   * @param {string} [options.authorityUrl] - Token endpoint host
+   */
+  constructor({ accessToken = null, clientId, clientSecret, tenantId = 'common', refreshToken, authorityUrl = DEFAULT_AUTHORITY_URL }) {
+    this.accessToken = accessToken;
+    this.expiresAt = 0;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.tenantId = tenantId;
+    this.refreshToken = refreshToken;
+    this.authorityUrl = authorityUrl.replace(/\/+$/, '');
+    this.refreshing = null;
+  }
+
+  get canRefresh() {
+    return Boolean(this.clientId && this.refreshToken);
+  }
+
+  // Graph turned the token down: get a new one on the next request
+  expire() {
+    if (this.canRefresh) this.accessToken = null;
+  }
+
+  async getToken() {
+    if (this.accessToken && (!this.canRefresh || Date.now() < this.expiresAt - TOKEN_EXPIRY_MARGIN_MS)) {
+      return this.accessToken;
+    }
+    if (!this.canRefresh) {
+      throw new Error('No Microsoft Graph access token');
+    }
+    // Requests that need a token at the same time share one refresh
+    if (!this.refreshing) {
+      this.refreshing = this.refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async refresh() {
+    const response = await fetch(`${this.authorityUrl}/${this.tenantId}/oauth2/v2.0/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        ...(this.clientSecret ? { client_secret: this.clientSecret } : {}),
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken,
+        scope: GRAPH_SCOPES
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(`Microsoft token refresh failed: ${data.error_description || data.error || response.status}`);
+    }
+    this.accessToken = data.access_token;
+    this.expiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000;
+    if (data.refresh_token) this.refreshToken = data.refresh_token;
+    console.log('🔑 Microsoft Graph access token refreshed');
+    return this.accessToken;
+  }
+}
+
+class GraphClient {
+  /**
+   * @param {object} options
+   * @param {GraphTokenProvider} options.tokens
+   * @param {string} [options.baseUrl] - Graph API root including the version
+   */
+  constructor({ tokens, baseUrl = DEFAULT_GRAPH_URL }) {
+    this.tokens = tokens;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async request(method, route, body) {
+    const send = async () => fetch(`${this.baseUrl}${route}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${await this.tokens.getToken()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    let response = await send();
+    if (response.status === 401 && this.tokens.canRefresh) {
+      this.tokens.expire();
+      response = await send();
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(`Graph ${method} ${route} failed (${response.status}): ${data?.error?.message || response.statusText}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  get(route) {
+    return this.request('GET', route);
+  }
+
+  post(route, body) {
+    return this.request('POST', route, body);
+  }
+
+  // Teams the signed-in account is a member of, each with its channels (for picking where threads go)
+  async listTeamsWithChannels() {
+    const teams = await this.get('/me/joinedTeams');
+    return Promise.all((teams.value || []).map(async team => {
+      const channels = await this.get(`/teams/${encodeURIComponent(team.id)}/channels`);
+      return {
+        id: team.id,
+        name: team.displayName,
+        channels: (channels.value || []).map(channel => ({ id: channel.id, name: channel.displayName }))
+      };
+    }));
+  }
+}
+
+/**
+ * Threaded messages in one Teams channel for one session (Teams' counterpart
+ * of SlackThreadManager).
+ */
+class TeamsChannelManager {
+  /**
+   * @param {GraphClient} graph
+   * @param {string} teamId
+   * @param {string} channelId
+   */
+  constructor(graph, teamId, channelId) {
+    this.graph = graph;
+    this.teamId = teamId;
+    this.channelId = channelId;
+    this.parentMessageId = null; // Like Slack's thread_ts
+    this.nudgeCount = 0;
+    this.sessionStartTime = null;
+    this.meetingTitle = null;
+  }
+
+  get messagesRoute() {
+    return `/teams/${encodeURIComponent(this.teamId)}/channels/${encodeURIComponent(this.channelId)}/messages`;
+  }
+
+  reply(content) {
+    return this.graph.post(`${this.messagesRoute}/${encodeURIComponent(this.parentMessageId)}/replies`, {
+      body: { contentType: 'html', content }
+    });
+  }
+
+  async startSessionThread(sessionInfo) {
+    try {
+      const { memberName, meetingTitle, platform, botType, startTime } = sessionInfo;
+      this.sessionStartTime = Date.now();
+      this.nudgeCount = 0;
+      this.meetingTitle = meetingTitle;
+
+      console.log('📤 Creating Teams channel thread for new session...');
+
+      const response = await this.graph.post(this.messagesRoute, {
+        body: {
+          contentType: 'html',
+          content: `<h2>🎯 ${escapeHtml(meetingTitle)}</h2>
+<p><strong>Member:</strong> ${escapeHtml(memberName)}<br/>
+<strong>Platform:</strong> ${escapeHtml(platform)}<br/>
+<strong>Bot Type:</strong> ${escapeHtml(botType)}<br/>
+<strong>Started:</strong> ${escapeHtml(startTime)}</p>
+<p><em>💬 Live coaching messages will appear as replies below</em></p>`
+        }
+      });
+
+      this.parentMessageId = response.id;
+      console.log(`✅ Teams channel thread created! Message ID: ${this.parentMessageId}`);
+      return this.parentMessageId;
+
+    } catch (error) {
+      console.error('❌ Error creating Teams channel thread:', error.message);
+      if (error.statusCode === 401) {
+        console.error('⚠️  Microsoft Graph refused the token - check TEAMS_ACCESS_TOKEN or TEAMS_REFRESH_TOKEN');
+      }
+      throw error;
+    }
+  }
+
+  async sendCoachingReply(coachingData) {
+    if (!this.parentMessageId) {
+      console.error('⚠️ No active Teams thread');
+      return false;
+    }
+
+    try {
+      this.nudgeCount++;
+      const { timestamp, reason, category, severity, transcriptExcerpt, message, batchNumber, messagesAnalyzed, trigger } = coachingData;
+
+      console.log(`📤 Sending coaching nudge #${this.nudgeCount} to Teams channel...`);
+
+      await this.reply(`<h3>💡 Nudge #${this.nudgeCount} <small>(${escapeHtml(timestamp)})</small></h3>
+<p><strong>Category:</strong> ${escapeHtml(formatCategory(category, severity))}<br/>
+${reason ? `<strong>Reason:</strong> ${escapeHtml(reason)}<br/>` : ''}
+<strong>Batch:</strong> ${batchNumber ? `#${batchNumber} (${messagesAnalyzed} messages analyzed)` : 'Live rule'}${trigger ? ` · trigger: ${escapeHtml(trigger)}` : ''}</p>
+${transcriptExcerpt ? `<blockquote>${escapeHtml(transcriptExcerpt)}</blockquote>` : ''}
+<p><strong>Coaching:</strong><br/>${escapeHtml(message)}</p>`);
+
+      console.log(`✅ Coaching nudge #${this.nudgeCount} sent to Teams!`);
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error sending Teams coaching reply:', error.message);
+      return false;
+    }
+  }
+
+  async endSessionThread() {
+    if (!this.parentMessageId) {
+      console.error('⚠️ No active Teams thread to end');
+      return false;
+    }
+
+    try {
+      const duration = Math.round((Date.now() - this.sessionStartTime) / 60000);
+      const endTime = new Date().toLocaleTimeString();
+
+      console.log('📤 Ending Teams session thread with summary...');
+
+      await this.reply(`<h3>✅ Session Ended</h3>
+<p>${this.meetingTitle ? `<strong>Meeting:</strong> ${escapeHtml(this.meetingTitle)}<br/>` : ''}
+<strong>Duration:</strong> ${duration} minutes<br/>
+<strong>Ended:</strong> ${escapeHtml(endTime)}<br/>
+<strong>Total Nudges:</strong> ${this.nudgeCount}</p>
+<p><em>📝 Review the thread above for all coaching insights</em></p>`);
+
+      console.log('✅ Teams session thread ended!');
+      this.parentMessageId = null;
+      this.nudgeCount = 0;
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error ending Teams thread:', error.message);
+      return false;
+    }
+  }
+
+  async sendCallReport(report) {
+    if (!this.parentMessageId) {
+      console.error('⚠️ No active Teams thread for the call report');
+      return false;
+    }
+
+    try {
+      const list = items => items.length > 0
+        ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p><em>None</em></p>';
+      const bant = Object.entries(report.bant)
+        .map(([element, entry]) => `<strong>${escapeHtml(element)}:</strong> ${escapeHtml(entry.status)}${entry.evidence ? ` - <em>"${escapeHtml(entry.evidence)}"</em>` : ''}`)
+        .join('<br/>');
+      const ratings = ['discovery', 'qualification', 'objection_handling', 'value_connection', 'next_steps']
+        .filter(key => report.rep_scorecard[key])
+        .map(key => `${key.replace(/_/g, ' ')}: ${report.rep_scorecard[key]}/5`)
+        .join(' | ');
+      const objections = report.objections.map(o => `${o.objection}${o.handling ? ` -> ${o.handling}` : ''}${o.handled === false ? ' (not handled)' : ''}`);
+      const nextSteps = report.next_steps.map(step => `${step.action}${step.owner ? ` (${step.owner}${step.due ? `, ${step.due}` : ''})` : ''}`);
+
+      console.log('📤 Posting call report to Teams channel...');
+
+      await this.reply(`<h3>📋 Call Report${report.rep_scorecard.overall ? ` <small>(overall ${report.rep_scorecard.overall}/5)</small>` : ''}</h3>
+<p>${escapeHtml(report.summary)}</p>
+<p><strong>Pain Points</strong></p>${list(report.pain_points)}
+<p><strong>BANT</strong><br/>${bant}</p>
+<p><strong>Objections</strong></p>${list(objections)}
+<p><strong>Next Steps</strong></p>${list(nextSteps)}
+<p><strong>Rep Scorecard</strong>${ratings ? `<br/>${escapeHtml(ratings)}` : ''}</p>
+<p><strong>Strengths</strong></p>${list(report.rep_scorecard.strengths)}
+<p><strong>Improve</strong></p>${list(report.rep_scorecard.improvements)}
+<p><em>🗣️ Talk ratio rep ${report.metrics.talk_ratio.rep}% / prospect ${report.metrics.talk_ratio.prospect}% | 💡 ${report.metrics.nudges_sent} nudges</em></p>`);
+
+      console.log('✅ Call report posted to Teams!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error posting Teams call report:', error.message);
+      return false;
+    }
+  }
+
+  async sendFollowUpDraft(draft) {
+    if (!this.parentMessageId) {
+      console.error('⚠️ No active Teams thread for the follow-up draft');
+      return false;
+    }
+
+    try {
+      console.log('📤 Posting follow-up email draft to Teams channel...');
+
+      await this.reply(`<h3>✉️ Follow-Up Email Draft</h3>
+<p><strong>Subject:</strong> ${escapeHtml(draft.subject)}</p>
+<pre>${escapeHtml(draft.body.slice(0, MAX_MESSAGE_LENGTH - 2000))}</pre>`);
+
+      console.log('✅ Follow-up draft posted to Teams!');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error posting Teams follow-up draft:', error.message);
+      return false;
+    }
+  }
+
+  // What a restored session needs to keep replying in the same thread
+  getThreadInfo() {
+    return {
+      teamId: this.teamId,
+      channelId: this.channelId,
+      parentMessageId: this.parentMessageId,
+      nudgeCount: this.nudgeCount,
+      sessionStartTime: this.sessionStartTime,
+      meetingTitle: this.meetingTitle
+    };
+  }
+}
+
+/**
+ * Graph client from the environment, or null when Teams has no credentials.
+ */
+function createGraphClient(env = process.env) {
+  if (env.TEAMS_REFRESH_TOKEN && !env.TEAMS_CLIENT_ID) {
+    throw new Error('TEAMS_REFRESH_TOKEN is set but TEAMS_CLIENT_ID is missing');
+  }
+  const tokens = new GraphTokenProvider({
+    accessToken: env.TEAMS_ACCESS_TOKEN || null,
+    clientId: env.TEAMS_CLIENT_ID,
+    clientSecret: env.TEAMS_CLIENT_SECRET,
+    tenantId: env.TEAMS_TENANT_ID || undefined,
+    refreshToken: env.TEAMS_REFRESH_TOKEN,
+    authorityUrl: env.TEAMS_AUTHORITY_URL || undefined
+  });
+  if (!tokens.accessToken && !tokens.canRefresh) return null;
+  return new GraphClient({ tokens, baseUrl: env.GRAPH_API_BASE_URL || undefined });
+}
+
+module.exports = {
+  GraphClient,
+  GraphTokenProvider,
+  TeamsChannelManager,
+  createGraphClient,
+  escapeHtml,
+  MAX_MESSAGE_LENGTH
+};
@@ -0,0 +1,55 @@
+/**
+ * NIMO Live Nudges - Tool Registry
+ *
+ * Maps LLM function declarations to server-side handlers. AIAgent hands
+ * every function call the model returns to dispatch(), and the result is
+ * fed back to the chat as a function response so the model knows what
+ * actually happened (delivered, skipped, failed).
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * @param {object} declaration - Function declaration sent to the LLM ({ name, description, parameters })
+   * @param {function} handler - async (args, context) => result object
+   */
+  register(declaration, handler) {
+    if (this.tools.has(declaration.name)) {
+      throw new Error(`Tool "${declaration.name}" is already registered`);
+    }
+    this.tools.set(declaration.name, { declaration, handler });
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  getDeclarations() {
+    return [...this.tools.values()].map(tool => tool.declaration);
+  }
+
+  /**
+   * Run the handler for one function call. Never throws: unknown tools and
+   * handler errors come back as { error } so they can be reported to the model.
+   */
+  async dispatch(call, context = {}) {
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      console.error(`⚠️  Model called unknown tool: ${call.name}`);
+      return { id: call.id, name: call.name, response: { error: `Unknown tool "${call.name}"` } };
+    }
+
+    try {
+      const result = await tool.handler(call.args || {}, context);
+      return { id: call.id, name: call.name, response: result || { ok: true } };
+    } catch (error) {
+      console.error(`❌ Tool ${call.name} failed:`, error.message);
+      return { id: call.id, name: call.name, response: { error: error.message } };
+    }
+  }
+}
+
+module.exports = { ToolRegistry };
@@ -0,0 +1,226 @@
+/**
+ * NIMO Live Nudges - Transcript Export
+ *
+ * Renders a stored session's transcript as SRT, WebVTT, JSON, Markdown or
+ * plain text, optionally with the coaching nudges as annotations.
+ *
+ * Times are seconds from the start of the recording. They come from the
+ * Recall word timestamps stored with each utterance (relative to the
+ * recording), so exports line up with the meeting recording rather than
+ * with when the webhooks arrived. Utterances stored without word timing fall
+ * back to their spoken-at time.
+ */
+
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Subtitle cues are split so no single caption stays on screen too long
+const MAX_CUE_WORDS = 14;
+const MAX_CUE_SECONDS = 6;
+const NUDGE_CUE_SECONDS = 4;
+const SECONDS_PER_WORD = 0.4; // Duration estimate when Recall sent no word timing
+
+const toMillis = seconds => Math.round(seconds * 1000) / 1000;
+
+function timedWords(utterance) {
+  const words = Array.isArray(utterance.words) ? utterance.words : [];
+  return words.every(word => typeof word.start === 'number' && typeof word.end === 'number') && words.length > 0
+    ? words
+    : null;
+}
+
+/**
+ * Place the transcript and nudges on the recording's clock.
+ * @param {object} record - From store.getSession()
+ * @param {object} [options]
+ * @param {boolean} [options.includeNudges]
+ * @returns {{ utterances: Array, nudges: Array }}
+ */
+function buildExportTimeline(record, { includeNudges = false } = {}) {
+  // Recording time 0 in wall-clock seconds, from the first utterance with both clocks
+  const anchor = record.utterances.find(u => timedWords(u) && u.timestamp);
+  const firstSpokenAt = record.utterances.length > 0 ? record.utterances[0].timestamp / 1000 : 0;
+  const recordingStart = anchor ? anchor.timestamp / 1000 - timedWords(anchor)[0].start : firstSpokenAt;
+  const toRecordingTime = epochMs => Math.max(0, epochMs / 1000 - recordingStart);
+
+  const utterances = record.utterances.map(u => {
+    const words = timedWords(u);
+    const start = words ? words[0].start : toRecordingTime(u.timestamp);
+    const end = words ? words[words.length - 1].end : start + u.text.split(/\s+/).length * SECONDS_PER_WORD;
+    return {
+      speaker: u.speaker,
+      participant_id: u.participantId ?? null,
+      is_host: u.isHost,
+      role: u.role,
+      start: toMillis(start),
+      end: toMillis(end),
+      spoken_at: new Date(u.timestamp).toISOString(),
+      text: u.text,
+      words
+    };
+  });
+
+  const nudges = includeNudges
+    ? record.nudges
+      .filter(nudge => nudge.status === 'delivered')
+      .map(nudge => ({
+        at: toMillis(toRecordingTime(Date.parse(nudge.timestamp))),
+        sent_at: nudge.timestamp,
+        source: nudge.source || 'ai',
+        category: nudge.category,
+        category_label: nudge.categoryLabel || nudge.category,
+        severity: nudge.severity,
+        message: nudge.message,
+        transcript_excerpt: nudge.transcriptExcerpt || null
+      }))
+    : [];
+
+  return { utterances, nudges };
+}
+
+function formatClock(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// [00:01:02] style stamp for the readable formats
+function formatStamp(seconds) {
+  return formatClock(seconds, '.').slice(0, 8);
+}
+
+// Split an utterance into subtitle-sized cues along its word timing
+function splitIntoCues(utterance) {
+  if (!utterance.words) {
+    return [{ start: utterance.start, end: utterance.end, text: utterance.text }];
+  }
+  const cues = [];
+  let current = [];
+  utterance.words.forEach(word => {
+    if (current.length > 0 && (current.length >= MAX_CUE_WORDS || word.end - current[0].start > MAX_CUE_SECONDS)) {
+      cues.push(current);
+      current = [];
+    }
+    current.push(word);
+  });
+  if (current.length > 0) cues.push(current);
+  return cues.map(words => ({
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: words.map(word => word.text).join(' ')
+  }));
+}
+
+// Speech and nudge cues in start-time order
+function subtitleCues(timeline) {
+  const cues = [
+    ...timeline.utterances.flatMap(u => splitIntoCues(u).map(cue => ({ ...cue, speaker: u.speaker }))),
+    ...timeline.nudges.map(nudge => ({
+      start: nudge.at,
+      end: nudge.at + NUDGE_CUE_SECONDS,
+      speaker: 'Nimo Coach',
+      text: `💡 [${nudge.category_label}] ${nudge.message}`,
+      nudge: true
+    }))
+  ];
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function renderSrt(timeline) {
+  return subtitleCues(timeline)
+    .map((cue, index) => `${index + 1}\n${formatClock(cue.start, ',')} --> ${formatClock(Math.max(cue.end, cue.start + 0.5), ',')}\n${cue.speaker}: ${cue.text}\n`)
+    .join('\n');
+}
+
+function renderVtt(timeline) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = subtitleCues(timeline).map((cue, index) =>
+    `${cue.nudge ? `nudge-${index + 1}\n` : ''}${formatClock(cue.start, '.')} --> ${formatClock(Math.max(cue.end, cue.start + 0.5), '.')}\n<v ${escape(cue.speaker)}>${escape(cue.text)}\n`
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+// Utterances and nudges as one list of readable lines
+function mergedLines(timeline, renderUtterance, renderNudge) {
+  const entries = [
+    ...timeline.utterances.map(u => ({ at: u.start, line: renderUtterance(u) })),
+    ...timeline.nudges.map(nudge => ({ at: nudge.at, line: renderNudge(nudge) }))
+  ];
+  return entries.sort((a, b) => a.at - b.at).map(entry => entry.line);
+}
+
+function renderMarkdown(timeline, meta) {
+  const header = [
+    `# Call Transcript - ${meta.platform}`,
+    '',
+    `- **Date:** ${new Date(meta.createdAt).toLocaleString()}`,
+    `- **Rep:** ${meta.rep || 'Unknown'}`,
+    `- **Playbook:** ${meta.playbook}`,
+    `- **Meeting:** ${meta.meetingUrl}`,
+    ''
+  ];
+  const lines = mergedLines(
+    timeline,
+    u => `**[${formatStamp(u.start)}] ${u.speaker}** (${u.role.toLowerCase()}): ${u.text}\n`,
+    nudge => `> 💡 **Nudge [${formatStamp(nudge.at)}] ${nudge.category_label}** (${nudge.severity}): ${nudge.message}${nudge.transcript_excerpt ? `\n> _Heard: "${nudge.transcript_excerpt}"_` : ''}\n`
+  );
+  return [...header, ...lines].join('\n');
+}
+
+function renderText(timeline) {
+  return mergedLines(
+    timeline,
+    u => `[${formatStamp(u.start)}] ${u.speaker}: ${u.text}`,
+    nudge => `[${formatStamp(nudge.at)}] >> NUDGE (${nudge.category}, ${nudge.severity}): ${nudge.message}`
+  ).join('\n') + '\n';
+}
+
+/**
+ * Render a stored session in one of EXPORT_FORMATS.
+ * @param {string} format - srt | vtt | json | md | txt
+ * @param {object} record - From store.getSession()
+ * @param {object} meta - { platform, rep, playbook, meetingUrl, createdAt, endedAt }
+ * @param {object} [options] - { includeNudges }
+ * @returns {string}
+ */
+function renderTranscript(format, record, meta, options = {}) {
+  const timeline = buildExportTimeline(record, options);
+  switch (format) {
+    case 'srt':
+      return renderSrt(timeline);
+    case 'vtt':
+      return renderVtt(timeline);
+    case 'json':
+      return JSON.stringify({
+        bot_id: record.botId,
+        meeting_url: meta.meetingUrl,
+        platform: meta.platform,
+        rep: meta.rep,
+        playbook: meta.playbook,
+        created_at: meta.createdAt,
+        ended_at: meta.endedAt,
+        utterances: timeline.utterances,
+        ...(options.includeNudges ? { nudges: timeline.nudges } : {})
+      }, null, 2);
+    case 'md':
+      return renderMarkdown(timeline, meta);
+    case 'txt':
+      return renderText(timeline);
+    default:
+      throw new Error(`Unknown export format "${format}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildExportTimeline,
+  renderTranscript
+};
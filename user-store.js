@@ -0,0 +1,405 @@
+/**
+ * NIMO Live Nudges - User Store
+ *
+ * Accounts, API tokens, signed-in browser sessions ("logins") and the
+ * organization's settings, kept next to the session store (same backend and
+ * database file):
+ *
+ *   store.createUser({ email, name, role, team, passwordHash, oidcSubject, ssoLinkAllowed }) -> user
+ *   store.getUser(id) / store.findUserByEmail(email) / store.findUserByOidcSubject(subject)
+ *   store.listUsers() -> [user]
+ *   store.updateUser(id, changes) -> user | null   (email, name, role, team, passwordHash, oidcSubject, ssoLinkAllowed, disabled)
+ *   store.deleteUser(id)                           also drops the user's tokens and logins
+ *   store.countUsers()
+ *
+ *   store.createApiToken({ userId, name, tokenHash }) -> token
+ *   store.findApiToken(tokenHash) / store.listApiTokens(userId)
+ *   store.touchApiToken(id, usedAt) / store.deleteApiToken(id)
+ *
+ *   store.createLogin({ id, userId, expiresAt }) / store.getLogin(id)
+ *   store.deleteLogin(id) / store.deleteExpiredLogins(now)
+ *
+ *   store.getSetting(key) -> value | null          (any JSON value)
+ *   store.saveSetting(key, value)                  null removes the setting
+ *
+ * user: { id, email, name, role, team, passwordHash, oidcSubject, ssoLinkAllowed, disabled, createdAt }
+ * (ssoLinkAllowed: an admin let the next SSO sign-in with this email claim the account)
+ * token: { id, userId, name, tokenHash, createdAt, lastUsedAt }
+ * login: { id, userId, expiresAt }
+ *
+ * Only hashes of passwords and tokens are stored; login ids are random and
+ * only ever sent in an HttpOnly cookie.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL,
+  team TEXT,
+  password_hash TEXT,
+  oidc_subject TEXT UNIQUE,
+  sso_link_allowed INTEGER NOT NULL DEFAULT 0,
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT
+);
+CREATE TABLE IF NOT EXISTS logins (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+`;
+
+const USER_COLUMNS = {
+  email: 'email',
+  name: 'name',
+  role: 'role',
+  team: 'team',
+  passwordHash: 'password_hash',
+  oidcSubject: 'oidc_subject',
+  ssoLinkAllowed: 'sso_link_allowed',
+  disabled: 'disabled'
+};
+const BOOLEAN_COLUMNS = ['ssoLinkAllowed', 'disabled'];
+
+const newId = () => crypto.randomUUID();
+
+// ============================================
+// SQLite Store
+// ============================================
+class SqliteUserStore {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+    this.name = 'sqlite';
+    this.path = options.path;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      insertUser: this.db.prepare(`INSERT INTO users (id, email, name, role, team, password_hash, oidc_subject, sso_link_allowed, created_at)
+        VALUES (@id, @email, @name, @role, @team, @passwordHash, @oidcSubject, @ssoLinkAllowed, @createdAt)`),
+      getUser: this.db.prepare('SELECT * FROM users WHERE id = ?'),
+      findByEmail: this.db.prepare('SELECT * FROM users WHERE email = ?'),
+      findByOidc: this.db.prepare('SELECT * FROM users WHERE oidc_subject = ?'),
+      listUsers: this.db.prepare('SELECT * FROM users ORDER BY created_at'),
+      countUsers: this.db.prepare('SELECT COUNT(*) AS count FROM users'),
+      deleteUser: this.db.prepare('DELETE FROM users WHERE id = ?'),
+      insertToken: this.db.prepare(`INSERT INTO api_tokens (id, user_id, name, token_hash, created_at)
+        VALUES (@id, @userId, @name, @tokenHash, @createdAt)`),
+      findToken: this.db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?'),
+      listTokens: this.db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at'),
+      touchToken: this.db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?'),
+      deleteToken: this.db.prepare('DELETE FROM api_tokens WHERE id = ?'),
+      insertLogin: this.db.prepare('INSERT INTO logins (id, user_id, expires_at) VALUES (?, ?, ?)'),
+      getLogin: this.db.prepare('SELECT * FROM logins WHERE id = ?'),
+      deleteLogin: this.db.prepare('DELETE FROM logins WHERE id = ?'),
+      deleteExpiredLogins: this.db.prepare('DELETE FROM logins WHERE expires_at <= ?'),
+      getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?'),
+      saveSetting: this.db.prepare(`INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      deleteSetting: this.db.prepare('DELETE FROM settings WHERE key = ?')
+    };
+  }
+
+  createUser({ email, name, role, team, passwordHash, oidcSubject, ssoLinkAllowed }) {
+    const id = newId();
+    this.statements.insertUser.run({
+      id,
+      email,
+      name,
+      role,
+      team: team || null,
+      passwordHash: passwordHash || null,
+      oidcSubject: oidcSubject || null,
+      ssoLinkAllowed: ssoLinkAllowed ? 1 : 0,
+      createdAt: new Date().toISOString()
+    });
+    return this.getUser(id);
+  }
+
+  getUser(id) {
+    return this.toUser(this.statements.getUser.get(id));
+  }
+
+  findUserByEmail(email) {
+    return this.toUser(this.statements.findByEmail.get(email));
+  }
+
+  findUserByOidcSubject(subject) {
+    return this.toUser(this.statements.findByOidc.get(subject));
+  }
+
+  listUsers() {
+    return this.statements.listUsers.all().map(row => this.toUser(row));
+  }
+
+  countUsers() {
+    return this.statements.countUsers.get().count;
+  }
+
+  updateUser(id, changes) {
+    const fields = Object.keys(changes).filter(key => USER_COLUMNS[key]);
+    if (fields.length > 0) {
+      const values = fields.map(key => (BOOLEAN_COLUMNS.includes(key) ? (changes[key] ? 1 : 0) : changes[key] ?? null));
+      this.db.prepare(`UPDATE users SET ${fields.map(key => `${USER_COLUMNS[key]} = ?`).join(', ')} WHERE id = ?`).run(...values, id);
+    }
+    return this.getUser(id);
+  }
+
+  deleteUser(id) {
+    return this.statements.deleteUser.run(id).changes > 0;
+  }
+
+  createApiToken({ userId, name, tokenHash }) {
+    const token = { id: newId(), userId, name, tokenHash, createdAt: new Date().toISOString() };
+    this.statements.insertToken.run(token);
+    return { ...token, lastUsedAt: null };
+  }
+
+  findApiToken(tokenHash) {
+    return this.toToken(this.statements.findToken.get(tokenHash));
+  }
+
+  listApiTokens(userId) {
+    return this.statements.listTokens.all(userId).map(row => this.toToken(row));
+  }
+
+  touchApiToken(id, usedAt) {
+    this.statements.touchToken.run(usedAt, id);
+  }
+
+  deleteApiToken(id) {
+    return this.statements.deleteToken.run(id).changes > 0;
+  }
+
+  createLogin({ id, userId, expiresAt }) {
+    this.statements.insertLogin.run(id, userId, expiresAt);
+  }
+
+  getLogin(id) {
+    const row = this.statements.getLogin.get(id);
+    return row ? { id: row.id, userId: row.user_id, expiresAt: row.expires_at } : null;
+  }
+
+  deleteLogin(id) {
+    this.statements.deleteLogin.run(id);
+  }
+
+  deleteExpiredLogins(now) {
+    this.statements.deleteExpiredLogins.run(now);
+  }
+
+  getSetting(key) {
+    const row = this.statements.getSetting.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  saveSetting(key, value) {
+    if (value === null || value === undefined) {
+      this.statements.deleteSetting.run(key);
+    } else {
+      this.statements.saveSetting.run(key, JSON.stringify(value), new Date().toISOString());
+    }
+  }
+
+  toUser(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      role: row.role,
+      team: row.team,
+      passwordHash: row.password_hash,
+      oidcSubject: row.oidc_subject,
+      ssoLinkAllowed: row.sso_link_allowed === 1,
+      disabled: row.disabled === 1,
+      createdAt: row.created_at
+    };
+  }
+
+  toToken(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      tokenHash: row.token_hash,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+}
+
+// ============================================
+// Memory Store
+// ============================================
+class MemoryUserStore {
+  constructor() {
+    this.name = 'memory';
+    this.users = new Map();
+    this.tokens = new Map();
+    this.logins = new Map();
+    this.settings = new Map();
+  }
+
+  createUser({ email, name, role, team, passwordHash, oidcSubject, ssoLinkAllowed }) {
+    if (this.findUserByEmail(email)) {
+      throw new Error(`A user with email ${email} already exists`);
+    }
+    const user = {
+      id: newId(),
+      email,
+      name,
+      role,
+      team: team || null,
+      passwordHash: passwordHash || null,
+      oidcSubject: oidcSubject || null,
+      ssoLinkAllowed: Boolean(ssoLinkAllowed),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(user.id, user);
+    return { ...user };
+  }
+
+  getUser(id) {
+    const user = this.users.get(id);
+    return user ? { ...user } : null;
+  }
+
+  findUserByEmail(email) {
+    const wanted = String(email).toLowerCase();
+    const user = [...this.users.values()].find(u => u.email.toLowerCase() === wanted);
+    return user ? { ...user } : null;
+  }
+
+  findUserByOidcSubject(subject) {
+    const user = [...this.users.values()].find(u => u.oidcSubject === subject);
+    return user ? { ...user } : null;
+  }
+
+  listUsers() {
+    return [...this.users.values()].map(user => ({ ...user }));
+  }
+
+  countUsers() {
+    return this.users.size;
+  }
+
+  updateUser(id, changes) {
+    const user = this.users.get(id);
+    if (!user) return null;
+    Object.keys(changes).filter(key => USER_COLUMNS[key]).forEach(key => {
+      user[key] = BOOLEAN_COLUMNS.includes(key) ? Boolean(changes[key]) : changes[key] ?? null;
+    });
+    return { ...user };
+  }
+
+  deleteUser(id) {
+    [...this.tokens.values()].filter(token => token.userId === id).forEach(token => this.tokens.delete(token.id));
+    [...this.logins.values()].filter(login => login.userId === id).forEach(login => this.logins.delete(login.id));
+    return this.users.delete(id);
+  }
+
+  createApiToken({ userId, name, tokenHash }) {
+    const token = { id: newId(), userId, name, tokenHash, createdAt: new Date().toISOString(), lastUsedAt: null };
+    this.tokens.set(token.id, token);
+    return { ...token };
+  }
+
+  findApiToken(tokenHash) {
+    const token = [...this.tokens.values()].find(t => t.tokenHash === tokenHash);
+    return token ? { ...token } : null;
+  }
+
+  listApiTokens(userId) {
+    return [...this.tokens.values()].filter(token => token.userId === userId).map(token => ({ ...token }));
+  }
+
+  touchApiToken(id, usedAt) {
+    const token = this.tokens.get(id);
+    if (token) token.lastUsedAt = usedAt;
+  }
+
+  deleteApiToken(id) {
+    return this.tokens.delete(id);
+  }
+
+  createLogin({ id, userId, expiresAt }) {
+    this.logins.set(id, { id, userId, expiresAt });
+  }
+
+  getLogin(id) {
+    const login = this.logins.get(id);
+    return login ? { ...login } : null;
+  }
+
+  deleteLogin(id) {
+    this.logins.delete(id);
+  }
+
+  deleteExpiredLogins(now) {
+    [...this.logins.values()].filter(login => login.expiresAt <= now).forEach(login => this.logins.delete(login.id));
+  }
+
+  getSetting(key) {
+    return this.settings.has(key) ? JSON.parse(this.settings.get(key)) : null;
+  }
+
+  saveSetting(key, value) {
+    if (value === null || value === undefined) {
+      this.settings.delete(key);
+    } else {
+      this.settings.set(key, JSON.stringify(value));
+    }
+  }
+}
+
+const STORES = {
+  sqlite: SqliteUserStore,
+  memory: MemoryUserStore
+};
+
+/**
+ * Create a user store on the same backend as the session store.
+ * @param {string} [name] - sqlite | memory (defaults to SESSION_STORE or sqlite)
+ * @param {object} [options]
+ * @param {string} [options.path] - SQLite database file (defaults to SESSION_DB_PATH or data/nimo.db)
+ */
+function createUserStore(name, options = {}) {
+  const storeName = (name || process.env.SESSION_STORE || 'sqlite').toLowerCase();
+  const Store = STORES[storeName];
+  if (!Store) {
+    throw new Error(`Unknown user store "${storeName}". Available: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store({
+    ...options,
+    path: options.path || process.env.SESSION_DB_PATH || path.join(__dirname, 'data', 'nimo.db')
+  });
+}
+
+module.exports = {
+  createUserStore
+};
@@ -0,0 +1,166 @@
+/**
+ * NIMO Live Nudges - Webhook Verification
+ *
+ * Checks every Recall webhook before it reaches a session:
+ *
+ * - signature   HMAC-SHA256 of `${id}.${timestamp}.${rawBody}` with the
+ *               workspace verification secret (whsec_...), from the
+ *               webhook-id / webhook-timestamp / webhook-signature headers
+ *               (svix-* on older workspaces)
+ * - timestamp   Deliveries older or newer than the tolerance are refused, so
+ *               a captured request can't be replayed later
+ * - duplicate   Retried deliveries reuse their webhook id; a repeat is
+ *               acknowledged but not processed again
+ *
+ * The old `?secret=` query parameter is only accepted when explicitly
+ * allowed, and only for requests that can't be checked by signature (no
+ * signing headers, or no verification secret configured).
+ * Rejections are counted by reason for GET /api/webhook/stats.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_TRACKED_IDS = 10000;
+
+// Svix-style headers, with the prefix older Recall workspaces still send
+function signingHeaders(headers) {
+  for (const prefix of ['webhook', 'svix']) {
+    if (headers[`${prefix}-signature`]) {
+      return {
+        id: headers[`${prefix}-id`],
+        timestamp: headers[`${prefix}-timestamp`],
+        signature: headers[`${prefix}-signature`]
+      };
+    }
+  }
+  return null;
+}
+
+// whsec_ secrets are base64 after the prefix; anything else is used as-is
+function secretKey(secret) {
+  return secret.startsWith('whsec_') ? Buffer.from(secret.slice('whsec_'.length), 'base64') : Buffer.from(secret, 'utf8');
+}
+
+/**
+ * Signature header value for a payload (v1,<base64>), as Recall sends it.
+ * @param {string} secret
+ * @param {string} id - webhook-id
+ * @param {number|string} timestamp - Unix seconds
+ * @param {Buffer|string} rawBody
+ */
+function signWebhook(secret, id, timestamp, rawBody) {
+  const digest = crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${id}.${timestamp}.`)
+    .update(rawBody)
+    .digest('base64');
+  return `v1,${digest}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class WebhookGuard {
+  /**
+   * @param {object} options
+   * @param {string} [options.signingSecret] - Recall webhook verification secret
+   * @param {string} [options.querySecret] - Legacy ?secret= value, only when the fallback is allowed
+   * @param {number} [options.toleranceSeconds]
+   * @param {function} [options.now] - Clock in epoch ms
+   */
+  constructor({ signingSecret = null, querySecret = null, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = () => Date.now() } = {}) {
+    this.signingSecret = signingSecret;
+    this.querySecret = querySecret;
+    this.toleranceSeconds = toleranceSeconds;
+    this.now = now;
+    this.seen = new Map(); // webhook id -> epoch ms it was accepted
+    this.stats = { accepted: 0, duplicates: 0, rejected: {}, lastRejection: null };
+  }
+
+  /**
+   * Decide what to do with one delivery.
+   * @param {object} request - { headers, query, rawBody }
+   * @returns {{ result: 'accepted'|'duplicate'|'rejected', reason?: string, id?: string }}
+   */
+  check({ headers, query = {}, rawBody }) {
+    const signed = signingHeaders(headers);
+    let id;
+
+    if (signed && this.signingSecret) {
+      const problem = this.verifySignature(signed, rawBody);
+      if (problem) return this.reject(problem);
+      id = signed.id;
+    } else if (this.querySecret && query.secret !== undefined) {
+      if (!safeEqual(String(query.secret), this.querySecret)) return this.reject('invalid_query_secret');
+      // Unsigned deliveries have no id; a retry repeats the same body
+      id = `body:${crypto.createHash('sha256').update(rawBody || '').digest('hex')}`;
+    } else {
+      return this.reject(this.signingSecret ? 'missing_signature' : 'signing_secret_not_configured');
+    }
+
+    this.forgetExpired();
+    if (this.seen.has(id)) {
+      this.stats.duplicates++;
+      return { result: 'duplicate', id };
+    }
+    this.seen.set(id, this.now());
+    if (this.seen.size > MAX_TRACKED_IDS) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    this.stats.accepted++;
+    return { result: 'accepted', id };
+  }
+
+  verifySignature({ id, timestamp, signature }, rawBody) {
+    if (!id || !timestamp || !rawBody) return 'malformed_signature_headers';
+
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(this.now() / 1000 - sentAt) > this.toleranceSeconds) {
+      return 'timestamp_out_of_tolerance';
+    }
+
+    // The header may list several space-separated signatures while a secret is being rotated
+    const expected = signWebhook(this.signingSecret, id, timestamp, rawBody);
+    const matches = signature.split(' ').some(candidate => safeEqual(candidate, expected));
+    return matches ? null : 'invalid_signature';
+  }
+
+  reject(reason) {
+    this.stats.rejected[reason] = (this.stats.rejected[reason] || 0) + 1;
+    this.stats.lastRejection = { reason, at: new Date(this.now()).toISOString() };
+    return { result: 'rejected', reason };
+  }
+
+  // Ids only need remembering while their timestamp would still pass the tolerance check
+  forgetExpired() {
+    const cutoff = this.now() - this.toleranceSeconds * 2 * 1000;
+    for (const [id, acceptedAt] of this.seen) {
+      if (acceptedAt >= cutoff) break;
+      this.seen.delete(id);
+    }
+  }
+
+  getStats() {
+    const rejected = Object.values(this.stats.rejected).reduce((sum, count) => sum + count, 0);
+    return {
+      signature_verification: Boolean(this.signingSecret),
+      query_secret_fallback: Boolean(this.querySecret),
+      tolerance_seconds: this.toleranceSeconds,
+      accepted: this.stats.accepted,
+      duplicates: this.stats.duplicates,
+      rejected,
+      rejected_by_reason: { ...this.stats.rejected },
+      last_rejection: this.stats.lastRejection
+    };
+  }
+}
+
+module.exports = {
+  WebhookGuard,
+  signWebhook,
+  DEFAULT_TOLERANCE_SECONDS
+};